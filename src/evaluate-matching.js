@@ -0,0 +1,354 @@
+/**
+ * Match-quality evaluation for member search scoring
+ *
+ * Scores the candidate contacts of every labeled case in a fixture file with
+ * the same scorer member search uses (ContactScorer), offline and without Wix,
+ * and reports how often the right member is ranked first, the precision and
+ * recall of each confidence band, and the cases that were ranked wrong. Run it
+ * before and after a scoring change to see what the change fixes and breaks.
+ *
+ * Usage:
+ *   node src/evaluate-matching.js                           The bundled cases, the configured profile
+ *   node src/evaluate-matching.js --profile my-profile.json Score with another scoring profile
+ *   node src/evaluate-matching.js --verbose                 Also list every case and its ranking
+ *   node src/evaluate-matching.js --min-accuracy 90         Exit 1 when top-1 accuracy is below 90%
+ *
+ * A full run also exits 1 when top-1 accuracy falls below the baseline checked
+ * in with the cases ("minAccuracy" in the cases file), so a scoring change that
+ * ranks more members wrong does not go unnoticed. Any run exits 1 when a first
+ * visit (a case without an account) scores medium or higher.
+ *
+ * Run with --help for all options.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ScoringProfile = require('./services/ScoringProfile');
+const NameNormalizer = require('./services/NameNormalizer');
+const ContactScorer = require('./services/ContactScorer');
+
+const DEFAULT_CASES = path.join(__dirname, 'assets/match-evaluation-cases.json');
+
+const USAGE = `
+Match-quality evaluation: scores labeled cases offline and reports accuracy
+
+Options:
+  --cases <file>        Labeled cases (default: src/assets/match-evaluation-cases.json)
+  --profile <file>      Scoring profile (default: the one in app.config.json, or the bundled one)
+  --case <keys>         Only these cases, comma-separated
+  --verbose             List every case with its ranked candidates and match details
+  --json                Print the report as JSON
+  --min-accuracy <pct>  Exit with status 1 when top-1 accuracy is below this percentage
+                        (default: "minAccuracy" in the cases file, when every case is run)
+  --help                Show this help
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} - Options
+ */
+function parseArgs(argv) {
+  const options = { keys: [] };
+  const takeValue = (index, name) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${name} needs a value`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--cases': options.cases = takeValue(i++, arg); break;
+      case '--profile': options.profile = takeValue(i++, arg); break;
+      case '--case': options.keys.push(...takeValue(i++, arg).split(',').map(k => k.trim()).filter(Boolean)); break;
+      case '--verbose': options.verbose = true; break;
+      case '--json': options.json = true; break;
+      case '--min-accuracy': options.minAccuracy = Number(takeValue(i++, arg)); break;
+      case '--help': options.help = true; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.minAccuracy !== undefined && !(options.minAccuracy >= 0 && options.minAccuracy <= 100)) {
+    throw new Error('--min-accuracy must be a percentage from 0 to 100');
+  }
+  return options;
+}
+
+/**
+ * Load and check the labeled cases
+ * @param {string} [casesPath] - Cases file
+ * @returns {Object} - { cases, minAccuracy } where minAccuracy is the file's
+ *   top-1 accuracy baseline, undefined when it has none
+ */
+function loadCases(casesPath = DEFAULT_CASES) {
+  const doc = JSON.parse(fs.readFileSync(casesPath, 'utf8'));
+  if (!Array.isArray(doc.cases)) {
+    throw new Error(`${casesPath} has no "cases" array`);
+  }
+  if (doc.minAccuracy !== undefined && !(typeof doc.minAccuracy === 'number' && doc.minAccuracy >= 0 && doc.minAccuracy <= 100)) {
+    throw new Error(`${casesPath}: "minAccuracy" must be a percentage from 0 to 100`);
+  }
+
+  const seenKeys = new Set();
+  doc.cases.forEach((testCase, index) => {
+    const label = testCase.key || `cases[${index}]`;
+    if (!testCase.key || seenKeys.has(testCase.key)) {
+      throw new Error(`${label}: every case needs a unique "key"`);
+    }
+    if (!testCase.scan || !Array.isArray(testCase.candidates) || testCase.candidates.length === 0) {
+      throw new Error(`${label}: needs a "scan" and at least one candidate`);
+    }
+    if (testCase.expectedId !== null && !testCase.candidates.some(candidate => candidate.id === testCase.expectedId)) {
+      throw new Error(`${label}: expectedId "${testCase.expectedId}" is not one of its candidates (use null for no account)`);
+    }
+    seenKeys.add(testCase.key);
+  });
+  return { cases: doc.cases, minAccuracy: doc.minAccuracy };
+}
+
+/**
+ * @param {Object} candidate - { id, first, last, birthdate, email, phone, otherEmails } from the cases file;
+ *   email and phone are the primary ones
+ * @returns {Object} - The candidate as a Wix contact
+ */
+function toContact(candidate) {
+  return {
+    _id: candidate.id,
+    primaryInfo: { email: candidate.email, phone: candidate.phone },
+    info: {
+      name: { first: candidate.first, last: candidate.last },
+      birthdate: candidate.birthdate,
+      emails: { items: (candidate.otherEmails || []).map(email => ({ email, primary: false })) }
+    }
+  };
+}
+
+const contactName = contact => `${contact.info.name.first || ''} ${contact.info.name.last || ''}`.trim();
+
+/**
+ * Score one case
+ * @param {Object} testCase - Labeled case
+ * @param {Object} profile - Scoring profile
+ * @returns {Object} - { key, notes, expectedId, ranked, top, correct, tied, firstVisitMatched }
+ */
+function evaluateCase(testCase, profile) {
+  const { firstName, middleName, lastName, suffix, dateOfBirth, email, phone } = testCase.scan;
+  const ranked = ContactScorer.scoreContacts(testCase.candidates.map(toContact), {
+    scannedName: NameNormalizer.parseName({ firstName, middleName, lastName, suffix }),
+    dateOfBirth,
+    email,
+    phone
+  }, { profile, log: false });
+
+  const top = ranked[0];
+  // A tie at the top leaves the choice to staff, so it does not count as ranked first
+  const tied = ranked.length > 1 && ranked[1]._confidence.score === top._confidence.score;
+  return {
+    key: testCase.key,
+    notes: testCase.notes || '',
+    expectedId: testCase.expectedId,
+    ranked,
+    top,
+    tied,
+    correct: testCase.expectedId !== null && top._id === testCase.expectedId && !tied,
+    // A first visit whose first-ranked contact looks like the member (medium or higher)
+    firstVisitMatched: testCase.expectedId === null && top._confidence.score >= profile.thresholds.medium
+  };
+}
+
+/**
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number|null} - Percentage with one decimal, null when total is 0
+ */
+function percent(count, total) {
+  return total ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+/**
+ * Summarize the scored cases
+ * @param {Array<Object>} results - From evaluateCase
+ * @param {Object} profile - Scoring profile
+ * @returns {Object} - Report
+ */
+function buildReport(results, profile) {
+  const memberCases = results.filter(result => result.expectedId !== null);
+  const correct = results.filter(result => result.correct);
+  const firstVisits = results.filter(result => result.expectedId === null);
+
+  // Bands from the top down; each case falls in the band of its first-ranked score
+  const { high, medium } = profile.thresholds;
+  const bands = [
+    { band: 'high', min: high, max: profile.maxScore },
+    { band: 'medium', min: medium, max: high - 1 },
+    { band: 'low', min: 0, max: medium - 1 }
+  ].map(({ band, min, max }) => {
+    const inBand = results.filter(result => result.top._confidence.score >= min && result.top._confidence.score <= max);
+    const atOrAbove = results.filter(result => result.top._confidence.score >= min);
+    const correctAtOrAbove = atOrAbove.filter(result => result.correct).length;
+    return {
+      band,
+      range: `${min}-${max}`,
+      cases: inBand.length,
+      correct: inBand.filter(result => result.correct).length,
+      precision: percent(inBand.filter(result => result.correct).length, inBand.length),
+      // Treating every first-ranked contact scoring at least this much as the member
+      precisionAtOrAbove: percent(correctAtOrAbove, atOrAbove.length),
+      recallAtOrAbove: percent(correctAtOrAbove, memberCases.length)
+    };
+  });
+
+  const describe = (contact, ranked) => contact && {
+    id: contact._id,
+    name: contactName(contact),
+    rank: ranked.indexOf(contact) + 1,
+    score: contact._confidence.score,
+    details: contact._confidence.details
+  };
+
+  // Members not ranked first, and first visits that looked like a member
+  const confusion = results
+    .filter(result => result.expectedId !== null ? !result.correct : result.firstVisitMatched)
+    .map(result => {
+      const expected = result.ranked.find(contact => contact._id === result.expectedId);
+      let reason = 'misranked';
+      if (!expected) {
+        reason = 'no-account-matched';
+      } else if (expected._confidence.score === result.top._confidence.score) {
+        reason = 'tied';
+      }
+      return {
+        key: result.key,
+        notes: result.notes,
+        reason,
+        expected: describe(expected, result.ranked),
+        rankedFirst: describe(result.top, result.ranked)
+      };
+    });
+
+  return {
+    profileVersion: profile.version,
+    cases: results.length,
+    memberCases: memberCases.length,
+    top1: { correct: correct.length, total: memberCases.length, accuracy: percent(correct.length, memberCases.length) },
+    firstVisits: { total: firstVisits.length, matched: firstVisits.filter(result => result.firstVisitMatched).length },
+    bands,
+    confusion
+  };
+}
+
+const formatPercent = value => (value === null ? '-' : `${value}%`);
+
+/**
+ * Print the report as text
+ * @param {Object} report - From buildReport
+ * @param {Array<Object>} results - From evaluateCase, for --verbose
+ * @param {Object} options - Parsed options
+ */
+function printReport(report, results, options) {
+  console.log(`Match-quality evaluation: ${report.cases} cases (${report.memberCases} with a member, ` +
+    `${report.cases - report.memberCases} without), scoring profile v${report.profileVersion}`);
+
+  if (options.verbose) {
+    results.forEach(result => {
+      const ok = result.expectedId === null ? !result.firstVisitMatched : result.correct;
+      console.log(`\n${ok ? 'OK  ' : 'MISS'} ${result.key}${result.notes ? ` - ${result.notes}` : ''}`);
+      result.ranked.forEach((contact, index) => {
+        const mark = contact._id === result.expectedId ? '*' : ' ';
+        console.log(`  ${mark}${index + 1}. ${contactName(contact).padEnd(28)} ${String(contact._confidence.score).padStart(3)}  ${contact._confidence.details.join('; ')}`);
+      });
+    });
+  }
+
+  console.log(`\nTop-1 accuracy: ${report.top1.correct}/${report.top1.total} (${formatPercent(report.top1.accuracy)})`);
+  console.log(`First visits scored medium or higher: ${report.firstVisits.matched}/${report.firstVisits.total}\n`);
+  console.log('Band     Range    Cases  Correct  Precision   At or above: Precision  Recall');
+  report.bands.forEach(band => {
+    console.log(
+      `${band.band.padEnd(8)} ${band.range.padEnd(8)} ${String(band.cases).padStart(5)}  ${String(band.correct).padStart(7)}  ` +
+      `${formatPercent(band.precision).padStart(9)}   ${formatPercent(band.precisionAtOrAbove).padStart(22)}  ${formatPercent(band.recallAtOrAbove).padStart(6)}`
+    );
+  });
+
+  if (report.confusion.length === 0) {
+    console.log('\nNo misranked cases');
+    return;
+  }
+  console.log(`\nMisranked (${report.confusion.length}):`);
+  report.confusion.forEach(entry => {
+    const first = entry.rankedFirst;
+    if (entry.reason === 'no-account-matched') {
+      console.log(`- ${entry.key}: no account, but "${first.name}" scored ${first.score}`);
+    } else if (entry.reason === 'tied') {
+      console.log(`- ${entry.key}: "${entry.expected.name}" (#${entry.expected.rank}) tied for first at ${entry.expected.score}`);
+      console.log(`    expected:     ${entry.expected.details.join('; ')}`);
+    } else {
+      console.log(`- ${entry.key}: expected "${entry.expected.name}" (#${entry.expected.rank}, ${entry.expected.score}), ` +
+        `ranked first "${first.name}" (${first.score})`);
+      console.log(`    expected:     ${entry.expected.details.join('; ') || 'no matching parts'}`);
+    }
+    console.log(`    ranked first: ${first.details.join('; ') || 'no matching parts'}`);
+    if (entry.notes) console.log(`    notes:        ${entry.notes}`);
+  });
+}
+
+function evaluate(options) {
+  const profile = options.profile ? ScoringProfile.loadProfile(path.resolve(options.profile)) : ScoringProfile.getProfile();
+  let { cases, minAccuracy } = loadCases(options.cases && path.resolve(options.cases));
+
+  if (options.keys.length > 0) {
+    const unknown = options.keys.filter(key => !cases.some(testCase => testCase.key === key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown case: ${unknown.join(', ')}`);
+    }
+    cases = cases.filter(testCase => options.keys.includes(testCase.key));
+    // The baseline is for the whole set; a few cases say nothing about it
+    minAccuracy = undefined;
+  }
+  if (options.minAccuracy !== undefined) {
+    minAccuracy = options.minAccuracy;
+  }
+
+  const results = cases.map(testCase => evaluateCase(testCase, profile));
+  const report = buildReport(results, profile);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, results, options);
+  }
+
+  if (minAccuracy !== undefined && (report.top1.accuracy || 0) < minAccuracy) {
+    console.error(`Top-1 accuracy ${formatPercent(report.top1.accuracy)} is below ${minAccuracy}%`);
+    process.exitCode = 1;
+  }
+  // A guest without an account must never look like a member at the door
+  if (report.firstVisits.matched > 0) {
+    console.error(`${report.firstVisits.matched} first visit(s) scored medium or higher`);
+    process.exitCode = 1;
+  }
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  console.log(USAGE);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.log(USAGE);
+} else {
+  try {
+    evaluate(options);
+  } catch (err) {
+    console.error('Evaluation failed:', err.message);
+    process.exit(1);
+  }
+}
@@ -1,7 +1,15 @@
 const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const ScanIDService = require('./services/ScanIDService');
-const WixService = require('./services/WixService');
+const ScanSourceManager = require('./services/ScanSourceManager');
+const ScanImageService = require('./services/ScanImageService');
+const ScanHistoryService = require('./services/ScanHistoryService');
+const PiiPolicy = require('./services/PiiPolicy');
+const RetentionService = require('./services/RetentionService');
+const ScoringProfile = require('./services/ScoringProfile');
+const MemberActivationService = require('./services/MemberActivationService');
+const IdentityLinkService = require('./services/IdentityLinkService');
+const MemberLookupService = require('./services/MemberLookupService');
 const WixApiExplorer = require('./services/WixApiExplorer');
 const WixSdkTest = require('./services/WixSdkTest');
 const WixSdkTestSimple = require('./services/WixSdkTestSimple');
@@ -11,6 +19,9 @@ const WixSdkCompatAdapter = require('./services/WixSdkCompatAdapter');
 
 let mainWindow;
 
+// One ScanID watcher per configured scan source (see app.config.json)
+const scanSources = new ScanSourceManager();
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 900,
@@ -25,18 +36,135 @@ function createWindow() {
   mainWindow.on('closed', () => { mainWindow = null; });
 }
 
-app.whenReady().then(createWindow);
-app.on('window-all-closed', () => { if (process.platform !== 'darwin') app.quit(); });
+app.whenReady().then(() => {
+  // An invalid scoring profile stops startup here rather than at the first scan
+  ScoringProfile.getProfile();
+  createWindow();
+  // Purge expired scans, images and records on the configured schedule
+  RetentionService.start(scanSources);
+  // Keep the local copy of the Wix contacts used by member search in sync
+  WixSdkAdapter.startContactMirror();
+});
+app.on('window-all-closed', () => {
+  scanSources.stop();
+  RetentionService.stop();
+  if (process.platform !== 'darwin') app.quit();
+});
 app.on('activate', () => { if (mainWindow === null) createWindow(); });
 
+// Forward scan source events to the renderer
+function sendScanWatchEvent(eventType, data) {
+  if (mainWindow) {
+    mainWindow.webContents.send('scanid:watch-event', eventType, data);
+  }
+}
+
+scanSources.on('status', (status) => sendScanWatchEvent('status', status));
+scanSources.on('newscan', (scan) => {
+  console.log(`New scan detected at ${scan.Station}:`, PiiPolicy.initials(scan.FullName));
+  sendScanWatchEvent('newscan', scan);
+});
+scanSources.on('warning', (warning) => {
+  console.warn(`ScanIDWatcher warning (${warning.stationId}):`, warning.message);
+});
+scanSources.on('error', (error) => {
+  console.error(`ScanIDWatcher error (${error.stationId}):`, error.message);
+  sendScanWatchEvent('error', { error: error.message, stationId: error.stationId });
+});
+
 // IPC: Read latest Scan-ID CSV entry
-ipcMain.handle('scanid:get-latest', async () => {
-  return await ScanIDService.getLatestScan();
+ipcMain.handle('scanid:get-latest', async (event, { stationId } = {}) => {
+  return await ScanIDService.getLatestScan(stationId);
+});
+
+// IPC: Decode a raw AAMVA barcode typed in by a keyboard-wedge scanner
+ipcMain.handle('scanid:parse-barcode', async (event, { data, stationId } = {}) => {
+  return await ScanIDService.parseBarcodeScan(data, stationId);
+});
+
+// IPC: Read an ID image captured by Scan-ID as a data URL
+ipcMain.handle('scanid:get-image', async (event, { imagePath, stationId } = {}) => {
+  return await ScanImageService.getScanImageDataUrl(imagePath, stationId);
+});
+
+// IPC: List configured scan sources (scanner stations)
+ipcMain.handle('scanid:get-sources', async () => {
+  return { success: true, sources: scanSources.listSources() };
+});
+
+// IPC: Scan-ID watch controls (one station, or all when no id is given)
+ipcMain.handle('scanid:start-watching', async (event, { stationId } = {}) => {
+  try {
+    scanSources.start(stationId);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('scanid:stop-watching', async (event, { stationId } = {}) => {
+  try {
+    scanSources.stop(stationId);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('scanid:get-watch-status', async (event, { stationId } = {}) => {
+  return { success: true, ...scanSources.getStatus(stationId) };
+});
+
+// IPC: Scan history (see ScanHistoryService)
+ipcMain.handle('scans:record', async (event, { scan } = {}) => {
+  return await ScanHistoryService.recordScan(scan);
+});
+
+ipcMain.handle('scans:update', async (event, { id, changes } = {}) => {
+  return await ScanHistoryService.updateScan(id, changes);
+});
+
+// Store the license of an admitted scan on the chosen Wix contact
+ipcMain.handle('scans:activate-member', async (event, { id } = {}) => {
+  return await MemberActivationService.activateFromScan(id);
+});
+
+// Link the identity of a scan to the contact staff confirmed for it
+ipcMain.handle('scans:confirm-member', async (event, { id, contactId, confirmedBy } = {}) => {
+  return await IdentityLinkService.confirmFromScan(id, contactId, confirmedBy);
+});
+
+// PII in history entries is redacted unless adminToken is a live admin session
+ipcMain.handle('scans:get', async (event, { id, adminToken } = {}) => {
+  return PiiPolicy.forRole(await ScanHistoryService.getScan(id), adminToken);
+});
+
+ipcMain.handle('scans:query', async (event, { adminToken, ...filters } = {}) => {
+  return PiiPolicy.forRole(await ScanHistoryService.queryScans(filters), adminToken);
+});
+
+// IPC: Admin sessions (admin PIN in app.config.json) unredact PII
+ipcMain.handle('admin:unlock', async (event, { pin } = {}) => {
+  return PiiPolicy.unlockAdmin(pin);
+});
+
+ipcMain.handle('admin:lock', async (event, { token } = {}) => {
+  return PiiPolicy.lockAdmin(token);
+});
+
+// IPC: Match-scoring profile for the confidence legend
+ipcMain.handle('scoring:get-profile', async () => {
+  return { success: true, profile: ScoringProfile.getProfile() };
+});
+
+// IPC: Lookup Wix member by Scan-ID data (MemberLookupService, like every member search)
+ipcMain.handle('wix:find-member', async (event, { firstName, lastName, dateOfBirth } = {}) => {
+  return await MemberLookupService.lookupMember({ firstName, lastName, dateOfBirth });
 });
 
-// IPC: Lookup Wix member by Scan-ID data
-ipcMain.handle('wix:find-member', async (event, { firstName, lastName, dateOfBirth }) => {
-  return await WixService.findMember({ firstName, lastName, dateOfBirth });
+// IPC: Search members by full name and DOB (same as POST /api/wix/search-member)
+ipcMain.handle('wix-direct:search-member', async (event, { name, dob } = {}) => {
+  return await MemberLookupService.lookupMember({ ...MemberLookupService.splitFullName(name), dateOfBirth: dob });
 });
 
 // IPC: Wix API Explorer handlers
@@ -79,9 +207,9 @@ ipcMain.handle('wix-sdk:compat-test', async (event, { collectionId }) => {
   return await WixSdkCompatAdapter.testCompatAdapter(collectionId);
 });
 
-// Wix SDK Member Search handler
-ipcMain.handle('wix-sdk:search-member', async (event, { firstName, lastName, dateOfBirth }) => {
-  return await WixSdkAdapter.searchMember({ firstName, lastName, dateOfBirth });
+// Wix SDK Member Search handler (scans, and the manual search with email and phone)
+ipcMain.handle('wix-sdk:search-member', async (event, { firstName, middleName, lastName, suffix, dateOfBirth, idNumber, email, phone } = {}) => {
+  return await MemberLookupService.lookupMember({ firstName, middleName, lastName, suffix, dateOfBirth, idNumber, email, phone });
 });
 
 // Wix SDK Query All Members handler
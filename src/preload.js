@@ -1,14 +1,93 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Scanner station this window listens to (empty = all stations)
+const STATION_STORAGE_KEY = 'mini_checkin_station';
+let subscribedStation = localStorage.getItem(STATION_STORAGE_KEY) || '';
+
+// Admin session that unredacts PII (see PiiPolicy); kept for this window only
+const ADMIN_STORAGE_KEY = 'mini_checkin_admin';
+
+function getAdminSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(ADMIN_STORAGE_KEY) || 'null');
+    if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+      return session;
+    }
+  } catch (e) {
+    // Unreadable session; fall through and clear it
+  }
+  sessionStorage.removeItem(ADMIN_STORAGE_KEY);
+  return null;
+}
+
+const adminToken = () => (getAdminSession() || {}).token;
+
 // Expose Scan ID and Wix member lookup APIs
 contextBridge.exposeInMainWorld('scanidAPI', {
-  getLatestScan: () => ipcRenderer.invoke('scanid:get-latest'),
+  getLatestScan: () => ipcRenderer.invoke('scanid:get-latest', { stationId: subscribedStation }),
+  parseBarcode: (data) => ipcRenderer.invoke('scanid:parse-barcode', { data, stationId: subscribedStation }),
+  // Resolves to a URL the scan card can use as an <img> src, or null
+  getScanImageUrl: async (scan, imagePath) => {
+    const result = await ipcRenderer.invoke('scanid:get-image', { imagePath, stationId: scan.StationId || subscribedStation });
+    return result.success ? result.dataUrl : null;
+  },
+  getScanSources: () => ipcRenderer.invoke('scanid:get-sources'),
+  getScoringProfile: () => ipcRenderer.invoke('scoring:get-profile'),
+  getStation: () => subscribedStation,
+  subscribeStation: (stationId) => {
+    subscribedStation = stationId || '';
+    localStorage.setItem(STATION_STORAGE_KEY, subscribedStation);
+  },
+  startWatching: () => ipcRenderer.invoke('scanid:start-watching', { stationId: subscribedStation }),
+  stopWatching: () => ipcRenderer.invoke('scanid:stop-watching', { stationId: subscribedStation }),
+  getWatchStatus: () => ipcRenderer.invoke('scanid:get-watch-status', { stationId: subscribedStation }),
+  onScanWatchEvent: (callback) => {
+    const listener = (event, eventType, data) => {
+      // Only pass on events for the subscribed station
+      if (subscribedStation && data && data.stationId && data.stationId !== subscribedStation) return;
+      if (subscribedStation && eventType === 'newscan' && data.StationId !== subscribedStation) return;
+      if (eventType === 'status' && subscribedStation) {
+        const station = (data.stations || []).find(s => s.id === subscribedStation);
+        data = { ...data, watching: !!(station && station.watching) };
+      }
+      callback(eventType, data);
+    };
+    ipcRenderer.on('scanid:watch-event', listener);
+    return () => ipcRenderer.removeListener('scanid:watch-event', listener);
+  },
   findWixMember: (firstName, lastName, dateOfBirth) => ipcRenderer.invoke('wix:find-member', { firstName, lastName, dateOfBirth }),
   searchMemberByNameOrDOB: (name, dob) => ipcRenderer.invoke('wix-direct:search-member', { name, dob }),
   getMemberPricingPlans: (memberId) => ipcRenderer.invoke('wix-sdk:list-pricing-plan-orders', { filter: { buyerIds: [memberId] } }),
   listPricingPlanOrders: (filter) => ipcRenderer.invoke('wix-sdk:list-pricing-plan-orders', { filter })
 });
 
+// Expose the scan history
+contextBridge.exposeInMainWorld('scanHistory', {
+  recordScan: (scan) => ipcRenderer.invoke('scans:record', { scan }),
+  updateScan: (id, changes) => ipcRenderer.invoke('scans:update', { id, changes }),
+  activateMember: (id) => ipcRenderer.invoke('scans:activate-member', { id }),
+  confirmMember: (id, contactId, confirmedBy) => ipcRenderer.invoke('scans:confirm-member', { id, contactId, confirmedBy }),
+  getScan: (id) => ipcRenderer.invoke('scans:get', { id, adminToken: adminToken() }),
+  queryScans: (filters) => ipcRenderer.invoke('scans:query', { ...filters, adminToken: adminToken() })
+});
+
+// Expose the admin role (admin PIN from app.config.json)
+contextBridge.exposeInMainWorld('adminRole', {
+  unlock: async (pin) => {
+    const result = await ipcRenderer.invoke('admin:unlock', { pin });
+    if (result.success) {
+      sessionStorage.setItem(ADMIN_STORAGE_KEY, JSON.stringify({ token: result.token, expiresAt: result.expiresAt }));
+    }
+    return result;
+  },
+  lock: async () => {
+    const result = await ipcRenderer.invoke('admin:lock', { token: adminToken() });
+    sessionStorage.removeItem(ADMIN_STORAGE_KEY);
+    return result;
+  },
+  isAdmin: () => !!getAdminSession()
+});
+
 // Expose Wix API Explorer functionality
 contextBridge.exposeInMainWorld('wixExplorer', {
   getConfig: () => ipcRenderer.invoke('wix-explorer:get-config'),
@@ -14,12 +14,138 @@ watchBtnContainer.className = 'watch-btn-container';
 watchBtnContainer.innerHTML = `
   <button id="watch-btn" class="secondary-btn">Watch Scan-ID</button>
   <span id="watch-status" class="watch-status">Not watching</span>
+  <label for="station-select" class="station-label">Station:</label>
+  <select id="station-select" class="station-select">
+    <option value="">All stations</option>
+  </select>
+  <label for="staff-name" class="staff-label">Staff:</label>
+  <input id="staff-name" class="staff-name" type="text" maxlength="60" placeholder="Your name">
 `;
 scanBtn.parentNode.insertBefore(watchBtnContainer, scanBtn.nextSibling);
 
 // Get references to the new elements
 const watchBtn = document.getElementById('watch-btn');
 const watchStatus = document.getElementById('watch-status');
+const stationSelect = document.getElementById('station-select');
+const staffNameInput = document.getElementById('staff-name');
+
+// Who is at the desk, recorded when staff confirm a member; kept on this PC
+const STAFF_STORAGE_KEY = 'mini_checkin_staff';
+staffNameInput.value = localStorage.getItem(STAFF_STORAGE_KEY) || '';
+staffNameInput.addEventListener('change', () => {
+  staffNameInput.value = staffNameInput.value.trim();
+  localStorage.setItem(STAFF_STORAGE_KEY, staffNameInput.value);
+});
+
+// Populate the station selector from the configured scan sources
+async function loadScanStations() {
+  const result = await window.scanidAPI.getScanSources();
+  if (!result.success) {
+    console.error('Failed to load scan stations:', result.error);
+    return;
+  }
+  
+  result.sources.forEach(source => {
+    const option = document.createElement('option');
+    option.value = source.id;
+    option.textContent = source.station;
+    stationSelect.appendChild(option);
+  });
+  
+  stationSelect.value = window.scanidAPI.getStation();
+  // Single-station installs have nothing to choose
+  watchBtnContainer.classList.toggle('single-station', result.sources.length < 2);
+}
+
+stationSelect.addEventListener('change', async () => {
+  window.scanidAPI.subscribeStation(stationSelect.value);
+  const status = await window.scanidAPI.getWatchStatus();
+  updateWatchUi(status.success && status.watching);
+});
+
+// Reflect the watching state in the watch button and status label
+function updateWatchUi(watching) {
+  if (watching) {
+    watchBtn.textContent = 'Stop Watching';
+    watchBtn.setAttribute('data-watching', 'true');
+    watchStatus.textContent = 'Watching for scans...';
+    watchStatus.className = 'watch-status watching';
+  } else {
+    watchBtn.textContent = 'Watch Scan-ID';
+    watchBtn.setAttribute('data-watching', 'false');
+    watchBtn.classList.remove('end-watch-hover');
+    watchStatus.textContent = 'Not watching';
+    watchStatus.className = 'watch-status';
+  }
+}
+
+loadScanStations();
+
+// Text from a scan, a Wix contact or staff input, made safe to put in innerHTML
+// (a contact name or "confirmed by" entry can contain markup)
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Match-scoring profile (points and confidence thresholds) from the app, so the
+// legend and colors below always agree with the scorer
+let scoringProfile = null;
+
+async function getScoringProfile() {
+  if (!scoringProfile) {
+    const result = await window.scanidAPI.getScoringProfile();
+    if (!result.success) {
+      console.error('Failed to load scoring profile:', result.error);
+      return null;
+    }
+    scoringProfile = result.profile;
+  }
+  return scoringProfile;
+}
+
+// Confidence class for a score; no class when the profile could not be loaded
+function confidenceClassFor(score, profile) {
+  if (!profile) return '';
+  if (score >= profile.thresholds.high) return 'high-confidence';
+  if (score >= profile.thresholds.medium) return 'medium-confidence';
+  return 'low-confidence';
+}
+
+function confidenceLegendHtml(profile) {
+  if (!profile) return '';
+  const { high, medium } = profile.thresholds;
+  return `
+          <div class="confidence-legend">
+            <div class="confidence-info">Confidence scores: 
+              <span class="high-confidence">High (${high}-${profile.maxScore})</span> | 
+              <span class="medium-confidence">Medium (${medium}-${high - 1})</span> | 
+              <span class="low-confidence">Low (0-${medium - 1})</span>
+            </div>
+            <div class="scoring-profile-version">Scoring profile v${profile.version}</div>
+          </div>`;
+}
+
+// Where the candidates came from: the local contact mirror (and how old it is) or live Wix queries
+function contactMirrorStatusHtml(queryDetails) {
+  const mirror = queryDetails.contactMirror;
+  if (queryDetails.methodUsed === 'contactMirror') {
+    return `<p class="contact-mirror-status fresh"><strong>Contacts:</strong> local mirror of ${mirror.contactCount} contacts, synced ${mirror.ageMinutes} min ago</p>`;
+  }
+  if (queryDetails.methodUsed !== 'queryContacts') return '';
+  const reason = !mirror ? 'unavailable'
+    : !mirror.enabled ? 'disabled'
+    : mirror.syncing ? 'syncing'
+    : mirror.ageMinutes === null ? 'not synced yet'
+    : `last synced ${mirror.ageMinutes} min ago`;
+  return `<p class="contact-mirror-status stale"><strong>Contacts:</strong> live Wix search (local mirror ${reason})</p>`;
+}
+
+getScoringProfile();
 
 // Set up watch button hover effects and click handler
 watchBtn.addEventListener('mouseenter', () => {
@@ -47,11 +173,7 @@ watchBtn.addEventListener('click', async () => {
     // Currently watching, so stop
     const result = await window.scanidAPI.stopWatching();
     if (result.success) {
-      watchBtn.textContent = 'Watch Scan-ID';
-      watchBtn.setAttribute('data-watching', 'false');
-      watchBtn.classList.remove('end-watch-hover');
-      watchStatus.textContent = 'Not watching';
-      watchStatus.className = 'watch-status';
+      updateWatchUi(false);
     } else {
       console.error('Failed to stop watching:', result.error);
     }
@@ -59,10 +181,7 @@ watchBtn.addEventListener('click', async () => {
     // Not watching, so start
     const result = await window.scanidAPI.startWatching();
     if (result.success) {
-      watchBtn.textContent = 'Stop Watching';
-      watchBtn.setAttribute('data-watching', 'true');
-      watchStatus.textContent = 'Watching for scans...';
-      watchStatus.className = 'watch-status watching';
+      updateWatchUi(true);
     } else {
       console.error('Failed to start watching:', result.error);
     }
@@ -76,17 +195,7 @@ document.addEventListener('DOMContentLoaded', () => {
   unregisterCallback = window.scanidAPI.onScanWatchEvent((eventType, data) => {
     if (eventType === 'status') {
       // Update the watch status UI
-      if (data.watching) {
-        watchBtn.textContent = 'Stop Watching';
-        watchBtn.setAttribute('data-watching', 'true');
-        watchStatus.textContent = 'Watching for scans...';
-        watchStatus.className = 'watch-status watching';
-      } else {
-        watchBtn.textContent = 'Watch Scan-ID';
-        watchBtn.setAttribute('data-watching', 'false');
-        watchStatus.textContent = 'Not watching';
-        watchStatus.className = 'watch-status';
-      }
+      updateWatchUi(data.watching);
     } else if (eventType === 'newscan') {
       // New scan detected, process it
       watchStatus.textContent = 'New scan detected!';
@@ -116,7 +225,8 @@ window.addEventListener('beforeunload', () => {
 });
 
 // Main function to process a scan (either from button click or watch feature)
-async function processScan(scan) {
+// options.forceLookup runs the Wix lookup even for a repeat of an earlier scan
+async function processScan(scan, options = {}) {
   const resultDiv = document.getElementById('scan-result');
   const accountDiv = document.getElementById('account-info');
   
@@ -130,7 +240,7 @@ async function processScan(scan) {
   }
   
   function showDiagnostics(title, data) {
-    diagPanel.innerHTML = `<strong>${title}</strong><pre>${JSON.stringify(data, null, 2)}</pre>`;
+    diagPanel.innerHTML = `<strong>${title}</strong><pre>${escapeHtml(JSON.stringify(diagnosticsPayload(data), null, 2))}</pre>`;
   }
   
   resultDiv.textContent = 'Processing scan...';
@@ -156,29 +266,68 @@ async function processScan(scan) {
     
     // Format the date in a more readable format
     const dob = scan.DateOfBirth ? new Date(scan.DateOfBirth.replace(/-/g, '/')).toLocaleDateString() : 'N/A';
-    const scanTime = scan.ScanTime ? new Date(scan.ScanTime.split(' ')[0].replace(/\//g, '-')).toLocaleString() : 'N/A';
+    const scanTime = scan.ScanTimestamp ? new Date(scan.ScanTimestamp).toLocaleString() : (scan.ScanTime || 'N/A');
     const expires = scan.IDExpiration ? new Date(scan.IDExpiration.replace(/-/g, '/')).toLocaleDateString() : 'N/A';
     
     resultDiv.innerHTML = `
+      ${renderValidationBanner(scan.Validation)}
       <div class="scan-card">
         <h3>ID Scan Result</h3>
         <div class="scan-details">
-          <div class="scan-photo">
+          <div class="scan-photo" id="scan-photo">
             <div class="photo-placeholder">ID Photo</div>
           </div>
           <div class="scan-info">
-            <p><strong>Full Name:</strong> ${scan.FullName || 'N/A'}</p>
-            <p><strong>DOB:</strong> ${dob} (Age: ${scan.Age || 'N/A'})</p>
-            <p><strong>ID Number:</strong> ${scan.IDNumber || 'N/A'}</p>
-            <p><strong>Expires:</strong> ${expires}</p>
-            <p><strong>Scan Time:</strong> ${scanTime}</p>
+            <p><strong>Full Name:</strong> ${escapeHtml(scan.FullName || 'N/A')}</p>
+            <p><strong>DOB:</strong> ${escapeHtml(dob)} (Age: ${escapeHtml(scan.Age || 'N/A')})</p>
+            <p><strong>ID Number:</strong> ${escapeHtml(scan.IDNumber || 'N/A')}</p>
+            <p><strong>Expires:</strong> ${escapeHtml(expires)}</p>
+            ${scan.State ? `<p><strong>State:</strong> ${escapeHtml(scan.State)}${scan.Sex ? ` &middot; <strong>Sex:</strong> ${escapeHtml(scan.Sex)}` : ''}</p>` : ''}
+            ${scan.Address && scan.Address.street ? `<p><strong>Address:</strong> ${escapeHtml(`${scan.Address.street}, ${scan.Address.city} ${scan.Address.postalCode}`)}</p>` : ''}
+            <p><strong>Scan Time:</strong> ${escapeHtml(scanTime)}</p>
+            ${scan.Station ? `<p><strong>Station:</strong> ${escapeHtml(scan.Station)}</p>` : ''}
           </div>
         </div>
+        <div id="previous-visit"></div>
+        ${scan.Validation && !scan.Validation.valid ? '' : `
+        <div class="decision-actions">
+          <button id="admit-btn" class="admit-btn">Admit</button>
+          <button id="deny-btn" class="deny-btn">Deny</button>
+          <span id="decision-status" class="decision-status"></span>
+        </div>`}
       </div>
     `;
     
+    // Keep a history entry for every processed scan (see ScanHistoryService)
+    const historyEntry = await window.scanHistory.recordScan(scan);
+    currentHistoryId = historyEntry.success ? historyEntry.id : null;
+    currentChosenContactId = null;
+    if (!historyEntry.success) {
+      console.error('Failed to record scan history:', historyEntry.error);
+    }
+    setUpDecisionButtons(currentHistoryId);
+    const previousVisit = historyEntry.success ? historyEntry.previous : null;
+    
+    // Load the ID images in the background so the member lookup is not held up
+    renderScanImages(scan, document.getElementById('scan-photo'));
+    
     showDiagnostics('Scan API Response', scan);
     
+    // Hard validation failures (underage, expired, impossible dates) stop the check-in
+    if (scan.Validation && !scan.Validation.valid) {
+      accountDiv.innerHTML = '<div class="error">Check-in stopped: this ID failed validation. Do not admit.</div>';
+      return;
+    }
+    
+    // Same license seen earlier: duplicates and re-entries skip the fresh lookup
+    if (previousVisit) {
+      renderPreviousVisit(previousVisit, scan);
+      if (previousVisit.kind !== 'returning' && !options.forceLookup) {
+        accountDiv.innerHTML = '';
+        return;
+      }
+    }
+    
     // Step 2: Search for the member in Wix
     try {
       accountDiv.innerHTML = '<div class="loading">Looking up member in Wix...</div>';
@@ -196,220 +345,571 @@ async function processScan(scan) {
       // Pass parameters as an object to match the expected format in WixSdkAdapter
       const memberResult = await window.wixSdk.searchMember({
         firstName: scan.FirstName,
+        middleName: scan.MiddleName,
         lastName: scan.LastName,
-        dateOfBirth: scan.DateOfBirth
+        suffix: scan.Suffix,
+        dateOfBirth: scan.DateOfBirth,
+        // Members activated with this license are found by ID first
+        idNumber: scan.IDNumber
       });
     
-      // Display the query details used for the search
-      if (memberResult.queryDetails) {
-        const queryDetailsHtml = `
-          <div class="query-details-panel">
-            <h4>Wix SDK Query Details</h4>
-            <div class="query-details">
-              <p><strong>Method Used:</strong> ${memberResult.queryDetails.methodUsed}</p>
-              <p><strong>First Name:</strong> "${memberResult.queryDetails.firstName}"</p>
-              <p><strong>Last Name:</strong> "${memberResult.queryDetails.lastName}"</p>
-              <p><strong>Date of Birth:</strong> "${memberResult.queryDetails.dateOfBirth}"</p>
-            </div>
-          </div>
-        `;
-        accountDiv.innerHTML += queryDetailsHtml;
-      }
-      
       // Show the diagnostics panel with the raw API response
       showDiagnostics('Wix SDK Response', memberResult);
       
-      if (!memberResult.success) {
-        accountDiv.innerHTML = `<div class="error">Wix API Error: ${memberResult.error}</div>`;
-        return;
-      }
+      recordMatchResult(memberResult);
       
-      if (!memberResult.items || memberResult.items.length === 0) {
-        accountDiv.innerHTML = '<div class="error">No matching Wix member found.</div>';
-        return;
+      await renderMemberResult(memberResult, accountDiv, { fromScan: true });
+    } catch (err) {
+      console.error('Error processing member lookup:', err);
+      accountDiv.innerHTML = `<div class="error">Error: ${escapeHtml(err.message)}</div>`;
+    }
+  } catch (err) {
+    resultDiv.textContent = 'Error: ' + err.message;
+  }
+}
+
+// Show a member search result (from a scan or the manual search) as the
+// contact list with confidence scores; fromScan ties the staff's choice to the
+// scan on screen (its history entry, activation and confirmation)
+async function renderMemberResult(memberResult, accountDiv, { fromScan = false } = {}) {
+  // Display the query details used for the search
+  if (memberResult.queryDetails) {
+    const queryDetailsHtml = `
+      <div class="query-details-panel">
+        <h4>Wix SDK Query Details</h4>
+        <div class="query-details">
+          <p><strong>Method Used:</strong> ${memberResult.queryDetails.methodUsed}</p>
+          <p><strong>First Name:</strong> "${escapeHtml(memberResult.queryDetails.firstName)}"</p>
+          <p><strong>Last Name:</strong> "${escapeHtml(memberResult.queryDetails.lastName)}"</p>
+          <p><strong>Date of Birth:</strong> "${escapeHtml(memberResult.queryDetails.dateOfBirth)}"</p>
+          ${contactMirrorStatusHtml(memberResult.queryDetails)}
+          ${memberResult.queryDetails.candidatesLeftOut ? `<p class="contact-mirror-status stale"><strong>Not scored:</strong> ${memberResult.queryDetails.candidatesLeftOut} more contacts matched the name; search by email or phone if the member is not listed</p>` : ''}
+        </div>
+      </div>
+    `;
+    accountDiv.innerHTML += queryDetailsHtml;
+  }
+  
+  if (!memberResult.success) {
+    accountDiv.innerHTML = `<div class="error">Wix API Error: ${escapeHtml(memberResult.error)}</div>`;
+    return;
+  }
+  
+  if (!memberResult.items || memberResult.items.length === 0) {
+    accountDiv.innerHTML = '<div class="error">No matching Wix member found.</div>';
+    return;
+  }
+
+  // Format the member data for display with confidence scores
+  const profile = await getScoringProfile();
+  let memberHtml = `
+    <div class="member-info">
+      <h3>Contacts Found (${memberResult.items.length})</h3>
+      <p class="member-source">Source: ${memberResult.source}</p>${confidenceLegendHtml(profile)}
+      <div class="contacts-list">
+  `;
+  
+  // Add each contact with confidence score
+  memberResult.items.forEach((contact, index) => {
+    const confidenceScore = contact._confidence?.score || 0;
+    const confidenceClass = confidenceClassFor(confidenceScore, profile);
+    
+    // Get contact details
+    const contactName = escapeHtml(`${contact.info?.name?.first || ''} ${contact.info?.name?.last || ''}`);
+    const contactId = escapeHtml(contact._id || contact.id || 'N/A');
+    
+    // Access the email field based on Wix CRM Contacts API structure
+    let contactEmail = 'N/A';
+    
+    // Primary email address is stored in the primaryInfo.email field
+    if (contact.primaryInfo?.email) {
+      contactEmail = contact.primaryInfo.email;
+    }
+    // Check for email in the info.emails array
+    else if (contact.info?.emails && contact.info.emails.length > 0) {
+      // Find the primary email first
+      const primaryEmail = contact.info.emails.find(e => e.primary === true);
+      if (primaryEmail?.email) {
+        contactEmail = primaryEmail.email;
+      } 
+      // If no primary email, use the first one
+      else if (contact.info.emails[0]?.email) {
+        contactEmail = contact.info.emails[0].email;
       }
+    }
+    // Check for loginEmail field (used for members)
+    else if (contact.loginEmail) {
+      contactEmail = contact.loginEmail;
+    }
     
-      // Format the member data for display with confidence scores
-      let memberHtml = `
-        <div class="member-info">
-          <h3>Contacts Found (${memberResult.items.length})</h3>
-          <p class="member-source">Source: ${memberResult.source}</p>
-          <div class="confidence-legend">
-            <div class="confidence-info">Confidence scores: 
-              <span class="high-confidence">High (60-100)</span> | 
-              <span class="medium-confidence">Medium (35-59)</span> | 
-              <span class="low-confidence">Low (0-34)</span>
-            </div>
-          </div>
-          <div class="contacts-list">
-      `;
-      
-      // Add each contact with confidence score
-      memberResult.items.forEach((contact, index) => {
-        const confidenceScore = contact._confidence?.score || 0;
-        let confidenceClass = 'low-confidence';
-        
-        if (confidenceScore >= 60) {
-          confidenceClass = 'high-confidence';
-        } else if (confidenceScore >= 35) {
-          confidenceClass = 'medium-confidence';
+    const contactCreated = new Date(contact._createdDate || contact.createdDate).toLocaleString();
+    
+    // Format confidence details; they quote names and the "confirmed by" staff entry
+    const confidenceDetails = contact._confidence?.details || [];
+    const confidenceDetailsHtml = confidenceDetails.length > 0 ?
+      `<div class="confidence-details">${confidenceDetails.map(escapeHtml).join('<br>')}</div>` : '';
+    // Contacts found by license number, or only because their name sounds like the scanned one
+    const tierBadges = {
+      'id': '<span class="id-match-badge" title="This license is on file for the member">ID match</span>',
+      'confirmed': '<span class="confirmed-badge" title="Staff confirmed this contact for this license before">Confirmed</span>',
+      'sounds-like': '<span class="sounds-like-badge" title="Found by how the name sounds; check the spelling">Sounds like</span>'
+    };
+    const tierBadge = tierBadges[contact._confidence?.tier] || '';
+    
+    // Add this contact to the HTML
+    memberHtml += `
+      <div class="contact-item ${confidenceClass}">
+        <div class="contact-header">
+          <span class="contact-name">${contactName}</span>
+          ${tierBadge}
+          <span class="confidence-score">Match: ${confidenceScore}%</span>
+        </div>
+        <div class="contact-details">
+          <div class="contact-id">ID: ${contactId}</div>
+          <div class="contact-email">Email: ${escapeHtml(contactEmail)}</div>
+          <div class="contact-created">Created: ${contactCreated}</div>
+          ${confidenceDetailsHtml}
+        </div>
+        <div class="contact-actions">
+          <button class="view-plans-btn" data-member-id="${contactId}">View Plans</button>
+          ${!fromScan || contact._confidence?.tier === 'id' ? '' : `<button class="confirm-member-btn" data-member-id="${contactId}">Confirm this is the member</button>
+          <span id="confirm-status-${contactId}" class="confirm-member-status"></span>`}
+        </div>
+        <div id="plans-${contactId}" class="contact-plans"></div>
+      </div>
+    `;
+  });
+  
+  // Close the contacts list div
+  memberHtml += `
+      </div>
+    </div>
+  `;
+  
+  accountDiv.innerHTML = memberHtml;
+  
+  // An ID match, or the contact staff confirmed for this license before, is
+  // the member; staff do not need to pick one
+  if (fromScan && ['id', 'confirmed'].includes(memberResult.items[0]._confidence?.tier)) {
+    updateHistory({ chosenContact: summarizeContact(memberResult.items[0]) });
+  }
+  
+  // Add event listeners for the View Plans buttons
+  setTimeout(() => {
+    // Confirming a contact links this license and birthdate to it, so the
+    // next scan lists it first
+    document.querySelectorAll('.confirm-member-btn').forEach(button => {
+      button.addEventListener('click', async function() {
+        const memberId = this.getAttribute('data-member-id');
+        const status = document.getElementById(`confirm-status-${memberId}`);
+        const confirmedBy = staffNameInput.value.trim();
+        if (!confirmedBy) {
+          status.textContent = 'Enter your name in the Staff box first';
+          staffNameInput.focus();
+          return;
         }
         
-        // Get contact details
-        const contactName = `${contact.info?.name?.first || ''} ${contact.info?.name?.last || ''}`;
-        const contactId = contact._id || contact.id || 'N/A';
-        
-        // Access the email field based on Wix CRM Contacts API structure
-        let contactEmail = 'N/A';
-        
-        // Primary email address is stored in the primaryInfo.email field
-        if (contact.primaryInfo?.email) {
-          contactEmail = contact.primaryInfo.email;
+        const chosen = memberResult.items.find(contact => (contact._id || contact.id) === memberId);
+        if (chosen) {
+          updateHistory({ chosenContact: summarizeContact(chosen) });
         }
-        // Check for email in the info.emails array
-        else if (contact.info?.emails && contact.info.emails.length > 0) {
-          // Find the primary email first
-          const primaryEmail = contact.info.emails.find(e => e.primary === true);
-          if (primaryEmail?.email) {
-            contactEmail = primaryEmail.email;
-          } 
-          // If no primary email, use the first one
-          else if (contact.info.emails[0]?.email) {
-            contactEmail = contact.info.emails[0].email;
-          }
+        
+        this.disabled = true;
+        status.textContent = 'Confirming...';
+        const result = await window.scanHistory.confirmMember(currentHistoryId, memberId, confirmedBy);
+        if (result.success) {
+          // Only one contact is the member; confirming another replaces the link
+          document.querySelectorAll('.confirm-member-btn').forEach(other => { other.disabled = other === this; });
+          document.querySelectorAll('.confirm-member-status').forEach(other => { other.textContent = ''; });
+          status.textContent = `Confirmed by ${confirmedBy}`;
+        } else {
+          console.error('Failed to confirm member:', result.error);
+          this.disabled = false;
+          status.textContent = `Not confirmed: ${result.error}`;
         }
-        // Check for loginEmail field (used for members)
-        else if (contact.loginEmail) {
-          contactEmail = contact.loginEmail;
+      });
+    });
+    
+    // Set up the view plans buttons
+    document.querySelectorAll('.view-plans-btn').forEach(button => {
+      button.addEventListener('click', async function() {
+        const memberId = this.getAttribute('data-member-id');
+        const plansContainer = document.getElementById(`plans-${memberId}`);
+        
+        // Staff looking at a contact's plans have picked that contact
+        const chosen = memberResult.items.find(contact => (contact._id || contact.id) === memberId);
+        if (fromScan && chosen) {
+          updateHistory({ chosenContact: summarizeContact(chosen) });
         }
         
-        const contactCreated = new Date(contact._createdDate || contact.createdDate).toLocaleString();
+        if (plansContainer) {
+          plansContainer.innerHTML = '<div class="loading">Loading plans and orders...</div>';
+          
+          // Use the Wix JavaScript SDK to get orders for this contact
+          // The getMemberPricingPlans method now uses the SDK implementation
+          const plansResult = await window.scanidAPI.getMemberPricingPlans(memberId);
+          
+          // Store the response in the lastWixResponse for debugging
+          window.lastWixResponse = { plansResult };
+          
+          // Set ordersResult to plansResult since they're now the same API call
+          const ordersResult = plansResult;
         
-        // Format confidence details
-        const confidenceDetails = contact._confidence?.details || [];
-        const confidenceDetailsHtml = confidenceDetails.length > 0 ?
-          `<div class="confidence-details">${confidenceDetails.join('<br>')}</div>` : '';
+        // Log the results for debugging
+        console.log('Plans result:', plansResult);
+        console.log('Orders result:', ordersResult);
         
-        // Add this contact to the HTML
-        memberHtml += `
-          <div class="contact-item ${confidenceClass}">
-            <div class="contact-header">
-              <span class="contact-name">${contactName}</span>
-              <span class="confidence-score">Match: ${confidenceScore}%</span>
+        // Build the HTML for plans
+        let plansHtml = '';
+        if (plansResult.success && plansResult.plans && plansResult.plans.length > 0) {
+          plansHtml = `
+            <div class="pricing-plans">
+              <h4>Current Membership Plans</h4>
+              <ul class="plans-list">
+                ${plansResult.plans.map(plan => `
+                  <li class="plan-item ${plan.status === 'ACTIVE' ? 'active-plan' : 'inactive-plan'}">
+                    <div class="plan-name">${plan.planName || 'Unnamed Plan'}</div>
+                    <div class="plan-details">
+                      <span class="plan-status">${plan.status || 'Unknown'}</span>
+                      ${plan.validFrom ? `<span class="plan-dates">From: ${new Date(plan.validFrom).toLocaleDateString()}</span>` : ''}
+                      ${plan.expiresAt ? `<span class="plan-dates">To: ${new Date(plan.expiresAt).toLocaleDateString()}</span>` : ''}
+                    </div>
+                  </li>
+                `).join('')}
+              </ul>
             </div>
-            <div class="contact-details">
-              <div class="contact-id">ID: ${contactId}</div>
-              <div class="contact-email">Email: ${contactEmail}</div>
-              <div class="contact-created">Created: ${contactCreated}</div>
-              ${confidenceDetailsHtml}
-            </div>
-            <div class="contact-actions">
-              <button class="view-plans-btn" data-member-id="${contactId}">View Plans</button>
+          `;
+        } else {
+          plansHtml = `<div class="no-plans">No active membership plans found</div>`;
+        }
+        
+        // Build the HTML for orders
+        let ordersHtml = '';
+        if (ordersResult.success && ordersResult.orders && ordersResult.orders.length > 0) {
+          ordersHtml = `
+            <div class="pricing-orders">
+              <h4>Order History</h4>
+              <ul class="orders-list">
+                ${ordersResult.orders.map(order => `
+                  <li class="order-item">
+                    <div class="order-name">${order.planName || 'Unnamed Order'}</div>
+                    <div class="order-details">
+                      <span class="order-status">${order.status || 'Unknown'}</span>
+                      <span class="order-id">Order ID: ${order._id || 'N/A'}</span>
+                      ${order.createdDate ? `<span class="order-dates">Created: ${new Date(order.createdDate).toLocaleDateString()}</span>` : ''}
+                      ${order.endDate ? `<span class="order-dates">Ends: ${new Date(order.endDate).toLocaleDateString()}</span>` : ''}
+                    </div>
+                  </li>
+                `).join('')}
+              </ul>
             </div>
-            <div id="plans-${contactId}" class="contact-plans"></div>
+          `;
+        } else {
+          ordersHtml = `<div class="no-orders">No order history found</div>`;
+        }
+        
+        // Combine plans and orders HTML
+        plansContainer.innerHTML = `
+          <div class="member-subscription-info">
+            ${plansHtml}
+            ${ordersHtml}
           </div>
         `;
-      });
+      }
+    });
+  });
+}, 100);
+}
+
+// Manual member search, for a scan that failed or a guest without a license
+// (e.g. a passport): same matcher and contact list as a scan, but nothing is
+// recorded in the scan history
+const manualSearchForm = document.getElementById('manual-search-form');
+const manualSearchStatus = document.getElementById('manual-search-status');
+
+manualSearchForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const field = id => document.getElementById(id).value.trim();
+  const params = {
+    firstName: field('manual-first-name'),
+    lastName: field('manual-last-name'),
+    dateOfBirth: field('manual-dob'),
+    email: field('manual-email'),
+    phone: field('manual-phone')
+  };
+  if (!params.firstName && !params.lastName && !params.email && !params.phone) {
+    manualSearchStatus.textContent = 'Enter a name, email or phone';
+    return;
+  }
+  manualSearchStatus.textContent = '';
+  
+  const resultDiv = document.getElementById('scan-result');
+  const accountDiv = document.getElementById('account-info');
+  // The scan that was on screen is done with; admitting and confirming need a scan
+  currentHistoryId = null;
+  currentChosenContactId = null;
+  resultDiv.innerHTML = '<div class="manual-search-note">Manual search &mdash; no ID scanned</div>';
+  accountDiv.innerHTML = '<div class="loading">Looking up member in Wix...</div>';
+  
+  try {
+    const memberResult = await window.wixSdk.searchMember(params);
+    await renderMemberResult(memberResult, accountDiv);
+  } catch (err) {
+    console.error('Error in manual member search:', err);
+    accountDiv.innerHTML = `<div class="error">Error: ${escapeHtml(err.message)}</div>`;
+  }
+});
+
+// Scan history entry for the scan currently on screen
+let currentHistoryId = null;
+// Contact staff picked for the current scan; admitting activates it
+let currentChosenContactId = null;
+// Latest history update, so activation reads the chosen contact once it is saved
+let pendingHistoryUpdate = Promise.resolve();
+
+function updateHistory(changes) {
+  if (!currentHistoryId) {
+    return;
+  }
+  if (changes.chosenContact) {
+    currentChosenContactId = changes.chosenContact.id;
+  }
+  pendingHistoryUpdate = window.scanHistory.updateScan(currentHistoryId, changes).then(result => {
+    if (!result.success) {
+      console.error('Failed to update scan history:', result.error);
+    }
+  });
+}
+
+// The parts of a Wix contact worth keeping in the scan history
+function summarizeContact(contact) {
+  return {
+    id: contact._id || contact.id || null,
+    name: `${contact.info?.name?.first || ''} ${contact.info?.name?.last || ''}`.trim(),
+    email: contact.primaryInfo?.email || null,
+    score: contact._confidence?.score ?? null,
+    tier: contact._confidence?.tier || null
+  };
+}
+
+function recordMatchResult(memberResult) {
+  if (!memberResult.success) {
+    updateHistory({ match: { success: false, error: memberResult.error || 'Unknown error' } });
+    return;
+  }
+  const items = memberResult.items || [];
+  updateHistory({
+    match: {
+      success: true,
+      source: memberResult.source || null,
+      scoringProfileVersion: memberResult.scoringProfileVersion || null,
+      count: items.length,
+      topScore: items.length ? (items[0]._confidence?.score ?? null) : null,
+      candidates: items.slice(0, 5).map(summarizeContact)
+    }
+  });
+}
+
+// Admit / Deny buttons on the scan card record the final decision
+function setUpDecisionButtons(historyId) {
+  const admitBtn = document.getElementById('admit-btn');
+  const denyBtn = document.getElementById('deny-btn');
+  const decisionStatus = document.getElementById('decision-status');
+  if (!admitBtn || !denyBtn) {
+    return;
+  }
+  
+  const decide = async (decision) => {
+    if (!historyId) {
+      decisionStatus.textContent = 'Scan history unavailable';
+      return;
+    }
+    const result = await window.scanHistory.updateScan(historyId, { decision });
+    if (result.success) {
+      decisionStatus.textContent = decision === 'admitted' ? 'Admitted' : 'Denied';
+      decisionStatus.className = `decision-status ${decision}`;
       
-      // Close the contacts list div
-      memberHtml += `
-          </div>
+      // Activation: store the license on the chosen member for ID matching next time
+      if (decision === 'admitted' && currentChosenContactId) {
+        await pendingHistoryUpdate;
+        const activation = await window.scanHistory.activateMember(historyId);
+        if (activation.success && !activation.alreadyLinked) {
+          decisionStatus.textContent = 'Admitted · ID saved to member';
+        } else if (!activation.success && !activation.disabled) {
+          console.error('Failed to store the license on the member:', activation.error);
+          decisionStatus.textContent = `Admitted · ID not saved: ${activation.error}`;
+        }
+      }
+    } else {
+      decisionStatus.textContent = `Error: ${result.error}`;
+      decisionStatus.className = 'decision-status error';
+    }
+  };
+  
+  admitBtn.addEventListener('click', () => decide('admitted'));
+  denyBtn.addEventListener('click', () => decide('denied'));
+}
+
+// Panel for an earlier visit by the same license (see ScanHistoryService)
+function renderPreviousVisit(previous, scan) {
+  const container = document.getElementById('previous-visit');
+  if (!container) {
+    return;
+  }
+  
+  const decisionLabels = { admitted: 'Admitted', denied: 'Denied', pending: 'No decision' };
+  const when = previous.minutesAgo < 1 ? 'less than a minute ago'
+    : previous.minutesAgo < 120 ? `${previous.minutesAgo} minutes ago`
+    : `${Math.floor(previous.minutesAgo / 60)} hours ago (${new Date(previous.recordedAt).toLocaleTimeString()})`;
+  const contact = previous.chosenContact && previous.chosenContact.name ? ` as ${previous.chosenContact.name}` : '';
+  const decision = escapeHtml(`${decisionLabels[previous.decision] || previous.decision}${contact}`);
+  const station = previous.station ? ` at ${escapeHtml(previous.station)}` : '';
+  
+  let html;
+  if (previous.kind === 'duplicate') {
+    html = `
+      <div class="previous-visit duplicate">
+        <strong>Already processed ${when}</strong>${station} &mdash; previous decision: ${decision}
+        <div class="previous-visit-actions">
+          <button class="lookup-again-btn">Look up again</button>
         </div>
-      `;
-      
-      accountDiv.innerHTML = memberHtml;
+      </div>
+    `;
+  } else if (previous.kind === 'reentry') {
+    html = `
+      <div class="previous-visit reentry">
+        <strong>Re-entry:</strong> ${decision} ${when}
+        <div class="previous-visit-actions">
+          <button class="readmit-btn">Re-admit</button>
+          <button class="lookup-again-btn">Full lookup</button>
+        </div>
+      </div>
+    `;
+  } else {
+    html = `
+      <div class="previous-visit returning">
+        Seen ${when}${station} &mdash; ${decision}
+      </div>
+    `;
+  }
+  container.innerHTML = html;
+  
+  const lookupBtn = container.querySelector('.lookup-again-btn');
+  if (lookupBtn) {
+    lookupBtn.addEventListener('click', () => processScan(scan, { forceLookup: true }));
+  }
+  
+  const readmitBtn = container.querySelector('.readmit-btn');
+  if (readmitBtn) {
+    readmitBtn.addEventListener('click', async () => {
+      const decisionStatus = document.getElementById('decision-status');
+      const result = currentHistoryId
+        ? await window.scanHistory.updateScan(currentHistoryId, {
+          decision: 'admitted',
+          chosenContact: previous.chosenContact,
+          readmitOf: previous.id
+        })
+        : { success: false, error: 'Scan history unavailable' };
       
-      // Add event listeners for the View Plans buttons
-      setTimeout(() => {
-        // Set up the view plans buttons
-        document.querySelectorAll('.view-plans-btn').forEach(button => {
-          button.addEventListener('click', async function() {
-            const memberId = this.getAttribute('data-member-id');
-            const plansContainer = document.getElementById(`plans-${memberId}`);
-            
-            if (plansContainer) {
-              plansContainer.innerHTML = '<div class="loading">Loading plans and orders...</div>';
-              
-              // Use the Wix JavaScript SDK to get orders for this contact
-              // The getMemberPricingPlans method now uses the SDK implementation
-              const plansResult = await window.scanidAPI.getMemberPricingPlans(memberId);
-              
-              // Store the response in the lastWixResponse for debugging
-              window.lastWixResponse = { plansResult };
-              
-              // Set ordersResult to plansResult since they're now the same API call
-              const ordersResult = plansResult;
-            
-            // Log the results for debugging
-            console.log('Plans result:', plansResult);
-            console.log('Orders result:', ordersResult);
-            
-            // Build the HTML for plans
-            let plansHtml = '';
-            if (plansResult.success && plansResult.plans && plansResult.plans.length > 0) {
-              plansHtml = `
-                <div class="pricing-plans">
-                  <h4>Current Membership Plans</h4>
-                  <ul class="plans-list">
-                    ${plansResult.plans.map(plan => `
-                      <li class="plan-item ${plan.status === 'ACTIVE' ? 'active-plan' : 'inactive-plan'}">
-                        <div class="plan-name">${plan.planName || 'Unnamed Plan'}</div>
-                        <div class="plan-details">
-                          <span class="plan-status">${plan.status || 'Unknown'}</span>
-                          ${plan.validFrom ? `<span class="plan-dates">From: ${new Date(plan.validFrom).toLocaleDateString()}</span>` : ''}
-                          ${plan.expiresAt ? `<span class="plan-dates">To: ${new Date(plan.expiresAt).toLocaleDateString()}</span>` : ''}
-                        </div>
-                      </li>
-                    `).join('')}
-                  </ul>
-                </div>
-              `;
-            } else {
-              plansHtml = `<div class="no-plans">No active membership plans found</div>`;
-            }
-            
-            // Build the HTML for orders
-            let ordersHtml = '';
-            if (ordersResult.success && ordersResult.orders && ordersResult.orders.length > 0) {
-              ordersHtml = `
-                <div class="pricing-orders">
-                  <h4>Order History</h4>
-                  <ul class="orders-list">
-                    ${ordersResult.orders.map(order => `
-                      <li class="order-item">
-                        <div class="order-name">${order.planName || 'Unnamed Order'}</div>
-                        <div class="order-details">
-                          <span class="order-status">${order.status || 'Unknown'}</span>
-                          <span class="order-id">Order ID: ${order._id || 'N/A'}</span>
-                          ${order.createdDate ? `<span class="order-dates">Created: ${new Date(order.createdDate).toLocaleDateString()}</span>` : ''}
-                          ${order.endDate ? `<span class="order-dates">Ends: ${new Date(order.endDate).toLocaleDateString()}</span>` : ''}
-                        </div>
-                      </li>
-                    `).join('')}
-                  </ul>
-                </div>
-              `;
-            } else {
-              ordersHtml = `<div class="no-orders">No order history found</div>`;
-            }
-            
-            // Combine plans and orders HTML
-            plansContainer.innerHTML = `
-              <div class="member-subscription-info">
-                ${plansHtml}
-                ${ordersHtml}
-              </div>
-            `;
-          }
-        });
-      });
-    }, 100);
+      if (result.success) {
+        readmitBtn.disabled = true;
+        readmitBtn.textContent = 'Re-admitted';
+        if (decisionStatus) {
+          decisionStatus.textContent = 'Re-admitted';
+          decisionStatus.className = 'decision-status admitted';
+        }
+      } else if (decisionStatus) {
+        decisionStatus.textContent = `Error: ${result.error}`;
+        decisionStatus.className = 'decision-status error';
+      }
+    });
+  }
+}
+
+// Banner for the scan's validation verdict: red and blocking for hard failures,
+// amber for warnings that staff should double-check
+function renderValidationBanner(validation) {
+  if (!validation) {
+    return '';
+  }
+  
+  const list = items => `<ul>${items.map(item => `<li>${escapeHtml(item.message)}</li>`).join('')}</ul>`;
+  
+  if (!validation.valid) {
+    return `
+      <div class="validation-banner blocking" role="alert">
+        <strong>ID REJECTED — do not admit</strong>
+        ${list(validation.failures)}
+        ${validation.warnings.length ? list(validation.warnings) : ''}
+      </div>
+    `;
+  }
+  
+  if (validation.warnings.length) {
+    return `
+      <div class="validation-banner warning">
+        <strong>Check the ID</strong>
+        ${list(validation.warnings)}
+      </div>
+    `;
+  }
+  
+  return '';
+}
+
+// Show the ID images Scan-ID captured so staff can compare the face to the person at the desk
+// Image1 is the front of the ID and Image2 the back; the rest are extra captures
+async function renderScanImages(scan, photoDiv) {
+  const images = (scan.Images || [])
+    .map((imagePath, index) => ({ imagePath, label: ['Front', 'Back'][index] || `Image ${index + 1}` }))
+    .filter(image => image.imagePath);
+  
+  if (!photoDiv || images.length === 0) {
+    return;
+  }
+  
+  const loaded = [];
+  for (const image of images) {
+    try {
+      const url = await window.scanidAPI.getScanImageUrl(scan, image.imagePath);
+      if (url) {
+        loaded.push({ ...image, url });
+      }
     } catch (err) {
-      console.error('Error processing member lookup:', err);
-      accountDiv.innerHTML = `<div class="error">Error: ${err.message}</div>`;
+      console.error('Error loading ID image:', err);
     }
-  } catch (err) {
-    resultDiv.textContent = 'Error: ' + err.message;
+  }
+  
+  if (loaded.length === 0) {
+    photoDiv.innerHTML = '<div class="photo-placeholder">ID Photo unavailable</div>';
+    return;
+  }
+  
+  photoDiv.innerHTML = `
+    <img class="id-image-main" alt="${loaded[0].label} of ID">
+    <div class="id-image-thumbs"></div>
+  `;
+  const mainImg = photoDiv.querySelector('.id-image-main');
+  const thumbs = photoDiv.querySelector('.id-image-thumbs');
+  mainImg.src = loaded[0].url;
+  mainImg.onerror = () => {
+    photoDiv.innerHTML = '<div class="photo-placeholder">ID Photo unavailable</div>';
+  };
+  
+  if (loaded.length > 1) {
+    loaded.forEach(image => {
+      const thumb = document.createElement('img');
+      thumb.className = 'id-image-thumb';
+      thumb.src = image.url;
+      thumb.alt = image.label;
+      thumb.title = image.label;
+      thumb.onerror = () => thumb.remove();
+      thumb.addEventListener('click', () => {
+        mainImg.src = image.url;
+        mainImg.alt = `${image.label} of ID`;
+      });
+      thumbs.appendChild(thumb);
+    });
   }
 }
 
@@ -420,6 +920,55 @@ document.getElementById('scan-btn').addEventListener('click', async () => {
   await processScan();
 });
 
+// Keyboard-wedge 2D scanners "type" the license barcode into the page.
+// A scanner types far faster than a person, so keystrokes arriving in a quick
+// burst are collected and decoded once the burst ends.
+const WEDGE_KEY_GAP_MS = 60;
+const WEDGE_IDLE_MS = 300;
+let wedgeBuffer = '';
+let wedgeLastKeyAt = 0;
+let wedgeTimer = null;
+
+document.addEventListener('keydown', (event) => {
+  const target = event.target;
+  if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) {
+    return;
+  }
+
+  const now = Date.now();
+  // A slow keystroke starts a new burst unless a barcode is already coming in
+  if (now - wedgeLastKeyAt > WEDGE_KEY_GAP_MS && !wedgeBuffer.startsWith('@')) {
+    wedgeBuffer = '';
+  }
+  wedgeLastKeyAt = now;
+
+  if (event.key === 'Enter') {
+    wedgeBuffer += '\n';
+  } else if (event.key.length === 1) {
+    wedgeBuffer += event.key;
+  } else {
+    return;
+  }
+
+  // Keep the scanner's Enter keystrokes from clicking the focused button
+  if (wedgeBuffer.startsWith('@')) {
+    event.preventDefault();
+  }
+
+  clearTimeout(wedgeTimer);
+  wedgeTimer = setTimeout(async () => {
+    const data = wedgeBuffer;
+    wedgeBuffer = '';
+    if (!/(ANSI |AAMVA)\d{6}/.test(data)) {
+      return;
+    }
+
+    console.log('License barcode received from keyboard-wedge scanner');
+    const scan = await window.scanidAPI.parseBarcode(data);
+    await processScan(scan);
+  }, WEDGE_IDLE_MS);
+});
+
 // Debug and Help panel functionality
 let lastWixResponse = null;
 let restartCount = 0;
@@ -430,22 +979,58 @@ if (sessionStorage.getItem(sessionKey)) {
   restartCount = parseInt(sessionStorage.getItem(sessionKey), 10);
 }
 
+// Diagnostics show names, birthdates and license numbers only to an unlocked admin
+function diagnosticsPayload(data) {
+  return window.adminRole && window.adminRole.isAdmin() ? data : PiiRedaction.redact(data);
+}
+
 // Debug panel functionality
 const debugBtn = document.getElementById('debug-btn');
 const debugPanel = document.getElementById('debug-panel');
 const closeDebugBtn = document.getElementById('close-debug-btn');
 const debugContent = document.getElementById('debug-content');
+const adminPinInput = document.getElementById('admin-pin');
+const adminUnlockBtn = document.getElementById('admin-unlock-btn');
+const adminStatus = document.getElementById('admin-status');
+
+function renderDebugContent() {
+  // If we have a Wix response, display it
+  if (lastWixResponse) {
+    debugContent.textContent = JSON.stringify(diagnosticsPayload(lastWixResponse), null, 2);
+  } else {
+    debugContent.textContent = 'No Wix SDK Response data available yet. Perform a scan to see data.';
+  }
+}
+
+function updateAdminUi(message) {
+  const isAdmin = window.adminRole && window.adminRole.isAdmin();
+  adminPinInput.classList.toggle('hidden', isAdmin);
+  adminUnlockBtn.textContent = isAdmin ? 'Hide PII' : 'Show full PII';
+  adminStatus.textContent = message || (isAdmin ? 'Admin: showing full PII' : 'PII redacted');
+  adminStatus.classList.toggle('unlocked', isAdmin);
+}
 
 debugBtn.addEventListener('click', () => {
   // Toggle debug panel visibility
   debugPanel.classList.toggle('visible');
   
-  // If we have a Wix response, display it
-  if (lastWixResponse) {
-    debugContent.textContent = JSON.stringify(lastWixResponse, null, 2);
+  updateAdminUi();
+  renderDebugContent();
+});
+
+adminUnlockBtn.addEventListener('click', async () => {
+  let message;
+  if (window.adminRole.isAdmin()) {
+    await window.adminRole.lock();
   } else {
-    debugContent.textContent = 'No Wix SDK Response data available yet. Perform a scan to see data.';
+    const result = await window.adminRole.unlock(adminPinInput.value);
+    if (!result.success) {
+      message = result.error;
+    }
   }
+  adminPinInput.value = '';
+  updateAdminUi(message);
+  renderDebugContent();
 });
 
 closeDebugBtn.addEventListener('click', () => {
@@ -0,0 +1,107 @@
+/**
+ * PII redaction for the mini check-in app
+ * Masks names, birthdates, license numbers, addresses, contact details and ID
+ * image paths before scan data is logged or shown in a diagnostics panel
+ *
+ * Loaded as a plain script by the check-in page (window.PiiRedaction) and
+ * required by PiiPolicy on the server, so both sides redact the same fields.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Boundary Protection: PII is masked before it reaches logs and debug output
+ * - Separation of Concerns: One list of PII fields shared by the renderer and the server
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PiiRedaction = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const REDACTED = '[redacted]';
+
+  // Keys are compared lower-cased
+  const NAME_KEYS = ['firstname', 'lastname', 'middlename', 'fullname', 'name', 'first', 'last', 'nickname'];
+  const ID_NUMBER_KEYS = ['idnumber', 'licensenumber'];
+  const REDACTED_KEYS = [
+    'dateofbirth', 'dob', 'birthdate',
+    'address', 'addresses', 'street', 'postalcode',
+    'email', 'emails', 'loginemail', 'phone', 'phones',
+    'photopath', 'images', 'imagepath', 'barcode'
+  ];
+  // Free-text keys that can quote a birthdate (validation messages)
+  const MESSAGE_KEYS = ['message'];
+  const DATE_PATTERN = /\b\d{1,2}[-/]\d{1,2}[-/]\d{4}\b/g;
+
+  /**
+   * @param {string} name - Full or partial name
+   * @returns {string} - Initials, e.g. "J. S."
+   */
+  function initials(name) {
+    if (!name || typeof name !== 'string') return '';
+    return name.trim().split(/\s+/).filter(Boolean).map(part => `${part.charAt(0).toUpperCase()}.`).join(' ');
+  }
+
+  /**
+   * @param {string} idNumber - Driver license or ID number
+   * @returns {string} - Last 4 characters behind a mask, e.g. "****5678"
+   */
+  function maskIdNumber(idNumber) {
+    if (!idNumber) return '';
+    const text = String(idNumber).replace(/\s+/g, '');
+    return `****${text.slice(-4)}`;
+  }
+
+  /**
+   * Redact a single value by the key it is stored under
+   */
+  function redactEntry(key, value, seen) {
+    const lowerKey = key.toLowerCase();
+
+    if (value === null || value === undefined || value === '') {
+      return value;
+    }
+    if (NAME_KEYS.includes(lowerKey)) {
+      return typeof value === 'string' ? initials(value) : redact(value, seen);
+    }
+    if (ID_NUMBER_KEYS.includes(lowerKey)) {
+      return maskIdNumber(value);
+    }
+    if (REDACTED_KEYS.includes(lowerKey)) {
+      return REDACTED;
+    }
+    if (MESSAGE_KEYS.includes(lowerKey) && typeof value === 'string') {
+      return value.replace(DATE_PATTERN, REDACTED);
+    }
+    return redact(value, seen);
+  }
+
+  /**
+   * Copy a value with every PII field masked; objects and arrays are walked
+   * @param {*} value - Scan record, API response or any JSON-like value
+   * @returns {*} - Redacted copy
+   */
+  function redact(value, seen = new WeakSet()) {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, seen));
+    }
+    if (value instanceof Date) {
+      return value;
+    }
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = redactEntry(key, value[key], seen);
+    });
+    return copy;
+  }
+
+  return { REDACTED, initials, maskIdNumber, redact };
+}));
@@ -12,6 +12,45 @@
 let socket;
 let scanWatchCallbacks = [];
 
+// Scanner station this client listens to (empty = all stations)
+const STATION_STORAGE_KEY = 'mini_checkin_station';
+let subscribedStation = localStorage.getItem(STATION_STORAGE_KEY) || '';
+
+// Admin session that unredacts PII (see PiiPolicy); kept for this tab only
+const ADMIN_STORAGE_KEY = 'mini_checkin_admin';
+
+function getAdminSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(ADMIN_STORAGE_KEY) || 'null');
+    if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+      return session;
+    }
+  } catch (e) {
+    // Unreadable session; fall through and clear it
+  }
+  sessionStorage.removeItem(ADMIN_STORAGE_KEY);
+  return null;
+}
+
+/**
+ * Headers that carry the admin session token, if any
+ */
+function adminHeaders() {
+  const session = getAdminSession();
+  return session ? { 'X-Admin-Token': session.token } : {};
+}
+
+/**
+ * Reduce a server watch status to the station this client is subscribed to
+ */
+function stationWatchStatus(status) {
+  if (!subscribedStation || !Array.isArray(status.stations)) {
+    return status;
+  }
+  const station = status.stations.find(s => s.id === subscribedStation);
+  return { ...status, watching: !!(station && station.watching) };
+}
+
 // Connect to Socket.io when the document is ready
 document.addEventListener('DOMContentLoaded', () => {
   // Load the Socket.io client script dynamically
@@ -24,9 +63,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Set up event handlers
     socket.on('connect', () => {
       console.log('Connected to server via Socket.io');
+      socket.emit('subscribeStation', subscribedStation);
     });
     
-    socket.on('scanWatchStatus', (status) => {
+    socket.on('scanWatchStatus', (serverStatus) => {
+      const status = stationWatchStatus(serverStatus);
       console.log('Scan watch status:', status);
       // Notify all registered callbacks
       scanWatchCallbacks.forEach(callback => {
@@ -39,7 +80,7 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     
     socket.on('newScan', (scan) => {
-      console.log('New scan received:', scan);
+      console.log('New scan received:', getAdminSession() ? scan : PiiRedaction.redact(scan));
       // Notify all registered callbacks
       scanWatchCallbacks.forEach(callback => {
         try {
@@ -234,9 +275,29 @@ window.wixSdkAPI = {
       console.error('Error testing SDK compatibility adapter:', error);
       return { success: false, error: error.message };
     }
+  },
+  
+  // Search members with the confidence-scored matcher
+  searchMember: async (params) => {
+    try {
+      const response = await fetch('/api/wix-sdk/search-member', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(params)
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error searching for member:', error);
+      return { success: false, error: error.message };
+    }
   }
 };
 
+// The check-in screen and the API explorer use the name the Electron preload exposes
+window.wixSdk = window.wixSdkAPI;
+
 // Web client API for Wix Direct API testing
 window.wixDirectAPI = {
   // Test the Wix Direct API
@@ -265,10 +326,11 @@ window.wixDirectAPI = {
 
 // Web client API for ScanID functionality
 window.scanidAPI = {
-  // Get the latest scan from Scan-ID CSV
+  // Get the latest scan from Scan-ID CSV for the subscribed station
   getLatestScan: async () => {
     try {
-      const response = await fetch('/api/scanid/latest');
+      const query = subscribedStation ? `?station=${encodeURIComponent(subscribedStation)}` : '';
+      const response = await fetch(`/api/scanid/latest${query}`);
       if (!response.ok) {
         const errorData = await response.json();
         return { error: errorData.error || 'Failed to get latest scan' };
@@ -279,7 +341,36 @@ window.scanidAPI = {
       return { error: error.message };
     }
   },
-  
+
+  // URL the scan card can use as an <img> src; the server maps and checks the path
+  getScanImageUrl: async (scan, imagePath) => {
+    const params = new URLSearchParams({ path: imagePath });
+    const station = scan.StationId || subscribedStation;
+    if (station) {
+      params.set('station', station);
+    }
+    return `/api/scanid/image?${params.toString()}`;
+  },
+
+  // Decode a raw AAMVA barcode typed in by a keyboard-wedge scanner
+  parseBarcode: async (data) => {
+    try {
+      const response = await fetch('/api/scanid/barcode', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data, station: subscribedStation })
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        return { error: errorData.error || 'Failed to decode barcode' };
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error decoding barcode:', error);
+      return { error: error.message };
+    }
+  },
+
   // Search for a member by name or DOB
   searchMemberByNameOrDOB: async (name, dob) => {
     try {
@@ -380,7 +471,62 @@ window.scanidAPI = {
   },
   
   /**
-   * Start watching for Scan-ID changes
+   * List the configured scan sources (scanner stations)
+   * @returns {Promise<Object>} - { success, sources: [{ id, station }] }
+   */
+  getScanSources: async () => {
+    try {
+      const response = await fetch('/api/scanid/sources');
+      if (!response.ok) {
+        const errorData = await response.json();
+        return { success: false, error: errorData.error || 'Failed to get scan sources' };
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting scan sources:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Get the match-scoring profile (points and confidence thresholds)
+   * @returns {Promise<Object>} - { success, profile }
+   */
+  getScoringProfile: async () => {
+    try {
+      const response = await fetch('/api/scoring-profile');
+      if (!response.ok) {
+        const errorData = await response.json();
+        return { success: false, error: errorData.error || 'Failed to get scoring profile' };
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting scoring profile:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Get the station this client is subscribed to
+   * @returns {string} - Station id, or '' for all stations
+   */
+  getStation: () => subscribedStation,
+  
+  /**
+   * Only receive scans from one station ('' for all stations)
+   * The choice is remembered for this browser.
+   * @param {string} stationId - Station id
+   */
+  subscribeStation: (stationId) => {
+    subscribedStation = stationId || '';
+    localStorage.setItem(STATION_STORAGE_KEY, subscribedStation);
+    if (socket) {
+      socket.emit('subscribeStation', subscribedStation);
+    }
+  },
+  
+  /**
+   * Start watching for Scan-ID changes at the subscribed station
    * @returns {Promise<Object>} - Status of the watch operation
    */
   startWatching: async () => {
@@ -388,12 +534,12 @@ window.scanidAPI = {
       return { success: false, error: 'Socket.io not connected' };
     }
     
-    socket.emit('startWatching');
+    socket.emit('startWatching', subscribedStation);
     return { success: true };
   },
   
   /**
-   * Stop watching for Scan-ID changes
+   * Stop watching for Scan-ID changes at the subscribed station
    * @returns {Promise<Object>} - Status of the watch operation
    */
   stopWatching: async () => {
@@ -401,7 +547,7 @@ window.scanidAPI = {
       return { success: false, error: 'Socket.io not connected' };
     }
     
-    socket.emit('stopWatching');
+    socket.emit('stopWatching', subscribedStation);
     return { success: true };
   },
   
@@ -439,7 +585,7 @@ window.scanidAPI = {
     return new Promise((resolve) => {
       socket.emit('getWatchStatus');
       socket.once('scanWatchStatus', (status) => {
-        resolve({ success: true, watching: status.watching });
+        resolve({ success: true, watching: stationWatchStatus(status).watching });
       });
       
       // Timeout after 2 seconds
@@ -449,3 +595,135 @@ window.scanidAPI = {
     });
   }
 };
+
+// Web client API for the scan history
+window.scanHistory = {
+  // Record a processed scan; returns the history entry id
+  recordScan: async (scan) => {
+    try {
+      const response = await fetch('/api/scans', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ scan })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error recording scan:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  // Update a scan with the match result, chosen contact or decision
+  updateScan: async (id, changes) => {
+    try {
+      const response = await fetch(`/api/scans/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating scan history:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  // Store the license of an admitted scan on the chosen Wix contact
+  activateMember: async (id) => {
+    try {
+      const response = await fetch(`/api/scans/${encodeURIComponent(id)}/activate-member`, { method: 'POST' });
+      return await response.json();
+    } catch (error) {
+      console.error('Error activating member:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  // Link the identity of a scan to the contact staff confirmed for it
+  confirmMember: async (id, contactId, confirmedBy) => {
+    try {
+      const response = await fetch(`/api/scans/${encodeURIComponent(id)}/confirm-member`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ contactId, confirmedBy })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error confirming member:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  // Get one scan history entry
+  getScan: async (id) => {
+    try {
+      const response = await fetch(`/api/scans/${encodeURIComponent(id)}`, { headers: adminHeaders() });
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting scan history entry:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  // Query the scan history: { from, to, name, station, decision, limit }
+  queryScans: async (filters = {}) => {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          params.set(key, value);
+        }
+      });
+      const response = await fetch(`/api/scans?${params.toString()}`, { headers: adminHeaders() });
+      return await response.json();
+    } catch (error) {
+      console.error('Error querying scan history:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+// Web client API for the admin role (admin PIN from app.config.json)
+window.adminRole = {
+  // Start an admin session: { success, token, expiresAt } or { success: false, error }
+  unlock: async (pin) => {
+    try {
+      const response = await fetch('/api/admin/session', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ pin })
+      });
+      const result = await response.json();
+      if (result.success) {
+        sessionStorage.setItem(ADMIN_STORAGE_KEY, JSON.stringify({ token: result.token, expiresAt: result.expiresAt }));
+      }
+      return result;
+    } catch (error) {
+      console.error('Error unlocking admin role:', error);
+      return { success: false, error: error.message };
+    }
+  },
+  
+  // End the admin session
+  lock: async () => {
+    try {
+      const response = await fetch('/api/admin/session', { method: 'DELETE', headers: adminHeaders() });
+      return await response.json();
+    } catch (error) {
+      console.error('Error locking admin role:', error);
+      return { success: false, error: error.message };
+    } finally {
+      sessionStorage.removeItem(ADMIN_STORAGE_KEY);
+    }
+  },
+  
+  isAdmin: () => !!getAdminSession()
+};
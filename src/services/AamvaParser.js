@@ -0,0 +1,217 @@
+/**
+ * AamvaParser.js
+ * Decodes the AAMVA PDF417 barcode on the back of a driver license into the
+ * same scan record shape ScanIDParser produces from the Scan-ID CSV
+ *
+ * The raw string comes from a keyboard-wedge 2D scanner (typed into the
+ * check-in page) or is posted to /api/scanid/barcode. Versions 1 through 10 of
+ * the AAMVA card design standard are handled; only the DL/ID subfile is read.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Boundary Protection: Implementing strict interface contracts for barcode data
+ * - Fail Fast and Learn: Rejecting barcodes that lack the fields a check-in needs
+ */
+const { IMAGE_COLUMN_COUNT } = require('./ScanIDParser');
+
+// Fields without which a barcode cannot be used for a check-in
+const REQUIRED_ELEMENTS = {
+  DAQ: 'ID number',
+  DCS: 'last name',
+  DBB: 'date of birth'
+};
+
+const SEX_CODES = { '1': 'M', '2': 'F', '9': 'X', M: 'M', F: 'F', X: 'X' };
+
+/**
+ * Check whether a string looks like an AAMVA barcode payload
+ * @param {string} text - Raw scanner input
+ * @returns {boolean} - True if the AAMVA header is present
+ */
+function isAamvaBarcode(text) {
+  return typeof text === 'string' && /(ANSI |AAMVA)\d{6}/.test(text);
+}
+
+/**
+ * Split the barcode into data elements
+ * @param {string} text - Raw scanner input
+ * @returns {Object} - { issuerId, version, elements: { DAQ: '...', ... } }
+ */
+function parseElements(text) {
+  if (!isAamvaBarcode(text)) {
+    throw new Error('Not an AAMVA driver license barcode');
+  }
+
+  // Scanners and keyboard wedges disagree on line separators
+  const normalized = text.replace(/\r\n|\r|\u001e/g, '\n');
+  const header = normalized.match(/(?:ANSI |AAMVA)(\d{6})(\d{2})/);
+  const afterHeader = normalized.slice(header.index + header[0].length);
+
+  // The DL/ID subfile starts with its designator directly followed by the
+  // first element ID, e.g. "DLDAQ..."; subfile directory entries ("DL00410278")
+  // are followed by digits so they do not match
+  const subfileStart = afterHeader.search(/(DL|ID)(?=D[A-Z]{2})/);
+  if (subfileStart === -1) {
+    throw new Error('AAMVA barcode has no DL/ID subfile');
+  }
+
+  const elements = {};
+  afterHeader.slice(subfileStart + 2).split('\n').forEach(line => {
+    const match = line.trim().match(/^([A-Z]{3})(.*)$/);
+    if (match && !(match[1] in elements)) {
+      elements[match[1]] = match[2].trim();
+    }
+  });
+
+  return {
+    issuerId: header[1],
+    version: Number(header[2]),
+    elements
+  };
+}
+
+/**
+ * Convert an AAMVA date to the MM-DD-YYYY format used by the Scan-ID CSV
+ * US cards use MMDDCCYY and Canadian cards CCYYMMDD. A month-day prefix is
+ * never above 1231 while a year prefix always is, which tells them apart.
+ * @param {string} value - Eight-digit AAMVA date
+ * @returns {string} - MM-DD-YYYY, or '' if the value is not a date
+ */
+function formatAamvaDate(value) {
+  if (!/^\d{8}$/.test(value || '')) {
+    return '';
+  }
+
+  if (Number(value.slice(0, 4)) > 1231) {
+    return `${value.slice(4, 6)}-${value.slice(6, 8)}-${value.slice(0, 4)}`;
+  }
+  return `${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 8)}`;
+}
+
+/**
+ * Whole years between a MM-DD-YYYY birth date and now
+ * @param {string} dateOfBirth - MM-DD-YYYY
+ * @returns {number|null} - Age in years
+ */
+function ageFromDateOfBirth(dateOfBirth) {
+  const match = (dateOfBirth || '').match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  if (!match) return null;
+
+  const [, month, day, year] = match.map(Number);
+  const today = new Date();
+  let age = today.getFullYear() - year;
+  if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * Format a postal code; US ZIP+4 codes are stored as 9 digits, often padded with zeros
+ * @param {string} value - Raw DAK value
+ * @returns {string} - Formatted postal code
+ */
+function formatPostalCode(value) {
+  const code = (value || '').trim();
+  if (/^0+$/.test(code)) {
+    return '';
+  }
+  if (/^\d{9}$/.test(code)) {
+    return code.endsWith('0000') ? code.slice(0, 5) : `${code.slice(0, 5)}-${code.slice(5)}`;
+  }
+  return code;
+}
+
+/**
+ * Work out first/middle/last names across AAMVA versions
+ * v1 stores the full name in DAA ("LAST,FIRST,MIDDLE"), v2-3 store given names
+ * in DCT and later versions use DAC/DAD.
+ * @param {Object} elements - Parsed data elements
+ * @returns {Object} - { firstName, middleName, lastName, suffix }
+ */
+function extractNames(elements) {
+  let lastName = elements.DCS || elements.DAB || '';
+  let firstName = elements.DAC || elements.DCT || elements.DBP || '';
+  let middleName = elements.DAD || '';
+
+  if (!lastName && elements.DAA) {
+    const [last = '', first = '', ...middle] = elements.DAA.split(/[,$]/).map(part => part.trim());
+    lastName = last;
+    firstName = firstName || first;
+    middleName = middleName || middle.join(' ');
+  }
+
+  // DCT may hold "FIRST,MIDDLE" or "FIRST MIDDLE"
+  if (!middleName && /[, ]/.test(firstName) && !elements.DAC) {
+    const [first, ...middle] = firstName.split(/[, ]+/);
+    firstName = first;
+    middleName = middle.join(' ');
+  }
+
+  // "NONE" / "unavl" are used when a name part does not exist
+  const clean = value => (/^(NONE|UNAVL)$/i.test(value) ? '' : value);
+
+  return {
+    firstName: clean(firstName),
+    middleName: clean(middleName),
+    lastName: clean(lastName),
+    suffix: clean(elements.DCU || '')
+  };
+}
+
+/**
+ * Decode an AAMVA barcode into a scan record
+ * @param {string} text - Raw scanner input
+ * @returns {Object} - Scan record (same shape as ScanIDParser records)
+ */
+function parseAamvaBarcode(text) {
+  const { elements } = parseElements(text);
+
+  const missing = Object.keys(REQUIRED_ELEMENTS).filter(id => !elements[id]);
+  // v1 cards have no DCS, the last name comes from DAA instead
+  const missingFields = missing
+    .filter(id => !(id === 'DCS' && (elements.DAB || elements.DAA)))
+    .map(id => REQUIRED_ELEMENTS[id]);
+  if (missingFields.length > 0) {
+    throw new Error(`Barcode is missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  const { firstName, middleName, lastName, suffix } = extractNames(elements);
+  const dateOfBirth = formatAamvaDate(elements.DBB);
+  const scannedAt = new Date();
+
+  return {
+    FirstName: firstName,
+    LastName: lastName,
+    MiddleName: middleName,
+    Suffix: suffix,
+    FullName: [firstName, middleName, lastName, suffix].filter(Boolean).join(' '),
+    DateOfBirth: dateOfBirth,
+    Age: ageFromDateOfBirth(dateOfBirth),
+    IDNumber: elements.DAQ,
+    IDExpiration: formatAamvaDate(elements.DBA),
+    IDIssued: formatAamvaDate(elements.DBD),
+    State: elements.DAJ || '',
+    Sex: SEX_CODES[elements.DBC] || '',
+    Address: {
+      street: [elements.DAG, elements.DAH].filter(Boolean).join(', '),
+      city: elements.DAI || '',
+      state: elements.DAJ || '',
+      postalCode: formatPostalCode(elements.DAK)
+    },
+    ScanTime: scannedAt.toLocaleString(),
+    ScanTimestamp: scannedAt.toISOString(),
+    // The barcode carries no photo
+    PhotoPath: null,
+    Images: new Array(IMAGE_COLUMN_COUNT).fill(null),
+    Source: 'aamva-barcode',
+    StationId: null,
+    Station: null
+  };
+}
+
+module.exports = {
+  isAamvaBarcode,
+  parseElements,
+  formatAamvaDate,
+  parseAamvaBarcode
+};
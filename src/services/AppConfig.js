@@ -0,0 +1,480 @@
+/**
+ * AppConfig.js
+ * Loads local app settings (scan sources, stations, image paths, venue, data
+ * directory, PII protection, retention, name variants, contact mirror, member
+ * lookup, fingerprints) from app.config.json
+ *
+ * Unlike wix.config.json this file holds no Wix credentials, only settings that
+ * differ between front-desk PCs. Every setting has a default so the app runs
+ * without the file.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Fail Fast and Learn: Rejecting invalid settings at startup with clear messages
+ * - Separation of Concerns: Keeping machine-specific settings out of the services
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const CONFIG_PATH = path.join(ROOT_DIR, 'app.config.json');
+
+const DEFAULT_CONFIG = {
+  scanSources: [
+    {
+      id: 'front-desk',
+      station: 'Front Desk',
+      path: 'src/assets/scan-id-export.csv',
+      // The bundled sample export is a fixture; the retention purge leaves it alone
+      purge: false
+    }
+  ],
+  // Rewrite the Windows image paths Scan-ID writes into the CSV to paths this
+  // machine can read, e.g. { "from": "C:\\Users\\frontdesk\\Scan-ID", "to": "/mnt/scanid" }
+  imagePathMappings: [],
+  venue: {
+    // IANA timezone used for age and expiry checks; defaults to this machine's
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    minimumAge: 21,
+    // A repeat scan of the same license within this window is a duplicate
+    duplicateScanMinutes: 10,
+    // A returning guest admitted within this window can be re-admitted in one click
+    reentryHours: 12,
+    // Country calling code for phone numbers typed without one (1 = US and Canada)
+    phoneCountryCode: '1'
+  },
+  // Local databases (scan history); relative to the project root
+  dataDir: 'data',
+  // Extra nickname groups, merged with src/assets/name-variants.json
+  nameVariantsFile: null,
+  // Match-scoring profile used instead of src/assets/scoring-profile.json
+  scoringProfileFile: null,
+  pii: {
+    // Secret salt for hashing license numbers and AES-256 key (64 hex characters)
+    // for stored scan records. When unset, both are generated once into
+    // <dataDir>/pii-keys.json; set them here to keep them off the data disk.
+    hashSalt: null,
+    encryptionKey: null,
+    // PIN that unlocks unredacted diagnostics and history; no admin role when unset
+    adminPin: null,
+    adminSessionMinutes: 30
+  },
+  // How long data is kept, in days (null keeps it forever). Expired Scan-ID CSV
+  // rows and ID images are deleted, or encrypted into <dataDir>/archive first
+  // when action is "archive". Off until an operator turns it on: it rewrites
+  // Scan-ID's own export.
+  retention: {
+    enabled: false,
+    rawScanDays: 30,
+    imageDays: 7,
+    checkInRecordDays: 730,
+    auditTrailDays: 1095,
+    action: 'delete',
+    intervalHours: 24
+  },
+  // License numbers stored on Wix contacts at activation, so later scans find
+  // the member by ID before any name matching. "hash" stores the salted hash
+  // and needs pii.hashSalt set, the same on every station; "number" the number.
+  idMatch: {
+    enabled: false,
+    fieldName: 'Driver License ID',
+    store: 'hash'
+  },
+  // Local copy of the Wix contacts that member search uses while it is fresh.
+  // Contacts updated in Wix are fetched every refreshMinutes; a full sync (which
+  // also drops deleted contacts) runs every fullSyncHours. Search falls back to
+  // live Wix queries when the last sync is older than maxStaleMinutes.
+  contactMirror: {
+    enabled: true,
+    refreshMinutes: 5,
+    fullSyncHours: 12,
+    maxStaleMinutes: 30
+  },
+  // Where member search finds candidates, in order (see MemberLookupService):
+  // "localIndex" (the contact mirror), "contacts" (live Wix contact queries, used
+  // while the mirror is not fresh) and "members" (the Wix Members collection)
+  memberLookup: {
+    providers: ['localIndex', 'contacts']
+  },
+  // TimeXpress fingerprint hash (for TouchID registration) added to the latest
+  // scan as FingerprintHash. Needs the TimeXpress database in sqlService.js; a
+  // scan without a fingerprint is still returned.
+  fingerprints: {
+    enabled: false
+  }
+};
+
+let cachedConfig = null;
+
+/**
+ * Resolve a configured path; relative paths are relative to the project root
+ * @param {string} configuredPath - Path from the config file
+ * @returns {string} - Absolute path
+ */
+function resolvePath(configuredPath) {
+  return path.isAbsolute(configuredPath) || /^[a-zA-Z]:[\\/]/.test(configuredPath)
+    ? configuredPath
+    : path.join(ROOT_DIR, configuredPath);
+}
+
+/**
+ * Path functions matching a configured path (Windows paths are handled on any OS)
+ * @param {string} configuredPath - Path from the config file
+ * @returns {Object} - path.win32 or path
+ */
+function pathApiFor(configuredPath) {
+  return /^[a-zA-Z]:[\\/]/.test(configuredPath) || configuredPath.includes('\\') ? path.win32 : path;
+}
+
+/**
+ * Validate and normalize the scan source list
+ * @param {Array<Object>} sources - Raw scanSources setting
+ * @returns {Array<Object>} - Sources with absolute paths
+ */
+function normalizeScanSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('app.config.json: "scanSources" must be a non-empty array');
+  }
+
+  const seenIds = new Set();
+
+  return sources.map((source, index) => {
+    if (!source || typeof source.id !== 'string' || !/^[a-z0-9_-]+$/i.test(source.id)) {
+      throw new Error(`app.config.json: scanSources[${index}].id must be a simple identifier (letters, digits, "-" or "_")`);
+    }
+    if (seenIds.has(source.id)) {
+      throw new Error(`app.config.json: duplicate scan source id "${source.id}"`);
+    }
+    if (typeof source.path !== 'string' || source.path.trim() === '') {
+      throw new Error(`app.config.json: scanSources[${index}].path is required`);
+    }
+    if (source.imageDir !== undefined && (typeof source.imageDir !== 'string' || source.imageDir.trim() === '')) {
+      throw new Error(`app.config.json: scanSources[${index}].imageDir must be a path`);
+    }
+    if (source.purge !== undefined && typeof source.purge !== 'boolean') {
+      throw new Error(`app.config.json: scanSources[${index}].purge must be true or false`);
+    }
+    seenIds.add(source.id);
+
+    const csvPath = resolvePath(source.path);
+
+    return {
+      ...source,
+      id: source.id,
+      station: source.station || source.id,
+      path: csvPath,
+      purge: source.purge !== false,
+      // ID images are looked up next to the CSV unless configured otherwise
+      imageDir: source.imageDir ? resolvePath(source.imageDir) : pathApiFor(csvPath).dirname(csvPath)
+    };
+  });
+}
+
+/**
+ * Validate and normalize the image path mappings
+ * @param {Array<Object>} mappings - Raw imagePathMappings setting
+ * @returns {Array<Object>} - [{ from, to }] with "to" resolved to an absolute path
+ */
+function normalizeImagePathMappings(mappings) {
+  if (!Array.isArray(mappings)) {
+    throw new Error('app.config.json: "imagePathMappings" must be an array');
+  }
+
+  return mappings.map((mapping, index) => {
+    if (!mapping || typeof mapping.from !== 'string' || !mapping.from || typeof mapping.to !== 'string' || !mapping.to) {
+      throw new Error(`app.config.json: imagePathMappings[${index}] needs "from" and "to" paths`);
+    }
+    return { from: mapping.from, to: resolvePath(mapping.to) };
+  });
+}
+
+/**
+ * Validate the venue settings
+ * @param {Object} venue - Raw venue setting merged over the defaults
+ * @returns {Object} - { timeZone, minimumAge, ... }
+ */
+function normalizeVenue(venue) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: venue.timeZone });
+  } catch (e) {
+    throw new Error(`app.config.json: venue.timeZone "${venue.timeZone}" is not a valid IANA timezone`);
+  }
+  if (!Number.isInteger(venue.minimumAge) || venue.minimumAge < 0) {
+    throw new Error('app.config.json: venue.minimumAge must be a whole number');
+  }
+  ['duplicateScanMinutes', 'reentryHours'].forEach(setting => {
+    if (typeof venue[setting] !== 'number' || !(venue[setting] >= 0)) {
+      throw new Error(`app.config.json: venue.${setting} must be a number of ${setting === 'reentryHours' ? 'hours' : 'minutes'}`);
+    }
+  });
+  if (!/^[1-9]\d{0,2}$/.test(String(venue.phoneCountryCode))) {
+    throw new Error('app.config.json: venue.phoneCountryCode must be a country calling code such as "1" or "44"');
+  }
+  return { ...venue, phoneCountryCode: String(venue.phoneCountryCode) };
+}
+
+/**
+ * Validate the PII protection settings
+ * @param {Object} pii - Raw pii setting merged over the defaults
+ * @returns {Object} - { hashSalt, encryptionKey, adminPin, adminSessionMinutes }
+ */
+function normalizePii(pii) {
+  if (pii.hashSalt !== null && (typeof pii.hashSalt !== 'string' || pii.hashSalt.length < 16)) {
+    throw new Error('app.config.json: pii.hashSalt must be a secret of at least 16 characters');
+  }
+  if (pii.encryptionKey !== null && !/^[0-9a-f]{64}$/i.test(String(pii.encryptionKey))) {
+    throw new Error('app.config.json: pii.encryptionKey must be 64 hex characters (a 256-bit key)');
+  }
+  if (pii.adminPin !== null && (typeof pii.adminPin !== 'string' || pii.adminPin.length < 8)) {
+    throw new Error('app.config.json: pii.adminPin must be a string of at least 8 characters');
+  }
+  if (typeof pii.adminSessionMinutes !== 'number' || !(pii.adminSessionMinutes > 0)) {
+    throw new Error('app.config.json: pii.adminSessionMinutes must be a number of minutes');
+  }
+  return pii;
+}
+
+/**
+ * Validate the retention settings
+ * @param {Object} retention - Raw retention setting merged over the defaults
+ * @returns {Object} - { enabled, rawScanDays, imageDays, checkInRecordDays, auditTrailDays, action, intervalHours }
+ */
+function normalizeRetention(retention) {
+  if (typeof retention.enabled !== 'boolean') {
+    throw new Error('app.config.json: retention.enabled must be true or false');
+  }
+  ['rawScanDays', 'imageDays', 'checkInRecordDays', 'auditTrailDays'].forEach(setting => {
+    if (retention[setting] !== null && (typeof retention[setting] !== 'number' || !(retention[setting] > 0))) {
+      throw new Error(`app.config.json: retention.${setting} must be a number of days, or null to keep forever`);
+    }
+  });
+  if (!['delete', 'archive'].includes(retention.action)) {
+    throw new Error('app.config.json: retention.action must be "delete" or "archive"');
+  }
+  if (typeof retention.intervalHours !== 'number' || !(retention.intervalHours > 0)) {
+    throw new Error('app.config.json: retention.intervalHours must be a number of hours');
+  }
+  return retention;
+}
+
+/**
+ * Validate the ID-number matching settings
+ * A generated salt differs per station, so a hash stored at one desk would never
+ * be found from another; hashed matching needs the salt set in this file.
+ * @param {Object} idMatch - Raw idMatch setting merged over the defaults
+ * @param {Object} pii - Validated pii settings
+ * @returns {Object} - { enabled, fieldName, store }
+ */
+function normalizeIdMatch(idMatch, pii) {
+  if (typeof idMatch.enabled !== 'boolean') {
+    throw new Error('app.config.json: idMatch.enabled must be true or false');
+  }
+  if (typeof idMatch.fieldName !== 'string' || idMatch.fieldName.trim() === '') {
+    throw new Error('app.config.json: idMatch.fieldName must be the name of a Wix contact field');
+  }
+  if (!['hash', 'number'].includes(idMatch.store)) {
+    throw new Error('app.config.json: idMatch.store must be "hash" or "number"');
+  }
+  if (idMatch.enabled && idMatch.store === 'hash' && pii.hashSalt === null) {
+    throw new Error('app.config.json: idMatch.store "hash" needs pii.hashSalt, the same on every station');
+  }
+  return { ...idMatch, fieldName: idMatch.fieldName.trim() };
+}
+
+/**
+ * Validate the contact mirror settings
+ * @param {Object} contactMirror - Raw contactMirror setting merged over the defaults
+ * @returns {Object} - { enabled, refreshMinutes, fullSyncHours, maxStaleMinutes }
+ */
+function normalizeContactMirror(contactMirror) {
+  if (typeof contactMirror.enabled !== 'boolean') {
+    throw new Error('app.config.json: contactMirror.enabled must be true or false');
+  }
+  ['refreshMinutes', 'fullSyncHours', 'maxStaleMinutes'].forEach(setting => {
+    if (typeof contactMirror[setting] !== 'number' || !(contactMirror[setting] > 0)) {
+      throw new Error(`app.config.json: contactMirror.${setting} must be a number of ${setting === 'fullSyncHours' ? 'hours' : 'minutes'}`);
+    }
+  });
+  if (contactMirror.maxStaleMinutes < contactMirror.refreshMinutes) {
+    throw new Error('app.config.json: contactMirror.maxStaleMinutes cannot be less than contactMirror.refreshMinutes');
+  }
+  return contactMirror;
+}
+
+/**
+ * Validate the member lookup settings; provider names are checked against the
+ * registered providers when a lookup runs
+ * @param {Object} memberLookup - Raw memberLookup setting merged over the defaults
+ * @returns {Object} - { providers }
+ */
+function normalizeMemberLookup(memberLookup) {
+  const { providers } = memberLookup;
+  if (!Array.isArray(providers) || providers.length === 0 ||
+      providers.some(name => typeof name !== 'string' || name.trim() === '')) {
+    throw new Error('app.config.json: memberLookup.providers must be a list of provider names, e.g. ["localIndex", "contacts"]');
+  }
+  return { ...memberLookup, providers: Array.from(new Set(providers.map(name => name.trim()))) };
+}
+
+/**
+ * Validate the fingerprint settings
+ * @param {Object} fingerprints - Raw fingerprints setting merged over the defaults
+ * @returns {Object} - { enabled }
+ */
+function normalizeFingerprints(fingerprints) {
+  if (typeof fingerprints.enabled !== 'boolean') {
+    throw new Error('app.config.json: fingerprints.enabled must be true or false');
+  }
+  return fingerprints;
+}
+
+/**
+ * Load the configuration (once) and merge it over the defaults
+ * @returns {Object} - The effective configuration
+ */
+function getConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  let fileConfig = {};
+  if (fs.existsSync(CONFIG_PATH)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+      console.log('Loaded app config from', CONFIG_PATH);
+    } catch (e) {
+      throw new Error(`Error loading app.config.json: ${e.message}`);
+    }
+  }
+
+  const merged = { ...DEFAULT_CONFIG, ...fileConfig };
+  if (typeof merged.dataDir !== 'string' || merged.dataDir.trim() === '') {
+    throw new Error('app.config.json: "dataDir" must be a path');
+  }
+  if (merged.nameVariantsFile !== null && (typeof merged.nameVariantsFile !== 'string' || merged.nameVariantsFile.trim() === '')) {
+    throw new Error('app.config.json: "nameVariantsFile" must be a path');
+  }
+  if (merged.scoringProfileFile !== null && (typeof merged.scoringProfileFile !== 'string' || merged.scoringProfileFile.trim() === '')) {
+    throw new Error('app.config.json: "scoringProfileFile" must be a path');
+  }
+  const pii = normalizePii({ ...DEFAULT_CONFIG.pii, ...fileConfig.pii });
+  cachedConfig = {
+    ...merged,
+    scanSources: normalizeScanSources(merged.scanSources),
+    imagePathMappings: normalizeImagePathMappings(merged.imagePathMappings),
+    venue: normalizeVenue({ ...DEFAULT_CONFIG.venue, ...fileConfig.venue }),
+    dataDir: resolvePath(merged.dataDir),
+    nameVariantsFile: merged.nameVariantsFile && resolvePath(merged.nameVariantsFile),
+    scoringProfileFile: merged.scoringProfileFile && resolvePath(merged.scoringProfileFile),
+    pii,
+    retention: normalizeRetention({ ...DEFAULT_CONFIG.retention, ...fileConfig.retention }),
+    idMatch: normalizeIdMatch({ ...DEFAULT_CONFIG.idMatch, ...fileConfig.idMatch }, pii),
+    contactMirror: normalizeContactMirror({ ...DEFAULT_CONFIG.contactMirror, ...fileConfig.contactMirror }),
+    memberLookup: normalizeMemberLookup({ ...DEFAULT_CONFIG.memberLookup, ...fileConfig.memberLookup }),
+    fingerprints: normalizeFingerprints({ ...DEFAULT_CONFIG.fingerprints, ...fileConfig.fingerprints })
+  };
+
+  return cachedConfig;
+}
+
+module.exports = {
+  ROOT_DIR,
+  CONFIG_PATH,
+  getConfig,
+  resolvePath,
+  pathApiFor,
+
+  /**
+   * Get all configured Scan-ID sources
+   * @returns {Array<Object>} - [{ id, station, path, ... }]
+   */
+  getScanSources() {
+    return getConfig().scanSources;
+  },
+
+  /**
+   * Get a scan source by id, or the first source when no id is given
+   * @param {string} [stationId] - Scan source id
+   * @returns {Object|null} - The source or null if the id is unknown
+   */
+  getScanSource(stationId) {
+    const sources = getConfig().scanSources;
+    if (!stationId) {
+      return sources[0];
+    }
+    return sources.find(source => source.id === stationId) || null;
+  },
+
+  /**
+   * Get the configured Scan-ID image path mappings
+   * @returns {Array<Object>} - [{ from, to }]
+   */
+  getImagePathMappings() {
+    return getConfig().imagePathMappings;
+  },
+
+  /**
+   * Get the venue settings
+   * @returns {Object} - { timeZone, minimumAge, duplicateScanMinutes, reentryHours, phoneCountryCode }
+   */
+  getVenue() {
+    return getConfig().venue;
+  },
+
+  /**
+   * Get the PII protection settings
+   * @returns {Object} - { hashSalt, encryptionKey, adminPin, adminSessionMinutes }
+   */
+  getPii() {
+    return getConfig().pii;
+  },
+
+  /**
+   * Get the retention settings
+   * @returns {Object} - { enabled, rawScanDays, imageDays, checkInRecordDays, auditTrailDays, action, intervalHours }
+   */
+  getRetention() {
+    return getConfig().retention;
+  },
+
+  /**
+   * Get the ID-number matching settings
+   * @returns {Object} - { enabled, fieldName, store }
+   */
+  getIdMatch() {
+    return getConfig().idMatch;
+  },
+
+  /**
+   * Get the contact mirror settings
+   * @returns {Object} - { enabled, refreshMinutes, fullSyncHours, maxStaleMinutes }
+   */
+  getContactMirror() {
+    return getConfig().contactMirror;
+  },
+
+  /**
+   * Get the member lookup settings
+   * @returns {Object} - { providers }
+   */
+  getMemberLookup() {
+    return getConfig().memberLookup;
+  },
+
+  /**
+   * Get the fingerprint settings
+   * @returns {Object} - { enabled }
+   */
+  getFingerprints() {
+    return getConfig().fingerprints;
+  },
+
+  /**
+   * Get the directory for local databases, creating it if needed
+   * @returns {string} - Absolute path
+   */
+  getDataDir() {
+    const { dataDir } = getConfig();
+    fs.mkdirSync(dataDir, { recursive: true });
+    return dataDir;
+  }
+};
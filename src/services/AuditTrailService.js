@@ -0,0 +1,120 @@
+/**
+ * AuditTrailService.js
+ * Append-only record of housekeeping and compliance events, such as the
+ * retention purges, kept in a local embedded database (NeDB) next to the scan
+ * history
+ *
+ * Entries hold counts and settings, never guest PII, so they can be handed to
+ * a TABC auditor as they are.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Reflective Engineering: Every purge leaves a record of what it removed
+ * - Separation of Concerns: Storage stays behind this service; routes and IPC only relay
+ */
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+const AppConfig = require('./AppConfig');
+
+const DB_FILENAME = 'audit-trail.db';
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+let store = null;
+
+/**
+ * Open the datastore (once)
+ * @returns {Promise<Datastore>} - Loaded datastore
+ */
+async function getStore() {
+  if (!store) {
+    const filename = path.join(AppConfig.getDataDir(), DB_FILENAME);
+    const datastore = new Datastore({ filename });
+    await datastore.loadDatabaseAsync();
+    await datastore.ensureIndexAsync({ fieldName: 'at' });
+    await datastore.ensureIndexAsync({ fieldName: 'type' });
+    store = datastore;
+  }
+  return store;
+}
+
+/**
+ * @param {string} value - ISO date or date-time
+ * @returns {Date|null} - Parsed date
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+module.exports = {
+  /**
+   * Append an event to the audit trail
+   * @param {string} type - Event type, e.g. "retention-purge"
+   * @param {Object} details - Event details (no PII)
+   * @returns {Promise<Object>} - { success, id } or { success: false, error }
+   */
+  recordEvent: async function (type, details = {}) {
+    try {
+      const db = await getStore();
+      const doc = await db.insertAsync({ type, at: new Date(), details });
+      return { success: true, id: doc._id };
+    } catch (err) {
+      console.error('Error writing audit trail:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Query the audit trail, newest first
+   * @param {Object} filters - { type, from, to, limit } (from/to are ISO dates or date-times)
+   * @returns {Promise<Object>} - { success, events, count } or { success: false, error }
+   */
+  queryEvents: async function ({ type, from, to, limit } = {}) {
+    try {
+      const query = {};
+      const fromDate = parseDate(from);
+      const toDate = parseDate(to);
+      if (fromDate || toDate) {
+        query.at = {};
+        if (fromDate) query.at.$gte = fromDate;
+        if (toDate) query.at.$lte = toDate;
+      }
+      if (type) {
+        query.type = type;
+      }
+
+      const maxResults = Math.min(Number(limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+      const db = await getStore();
+      const docs = await db.findAsync(query).sort({ at: -1 }).limit(maxResults);
+      const events = docs.map(({ _id, ...event }) => ({ ...event, id: _id }));
+
+      return { success: true, events, count: events.length };
+    } catch (err) {
+      console.error('Error querying audit trail:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Remove audit entries older than a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<Object>} - { success, removed } or { success: false, error }
+   */
+  purgeEvents: async function (before) {
+    try {
+      const db = await getStore();
+      const removed = await db.removeAsync({ at: { $lt: before } }, { multi: true });
+      if (removed > 0) {
+        await db.compactDatafileAsync();
+      }
+      return { success: true, removed };
+    } catch (err) {
+      console.error('Error purging audit trail:', err);
+      return { success: false, error: err.message };
+    }
+  }
+};
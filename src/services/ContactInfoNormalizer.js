@@ -0,0 +1,111 @@
+/**
+ * ContactInfoNormalizer.js
+ * Puts emails and phone numbers into one comparable form, and lists the ones a
+ * Wix contact has
+ *
+ * Members type their phone number on tribute.gallery in whatever form they
+ * like ("(555) 123-4567", "555.123.4567", "+1 555 123 4567"), and staff type
+ * the one on the guest's phone the same way. Both sides are compared in E.164
+ * ("+15551234567"), with the venue's country calling code (venue.phoneCountryCode
+ * in app.config.json) for numbers written without one. Emails are compared
+ * trimmed and lower-case.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Email and phone forms are worked out once, for search, the mirror index and scoring
+ * - Boundary Protection: Typed and stored values are cleaned before they are compared or queried
+ */
+const AppConfig = require('./AppConfig');
+
+// E.164 allows at most 15 digits; shorter than 8 is not a full number anywhere
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+/**
+ * @param {string} email - Email as typed or stored
+ * @returns {string|null} - Trimmed lower-case email, null when it is not an email
+ */
+function normalizeEmail(email) {
+  const value = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+$/.test(value) ? value : null;
+}
+
+/**
+ * Phone number in E.164 form
+ * @param {string} phone - Phone number as typed or stored
+ * @param {string} [countryCode] - Calling code for numbers written without one
+ *   (default: venue.phoneCountryCode)
+ * @returns {string|null} - "+<digits>", null when it cannot be a full number
+ */
+function normalizePhone(phone, countryCode = AppConfig.getVenue().phoneCountryCode) {
+  const value = String(phone || '').trim();
+  let digits = value.replace(/\D/g, '');
+  if (!digits) return null;
+
+  if (value.startsWith('+')) {
+    // Already international
+  } else if (digits.startsWith('00')) {
+    // International dialing prefix ("0044 20 ...")
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    // National trunk prefix ("020 ..." in the UK)
+    digits = countryCode + digits.slice(1);
+  } else if (!(digits.startsWith(countryCode) && digits.length > 10)) {
+    // A national number; "1 555 123 4567" already carries the code
+    digits = countryCode + digits;
+  }
+
+  return digits.length >= MIN_PHONE_DIGITS && digits.length <= MAX_PHONE_DIGITS ? `+${digits}` : null;
+}
+
+/**
+ * @param {Object|Array} list - info.emails or info.phones of a Wix contact: { items } or an array
+ * @returns {Array<Object>} - The entries
+ */
+function listItems(list) {
+  if (Array.isArray(list)) return list;
+  return Array.isArray(list?.items) ? list.items : [];
+}
+
+/**
+ * Emails of a Wix contact: the primary email first, then the others in info.emails
+ * @param {Object} contact - Wix contact
+ * @returns {Array<Object>} - Unique { email, primary } with normalized emails
+ */
+function contactEmails(contact) {
+  const emails = new Map();
+  const add = (email, primary) => {
+    const normalized = normalizeEmail(email);
+    if (normalized && !emails.has(normalized)) emails.set(normalized, { email: normalized, primary });
+  };
+
+  add(contact?.primaryInfo?.email, true);
+  listItems(contact?.info?.emails).forEach(item => add(item?.email, !!item?.primary));
+  return Array.from(emails.values());
+}
+
+/**
+ * Phone numbers of a Wix contact in E.164: the primary phone first, then the
+ * others in info.phones
+ * @param {Object} contact - Wix contact
+ * @param {string} [countryCode] - Calling code for numbers stored without one
+ * @returns {Array<Object>} - Unique { phone, primary } with E.164 numbers
+ */
+function contactPhones(contact, countryCode = AppConfig.getVenue().phoneCountryCode) {
+  const phones = new Map();
+  const add = (phone, primary) => {
+    const normalized = normalizePhone(phone, countryCode);
+    if (normalized && !phones.has(normalized)) phones.set(normalized, { phone: normalized, primary });
+  };
+
+  add(contact?.primaryInfo?.phone, true);
+  // Wix fills e164Phone when it could read the number; the number as typed otherwise
+  listItems(contact?.info?.phones).forEach(item => add(item?.e164Phone || item?.phone, !!item?.primary));
+  return Array.from(phones.values());
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  contactEmails,
+  contactPhones
+};
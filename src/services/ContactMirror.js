@@ -0,0 +1,467 @@
+/**
+ * ContactMirror.js
+ * Local copy of every Wix contact, kept in an embedded database (NeDB) next to
+ * the scan history, so member search can find and score candidates in
+ * milliseconds instead of firing a series of 50-row prefix queries at Wix
+ *
+ * A background sync pages through all contacts (a full sync, which also drops
+ * contacts deleted in Wix) and then, every contactMirror.refreshMinutes, fetches
+ * only the contacts whose _updatedDate is newer than the last one seen. The
+ * mirror is used while its last sync is no older than maxStaleMinutes; before
+ * the first full sync or when syncs fail, search falls back to live queries.
+ *
+ * Contacts are stored encrypted (see PiiPolicy). The indexes hold one-way keys
+ * only: salted hashes of the first letters of each given name and surname form,
+ * Double Metaphone keys of the names, a salted hash of the birthdate, and
+ * salted hashes of every email and phone number (E.164) of the contact.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Boundary Protection: Names, birthdates, emails and phones are encrypted at rest; indexes hold hashes and phonetic keys
+ * - Fail Fast and Learn: A failed sync is logged, reported in the mirror status and retried on schedule
+ */
+const fs = require('fs');
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+const AppConfig = require('./AppConfig');
+const PiiPolicy = require('./PiiPolicy');
+const NameNormalizer = require('./NameNormalizer');
+const PhoneticMatcher = require('./PhoneticMatcher');
+const ContactInfoNormalizer = require('./ContactInfoNormalizer');
+
+const DB_FILENAME = 'contact-mirror.db';
+// Replaced by the mirror; removed on first load
+const LEGACY_INDEX_FILENAME = 'contact-phonetic-index.db';
+const META_ID = 'mirror-meta';
+const PAGE_SIZE = 500;
+const MAX_CANDIDATES = 200;
+// Names are indexed by their first letters, so "Chris" finds "Christopher" as a
+// Wix prefix query would; two-letter keys let "Al" and "Jo" be searched too
+const PREFIX_LENGTHS = [2, 3];
+// Raised whenever the keys change (2: accents folded, 3: email and phone keys),
+// so older mirrors are rebuilt by a full sync before they are searched
+const INDEX_VERSION = 3;
+
+let store = null;
+let syncing = null;
+let refreshTimer = null;
+let lastError = null;
+
+/**
+ * Open the datastore (once)
+ * @returns {Promise<Datastore>} - Loaded datastore
+ */
+async function getStore() {
+  if (!store) {
+    const dataDir = AppConfig.getDataDir();
+    const datastore = new Datastore({ filename: path.join(dataDir, DB_FILENAME) });
+    await datastore.loadDatabaseAsync();
+    await datastore.ensureIndexAsync({ fieldName: 'prefixKeys' });
+    await datastore.ensureIndexAsync({ fieldName: 'lastKeys' });
+    await datastore.ensureIndexAsync({ fieldName: 'dobKey' });
+    await datastore.ensureIndexAsync({ fieldName: 'contactKeys' });
+    fs.rmSync(path.join(dataDir, LEGACY_INDEX_FILENAME), { force: true });
+    store = datastore;
+  }
+  return store;
+}
+
+/**
+ * Index key for the start of a name
+ * @param {string} kind - "first" or "last"
+ * @param {string} name - Name
+ * @param {number} length - Number of letters
+ * @returns {string|null} - Salted hash, or null for a name shorter than length
+ */
+function prefixKey(kind, name, length) {
+  const key = NameNormalizer.nameKey(name);
+  return key.length >= length ? PiiPolicy.hashKey(`${kind}:${key.slice(0, length)}`) : null;
+}
+
+/**
+ * Key a searched name is looked up by: its longest indexed prefix
+ * @param {string} kind - "first" or "last"
+ * @param {string} name - Name
+ * @returns {string|null} - Salted hash, or null for a name too short to search
+ */
+function searchKey(kind, name) {
+  const length = Math.min(NameNormalizer.nameKey(name).length, PREFIX_LENGTHS[PREFIX_LENGTHS.length - 1]);
+  return PREFIX_LENGTHS.includes(length) ? prefixKey(kind, name, length) : null;
+}
+
+/**
+ * @param {string} date - Birthdate as YYYY-MM-DD (longer ISO strings are cut)
+ * @returns {string|null} - Salted hash, or null without a date
+ */
+function dobKey(date) {
+  const day = String(date || '').slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) ? PiiPolicy.hashKey(`dob:${day}`) : null;
+}
+
+/**
+ * @param {string} email - Email, normalized by ContactInfoNormalizer
+ * @returns {string|null} - Salted hash, or null without an email
+ */
+function emailKey(email) {
+  return email ? PiiPolicy.hashKey(`email:${email}`) : null;
+}
+
+/**
+ * @param {string} phone - Phone number in E.164, from ContactInfoNormalizer
+ * @returns {string|null} - Salted hash, or null without a phone
+ */
+function phoneKey(phone) {
+  return phone ? PiiPolicy.hashKey(`phone:${phone}`) : null;
+}
+
+/**
+ * @param {Array<string>} keys - Keys, some possibly null
+ * @returns {Array<string>} - Unique non-null keys
+ */
+function uniqueKeys(keys) {
+  return Array.from(new Set(keys.filter(Boolean)));
+}
+
+/**
+ * The parts of a contact that search, scoring and the check-in screen use
+ * @param {Object} contact - Wix contact
+ * @returns {Object} - Copy to store
+ */
+function storedContact(contact) {
+  const info = contact.info || {};
+  return {
+    _id: contact._id,
+    revision: contact.revision,
+    _createdDate: contact._createdDate,
+    _updatedDate: contact._updatedDate,
+    primaryInfo: contact.primaryInfo,
+    info: {
+      name: info.name,
+      birthdate: info.birthdate,
+      emails: info.emails,
+      phones: info.phones,
+      extendedFields: info.extendedFields
+    }
+  };
+}
+
+/**
+ * @param {Object} contact - Wix contact
+ * @param {Date} seenAt - Time of the sync that saw it
+ * @returns {Object|null} - Mirror entry, or null for a contact without an id
+ */
+function toEntry(contact, seenAt) {
+  if (!contact || !contact._id) {
+    return null;
+  }
+  const name = NameNormalizer.parseName({
+    firstName: contact.info?.name?.first,
+    lastName: contact.info?.name?.last
+  });
+  return {
+    _id: contact._id,
+    prefixKeys: uniqueKeys(PREFIX_LENGTHS.flatMap(length => [
+      ...name.givenNames.map(given => prefixKey('first', given, length)),
+      ...name.surnameForms.map(form => prefixKey('last', form, length))
+    ])),
+    firstKeys: PhoneticMatcher.phoneticKeys(contact.info?.name?.first),
+    lastKeys: PhoneticMatcher.phoneticKeys(contact.info?.name?.last),
+    dobKey: dobKey(contact.info?.birthdate),
+    contactKeys: uniqueKeys([
+      ...ContactInfoNormalizer.contactEmails(contact).map(({ email }) => emailKey(email)),
+      ...ContactInfoNormalizer.contactPhones(contact).map(({ phone }) => phoneKey(phone))
+    ]),
+    updatedDate: contact._updatedDate ? new Date(contact._updatedDate) : null,
+    seenAt,
+    pii: PiiPolicy.encrypt(storedContact(contact))
+  };
+}
+
+/**
+ * Add or refresh contacts in the mirror
+ * @param {Datastore} db - Mirror datastore
+ * @param {Array<Object>} contacts - Wix contacts
+ * @param {Date} seenAt - Time of the sync
+ * @returns {Promise<Date|null>} - Latest _updatedDate among the contacts
+ */
+async function upsertContacts(db, contacts, seenAt) {
+  let latest = null;
+  for (const contact of contacts) {
+    const entry = toEntry(contact, seenAt);
+    if (!entry) continue;
+    await db.updateAsync({ _id: entry._id }, entry, { upsert: true });
+    if (entry.updatedDate && (!latest || entry.updatedDate > latest)) {
+      latest = entry.updatedDate;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Page through a contact query, storing every page
+ * @param {Datastore} db - Mirror datastore
+ * @param {Object} query - Wix contacts query builder
+ * @param {Date} seenAt - Time of the sync
+ * @returns {Promise<Object>} - { count, latest }
+ */
+async function syncPages(db, query, seenAt) {
+  let count = 0;
+  let latest = null;
+  let page = await query.limit(PAGE_SIZE).find();
+  for (;;) {
+    const items = page.items || [];
+    const pageLatest = await upsertContacts(db, items, seenAt);
+    if (pageLatest && (!latest || pageLatest > latest)) latest = pageLatest;
+    count += items.length;
+    if (!page.hasNext()) break;
+    page = await page.next();
+  }
+  return { count, latest };
+}
+
+/**
+ * Full sync: every contact, dropping the ones deleted in Wix; otherwise only
+ * contacts updated since the last one seen
+ * @param {Object} client - Initialized Wix SDK client
+ * @returns {Promise<Object>} - { full, count }
+ */
+async function sync(client) {
+  const { fullSyncHours } = AppConfig.getContactMirror();
+  const startedAt = new Date();
+  const db = await getStore();
+  const meta = await db.findOneAsync({ _id: META_ID }) || {};
+  const full = !meta.fullSyncAt || !meta.highWater || meta.indexVersion !== INDEX_VERSION ||
+    startedAt.getTime() - new Date(meta.fullSyncAt).getTime() >= fullSyncHours * 60 * 60 * 1000;
+
+  // An incremental sync re-reads contacts updated at the high-water mark itself; storing them again is harmless
+  const query = full
+    ? client.contacts.queryContacts()
+    : client.contacts.queryContacts().ge('_updatedDate', new Date(meta.highWater)).ascending('_updatedDate');
+  const { count, latest } = await syncPages(db, query, startedAt);
+
+  const update = {
+    syncedAt: startedAt,
+    highWater: latest && (!meta.highWater || latest > new Date(meta.highWater)) ? latest : meta.highWater || null
+  };
+  if (full) {
+    await db.removeAsync({ _id: { $ne: META_ID }, seenAt: { $lt: startedAt } }, { multi: true });
+    update.fullSyncAt = startedAt;
+    update.indexVersion = INDEX_VERSION;
+  }
+  await db.updateAsync({ _id: META_ID }, { $set: update }, { upsert: true });
+  if (full) {
+    await db.compactDatafileAsync();
+  }
+
+  console.log(`Contact mirror ${full ? 'full' : 'incremental'} sync: ${count} contacts in ${Date.now() - startedAt.getTime()}ms`);
+  return { full, count };
+}
+
+module.exports = {
+  /**
+   * Sync now (unless a sync is running), then keep the mirror fresh on the
+   * configured schedule
+   * @param {Object} client - Initialized Wix SDK client
+   */
+  start(client) {
+    const { enabled, refreshMinutes } = AppConfig.getContactMirror();
+    if (!enabled) {
+      console.log('Contact mirror is disabled (contactMirror.enabled in app.config.json)');
+      return;
+    }
+    if (refreshTimer) {
+      return;
+    }
+
+    this.syncNow(client);
+    refreshTimer = setInterval(() => this.syncNow(client), refreshMinutes * 60 * 1000);
+    // The schedule alone should not keep the process alive
+    refreshTimer.unref();
+    console.log(`Contact mirror sync scheduled every ${refreshMinutes} minutes`);
+  },
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  },
+
+  /**
+   * Start a sync in the background; returns at once. Searches made during the
+   * sync use what the mirror already holds.
+   * @param {Object} client - Initialized Wix SDK client
+   * @returns {Promise<Object>} - The running sync: { success, full, count } or { success: false, error }
+   */
+  syncNow(client) {
+    if (!syncing) {
+      syncing = sync(client)
+        .then(result => {
+          lastError = null;
+          return { success: true, ...result };
+        })
+        .catch(err => {
+          lastError = err.message;
+          console.error('Error syncing contact mirror:', err.message);
+          return { success: false, error: err.message };
+        })
+        .finally(() => {
+          syncing = null;
+        });
+    }
+    return syncing;
+  },
+
+  /**
+   * How current the mirror is
+   * @returns {Promise<Object>} - { success, enabled, fresh, syncing, contactCount, syncedAt, fullSyncAt, ageMinutes, lastError }
+   */
+  async getStatus() {
+    const { enabled, maxStaleMinutes } = AppConfig.getContactMirror();
+    try {
+      const db = await getStore();
+      const meta = await db.findOneAsync({ _id: META_ID }) || {};
+      const contactCount = await db.countAsync({ _id: { $ne: META_ID } });
+      const ageMinutes = meta.syncedAt ? Math.floor((Date.now() - new Date(meta.syncedAt).getTime()) / 60000) : null;
+      return {
+        success: true,
+        enabled,
+        // Only a mirror that has completed a full sync with the current keys holds every contact
+        fresh: enabled && !!meta.fullSyncAt && meta.indexVersion === INDEX_VERSION && ageMinutes !== null && ageMinutes <= maxStaleMinutes,
+        syncing: !!syncing,
+        contactCount,
+        syncedAt: meta.syncedAt || null,
+        fullSyncAt: meta.fullSyncAt || null,
+        ageMinutes,
+        lastError
+      };
+    } catch (err) {
+      console.error('Error reading contact mirror status:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Add contacts fetched from Wix (by a live search or an update) to the mirror
+   * @param {Array<Object>} contacts - Wix contacts
+   * @returns {Promise<Object>} - { success } or { success: false, error }
+   */
+  async storeContacts(contacts) {
+    if (!AppConfig.getContactMirror().enabled) {
+      return { success: true };
+    }
+    try {
+      const db = await getStore();
+      await upsertContacts(db, contacts, new Date());
+      return { success: true };
+    } catch (err) {
+      console.error('Error updating contact mirror:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Find contacts that could be the scanned person: those a Wix prefix query
+   * for a given name (or one of its variants) or a surname form would return,
+   * and those whose names sound alike (last name and at least one first name
+   * word). With more than MAX_CANDIDATES, surname matches and contacts with the
+   * scanned birthdate are kept first, and the rest are counted as left out.
+   * @param {Object} search - {
+   *   givenNames: scanned given names and their variants,
+   *   surnameForms: forms of the scanned surname (NameNormalizer.parseName),
+   *   firstName, lastName: scanned names, for the sounds-like match,
+   *   dateOfBirth: YYYY-MM-DD
+   * }
+   * @returns {Promise<Object>} - { success, contacts, soundsLikeIds, leftOut } or { success: false, error };
+   *   soundsLikeIds holds the contacts found only because their names sound alike,
+   *   leftOut the number of candidates past MAX_CANDIDATES that are not returned
+   */
+  async findCandidates({ givenNames = [], surnameForms = [], firstName, lastName, dateOfBirth } = {}) {
+    try {
+      const firstPrefixes = uniqueKeys(givenNames.map(given => searchKey('first', given)));
+      const lastPrefixes = uniqueKeys(surnameForms.map(form => searchKey('last', form)));
+      const firstKeys = PhoneticMatcher.phoneticKeys(firstName);
+      const lastKeys = PhoneticMatcher.phoneticKeys(lastName);
+      const birthKey = dobKey(dateOfBirth);
+
+      const clauses = [];
+      if (firstPrefixes.length > 0 || lastPrefixes.length > 0) {
+        clauses.push({ prefixKeys: { $in: [...firstPrefixes, ...lastPrefixes] } });
+      }
+      if (firstKeys.length > 0 && lastKeys.length > 0) {
+        clauses.push({ lastKeys: { $in: lastKeys }, firstKeys: { $in: firstKeys } });
+      }
+      if (clauses.length === 0) {
+        return { success: true, contacts: [], soundsLikeIds: new Set(), leftOut: 0 };
+      }
+
+      const db = await getStore();
+      const entries = await db.findAsync({ $or: clauses });
+
+      // Keep what a Wix prefix query would have returned: a name of the contact
+      // starts with the scanned one (the index only compares the first letters)
+      const startsWith = (forms, searched) => forms.some(form =>
+        searched.some(search => NameNormalizer.nameKey(form).startsWith(NameNormalizer.nameKey(search))));
+      const matches = [];
+      const soundsLikeIds = new Set();
+      for (const entry of entries) {
+        const contact = PiiPolicy.decrypt(entry.pii);
+        const name = NameNormalizer.parseName({ firstName: contact.info?.name?.first, lastName: contact.info?.name?.last });
+        const surnameMatch = startsWith(name.surnameForms, surnameForms);
+        const givenMatch = startsWith(name.givenNames, givenNames);
+        const soundsLike = firstKeys.some(key => entry.firstKeys.includes(key)) && lastKeys.some(key => entry.lastKeys.includes(key));
+
+        if (surnameMatch || givenMatch || soundsLike) {
+          if (!surnameMatch && !givenMatch) soundsLikeIds.add(contact._id);
+          // Surname matches first, then a matching birthdate, when there are too many
+          const rank = (surnameMatch ? 0 : 2) + (birthKey && entry.dobKey === birthKey ? 0 : 1);
+          matches.push({ contact, rank });
+        }
+      }
+      matches.sort((a, b) => a.rank - b.rank);
+
+      const leftOut = Math.max(0, matches.length - MAX_CANDIDATES);
+      if (leftOut > 0) {
+        console.warn(`Contact mirror found ${matches.length} candidates; scoring the first ${MAX_CANDIDATES}, ${leftOut} left out`);
+      }
+      return {
+        success: true,
+        contacts: matches.slice(0, MAX_CANDIDATES).map(match => match.contact),
+        soundsLikeIds,
+        leftOut
+      };
+    } catch (err) {
+      console.error('Error searching contact mirror:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Find contacts with an email (primary or any in info.emails) or phone number
+   * @param {Object} details - { email, phone } as typed by staff
+   * @returns {Promise<Object>} - { success, contacts, leftOut } or { success: false, error };
+   *   leftOut is the number of contacts past MAX_CANDIDATES that are not returned
+   */
+  async findByContactDetails({ email, phone } = {}) {
+    try {
+      const keys = uniqueKeys([
+        emailKey(ContactInfoNormalizer.normalizeEmail(email)),
+        phoneKey(ContactInfoNormalizer.normalizePhone(phone))
+      ]);
+      if (keys.length === 0) {
+        return { success: true, contacts: [], leftOut: 0 };
+      }
+
+      const db = await getStore();
+      const entries = await db.findAsync({ contactKeys: { $in: keys } });
+      const leftOut = Math.max(0, entries.length - MAX_CANDIDATES);
+      if (leftOut > 0) {
+        console.warn(`Contact mirror found ${entries.length} contacts by email or phone; scoring the first ${MAX_CANDIDATES}, ${leftOut} left out`);
+      }
+      return { success: true, contacts: entries.slice(0, MAX_CANDIDATES).map(entry => PiiPolicy.decrypt(entry.pii)), leftOut };
+    } catch (err) {
+      console.error('Error searching contact mirror by email or phone:', err);
+      return { success: false, error: err.message };
+    }
+  }
+};
@@ -0,0 +1,456 @@
+/**
+ * ContactScorer.js
+ * Scores Wix contacts against a scanned license: how well the given names,
+ * surname and birthdate match, and whether the email or phone staff searched
+ * for is one of the contact's, with the points, bonuses and thresholds of the
+ * scoring profile
+ *
+ * Kept apart from the Wix client so the same scoring runs in member search and
+ * offline in the match-quality evaluation (src/evaluate-matching.js).
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Scoring needs no Wix client, so it can be measured on its own
+ * - Reflective Engineering: Every score carries the reasons and the profile version behind it
+ */
+const PiiPolicy = require('./PiiPolicy');
+const NameVariants = require('./NameVariants');
+const NameNormalizer = require('./NameNormalizer');
+const PhoneticMatcher = require('./PhoneticMatcher');
+const ContactInfoNormalizer = require('./ContactInfoNormalizer');
+const ScoringProfile = require('./ScoringProfile');
+
+// Month, day and year in the order US licenses and most members write them
+const US_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+// Year, month and day, as Wix stores birthdates (possibly with a time)
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Whether one surname is a form of the other: a component of a compound surname,
+ * or the same components in another order ("Garcia" or "Lopez Garcia" for "Garcia Lopez")
+ * @param {Object} a - Name parsed by NameNormalizer.parseName
+ * @param {Object} b - Other parsed name
+ * @returns {boolean}
+ */
+function isSurnameForm(a, b) {
+  const keysA = a.surnameForms.map(NameNormalizer.nameKey);
+  const keysB = b.surnameForms.map(NameNormalizer.nameKey);
+  const sorted = name => name.surnameComponents.map(NameNormalizer.nameKey).sort().join(' ');
+  return keysA.includes(NameNormalizer.nameKey(b.surname)) ||
+    keysB.includes(NameNormalizer.nameKey(a.surname)) ||
+    (a.surnameComponents.length > 1 && sorted(a) === sorted(b));
+}
+
+/**
+ * Calculate confidence scores for contacts based on how well they match the search criteria
+ * @param {Array} contacts - Array of contact objects from Wix CRM Contacts API
+ * @param {Object} searchCriteria - Object containing search criteria (scannedName from NameNormalizer.parseName,
+ *   dateOfBirth, email and phone as typed by staff, and soundsLikeIds: ids of contacts found only
+ *   through the phonetic index)
+ * @param {Object} [options] - { profile: points, bonuses and weights to use instead of the
+ *   configured scoring profile (src/assets/scoring-profile.json),
+ *   log: false to score without logging }
+ * @returns {Array} - Array of contact objects with confidence scores, sorted by confidence
+ */
+function scoreContacts(contacts, searchCriteria, { profile = ScoringProfile.getProfile(), log = true } = {}) {
+  const { scannedName, dateOfBirth, email, phone, soundsLikeIds = new Set() } = searchCriteria;
+  const firstNameParts = scannedName.givenNames;
+  const formattedLastName = scannedName.surname;
+  const searchedEmail = ContactInfoNormalizer.normalizeEmail(email);
+  const searchedPhone = ContactInfoNormalizer.normalizePhone(phone);
+
+  if (log) {
+    console.log(`Calculating confidence scores for contacts (scoring profile v${profile.version})`);
+    console.log(`Search criteria: ${firstNameParts.map(PiiPolicy.initials).join(', ')} ${PiiPolicy.initials(formattedLastName)}${dateOfBirth ? ' with DOB' : ''}` +
+      `${searchedEmail ? ' with email' : ''}${searchedPhone ? ' with phone' : ''}`);
+  }
+
+  // Process each contact and add a confidence score
+  const scoredContacts = contacts.map(contact => {
+    // Start with a base score
+    let confidenceScore = 0;
+    let matchDetails = [];
+
+    // Get the contact's name parts, parsed the same way as the scanned name
+    const contactName = NameNormalizer.parseName({
+      firstName: contact.info?.name?.first,
+      lastName: contact.info?.name?.last
+    });
+    const contactFirstName = contactName.givenNames.join(' ');
+    const contactLastName = contactName.surname;
+    const contactDob = contact.info?.birthdate || '';
+
+    // Calculate first name match score - up to points.firstName
+    // We'll check each part of the first name against the contact's first name
+    let firstNameScore = 0;
+    let firstNameMatches = 0;
+    let nicknameMatches = 0;
+    let soundsLikeMatches = 0;
+    let hasPartialFirstNameMatch = false;
+
+    if (contactFirstName && firstNameParts.length > 0) {
+      // The contact's given and middle names, without initials
+      const contactFirstNameParts = contactName.givenNames;
+
+      // Check for exact matches in first name parts
+      for (const searchPart of firstNameParts) {
+        let foundExactMatch = false;
+
+        for (const contactPart of contactFirstNameParts) {
+          // Check for exact match, ignoring case, accents and apostrophes
+          if (NameNormalizer.nameKey(contactPart) === NameNormalizer.nameKey(searchPart)) {
+            firstNameMatches++;
+            matchDetails.push(`First name part exact match: "${searchPart}"`);
+            foundExactMatch = true;
+            break;
+          }
+        }
+
+        // If no exact match found, check the nickname and variant dictionary
+        let foundNicknameMatch = false;
+        if (!foundExactMatch) {
+          for (const contactPart of contactFirstNameParts) {
+            if (NameVariants.areVariants(searchPart, contactPart)) {
+              nicknameMatches++;
+              matchDetails.push(`First name nickname match: "${searchPart}" ~ "${contactPart}"`);
+              foundNicknameMatch = true;
+              break;
+            }
+          }
+        }
+
+        // If still no match found, check for partial matches
+        let foundPartialMatch = false;
+        if (!foundExactMatch && !foundNicknameMatch) {
+          for (const contactPart of contactFirstNameParts) {
+            // Check if contact part starts with search part or vice versa
+            const contactKey = NameNormalizer.nameKey(contactPart);
+            const searchKey = NameNormalizer.nameKey(searchPart);
+            if (contactKey.startsWith(searchKey) || searchKey.startsWith(contactKey)) {
+              hasPartialFirstNameMatch = true;
+              foundPartialMatch = true;
+              matchDetails.push(`First name part partial match: "${searchPart}" ~ "${contactPart}"`);
+              // We don't increment firstNameMatches here, but we'll account for this later
+              break;
+            }
+          }
+        }
+
+        // Last, check whether the names sound alike (misspellings such as "Jonathon")
+        if (!foundExactMatch && !foundNicknameMatch && !foundPartialMatch) {
+          for (const contactPart of contactFirstNameParts) {
+            if (PhoneticMatcher.soundsAlike(searchPart, contactPart)) {
+              soundsLikeMatches++;
+              matchDetails.push(`First name sounds like: "${searchPart}" ~ "${contactPart}"`);
+              break;
+            }
+          }
+        }
+      }
+
+      // Calculate score based on percentage of matching parts. Only as many parts
+      // as the shorter name has are counted, so a middle name on one side only
+      // ("Maria Carmen" on the license, "Maria" in Wix) costs nothing
+      const totalParts = Math.max(Math.min(firstNameParts.length, contactFirstNameParts.length), 1);
+      const matchedParts = firstNameMatches +
+        nicknameMatches * profile.firstName.nicknameWeight +
+        soundsLikeMatches * profile.firstName.soundsLikeWeight;
+      firstNameScore = Math.round(Math.min(matchedParts / totalParts, 1) * profile.points.firstName);
+
+      // Add bonus points for partial matches if there's at least one
+      if (hasPartialFirstNameMatch) {
+        firstNameScore += profile.firstName.partialBonus;
+        firstNameScore = Math.min(firstNameScore, profile.points.firstName);
+      }
+    }
+
+    // Calculate last name match score - up to points.lastName
+    let lastNameScore = 0;
+    let hasExactLastNameMatch = false;
+    // Exact, compound, partial or sounds-like; a merely similar surname is not a match
+    let hasLastNameMatch = true;
+
+    if (contactLastName && formattedLastName) {
+      // Check for exact match, ignoring case, accents, spaces and hyphens
+      // ("GARCIA LOPEZ" = "García-López")
+      const contactLastKey = NameNormalizer.nameKey(contactLastName);
+      const scannedLastKey = NameNormalizer.nameKey(formattedLastName);
+      if (contactLastKey === scannedLastKey) {
+        lastNameScore = profile.points.lastName;
+        hasExactLastNameMatch = true;
+        matchDetails.push(`Last name exact match: "${formattedLastName}"`);
+      }
+      // Check whether one surname is a form of the other ("Garcia" for "Garcia Lopez")
+      else if (isSurnameForm(scannedName, contactName)) {
+        lastNameScore = profile.lastName.compound;
+        matchDetails.push(`Last name compound match: "${formattedLastName}" ~ "${contactLastName}"`);
+      }
+      // Check for partial match: the license surname starts the Wix one (licenses
+      // cut long names short); a Wix surname that starts the license one is another
+      // name ("Young" for "Youngblood")
+      else if (contactLastKey.startsWith(scannedLastKey)) {
+        lastNameScore = profile.lastName.partial;
+        matchDetails.push(`Last name partial match: "${formattedLastName}" ~ "${contactLastName}"`);
+      }
+      // Check whether the names sound alike ("Smyth" for "Smith")
+      else if (PhoneticMatcher.soundsAlike(formattedLastName, contactLastName)) {
+        lastNameScore = profile.lastName.soundsLike;
+        matchDetails.push(`Last name sounds like: "${formattedLastName}" ~ "${contactLastName}"`);
+      }
+      // Check for similarity
+      else {
+        hasLastNameMatch = false;
+        // Simple character-based similarity check
+        const similarity = stringSimilarity(contactLastKey, scannedLastKey);
+        lastNameScore = Math.round(similarity * profile.lastName.similarityMax);
+        if (lastNameScore > profile.lastName.similarityReportedAbove) {
+          matchDetails.push(`Last name similar (${lastNameScore}%): "${formattedLastName}" ~ "${contactLastName}"`);
+        }
+      }
+    }
+
+    // Calculate date of birth match score - up to points.dateOfBirth
+    let dobScore = 0;
+    let dobMatch = null;
+
+    if (contactDob && dateOfBirth) {
+      dobMatch = compareDates(dateOfBirth, contactDob, profile);
+      if (dobMatch) {
+        dobScore = dobMatch.score;
+        matchDetails.push(dobMatch.detail);
+      }
+    }
+
+    // Calculate the email and phone match score - up to contactDetails.email plus contactDetails.phone
+    // Members registered under a nickname or maiden name are still found by these
+    let contactDetailsScore = 0;
+    const contactMatch = { email: null, phone: null };
+
+    if (searchedEmail) {
+      const match = ContactInfoNormalizer.contactEmails(contact).find(entry => entry.email === searchedEmail);
+      if (match) {
+        contactMatch.email = match.primary ? 'primary' : 'other';
+        contactDetailsScore += profile.contactDetails.email;
+        matchDetails.push(`Email match (${match.primary ? 'primary email' : 'other email'}): ${searchedEmail}`);
+      }
+    }
+    if (searchedPhone) {
+      const match = ContactInfoNormalizer.contactPhones(contact).find(entry => entry.phone === searchedPhone);
+      if (match) {
+        contactMatch.phone = match.primary ? 'primary' : 'other';
+        contactDetailsScore += profile.contactDetails.phone;
+        matchDetails.push(`Phone match (${match.primary ? 'primary phone' : 'other phone'}): ${searchedPhone}`);
+      }
+    }
+
+    // Calculate total confidence score
+    confidenceScore = firstNameScore + lastNameScore + dobScore + contactDetailsScore;
+
+    // Different suffixes ("Jr" and "Sr") are usually father and son, so no bonus applies
+    if (scannedName.suffix && contactName.suffix && scannedName.suffix !== contactName.suffix) {
+      matchDetails.push(`Suffix differs: "${scannedName.suffix}" vs "${contactName.suffix}" (no bonus)`);
+    }
+    // Name bonuses only go with an exact birthdate (or none to compare); with
+    // them every partial birthdate class would reach the same capped score
+    else if (dobMatch && dobMatch.kind !== 'exact' && lastNameScore >= profile.lastName.partial) {
+      matchDetails.push('Date of birth not exact (no name bonus)');
+    }
+    // Apply special bonus for exact first name part match with exact last name match
+    // This is a very strong indicator it's the same person
+    else if (firstNameMatches > 0 && hasExactLastNameMatch) {
+      // Add a substantial bonus to ensure it's in the high confidence category
+      confidenceScore += profile.bonuses.exactFirstExactLast;
+      matchDetails.push('Bonus: Exact first name part match with exact last name match');
+    }
+    // Apply bonus for a nickname first name match with exact last name match
+    // ("Bob Smith" on the license, "Robert Smith" in Wix)
+    else if (nicknameMatches > 0 && hasExactLastNameMatch) {
+      confidenceScore += profile.bonuses.nicknameFirstExactLast;
+      matchDetails.push('Bonus: Nickname first name match with exact last name match');
+    }
+    // Apply bonus for partial first name match with exact last name match
+    // This is a common scenario with abbreviated first names
+    else if (hasPartialFirstNameMatch && hasExactLastNameMatch) {
+      // Add a significant bonus to prioritize these matches
+      confidenceScore += profile.bonuses.partialFirstExactLast;
+      matchDetails.push('Bonus: Partial first name match with exact last name match');
+    }
+    // Also give a smaller bonus for partial first name match with partial last name match
+    else if (hasPartialFirstNameMatch && lastNameScore >= profile.lastName.partial) {
+      // Add a moderate bonus for partial matches on both names
+      confidenceScore += profile.bonuses.partialFirstPartialLast;
+      matchDetails.push('Bonus: Partial first name match with partial last name match');
+    }
+
+    // With both names to compare, one matching name and nothing to back it
+    // (birthdate, email or phone) is not enough to call the contact a likely member
+    const bothNamesCompared = contactFirstName && firstNameParts.length > 0 && contactLastName && formattedLastName;
+    const oneNameMatches = firstNameScore === 0 || !hasLastNameMatch;
+    if (bothNamesCompared && oneNameMatches && dobScore <= 0 && contactDetailsScore === 0 &&
+        confidenceScore >= profile.thresholds.medium) {
+      confidenceScore = profile.thresholds.medium - 1;
+      matchDetails.push('Only one name matches (capped below medium)');
+    }
+
+    // Cap the total score (a birthdate mismatch can take it below zero)
+    confidenceScore = Math.max(0, Math.min(confidenceScore, profile.maxScore));
+
+    // Add confidence data to the contact object
+    return {
+      ...contact,
+      _confidence: {
+        score: confidenceScore,
+        details: matchDetails,
+        firstNameScore,
+        lastNameScore,
+        dobScore,
+        dobMatch: dobMatch ? dobMatch.kind : null,
+        contactDetailsScore,
+        // "primary" or "other" for the email and phone searched for, null when not the contact's
+        contactMatch,
+        // "sounds-like" for contacts only the phonetic index found
+        tier: soundsLikeIds.has(contact._id) ? 'sounds-like' : 'direct',
+        profileVersion: profile.version
+      }
+    };
+  });
+
+  // Sort contacts by confidence score (highest first)
+  scoredContacts.sort((a, b) => b._confidence.score - a._confidence.score);
+
+  // Log the top matches
+  if (log && scoredContacts.length > 0) {
+    console.log('Top matches with confidence scores:');
+    scoredContacts.slice(0, 3).forEach((contact, index) => {
+      console.log(`Match #${index + 1}: ${PiiPolicy.initials(`${contact.info?.name?.first || ''} ${contact.info?.name?.last || ''}`)} - Score: ${contact._confidence.score} (${contact._confidence.tier})`);
+      // Only the reasons, not the names and birthdates they quote
+      console.log(`  Details: ${contact._confidence.details.map(detail => detail.split(':')[0]).join(', ')}`);
+    });
+  }
+
+  return scoredContacts;
+}
+
+/**
+ * Calculate string similarity between two strings (0-1 scale)
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} - Similarity score between 0 and 1
+ */
+function stringSimilarity(str1, str2) {
+  if (!str1 || !str2) return 0;
+  if (str1 === str2) return 1;
+
+  // Calculate Levenshtein distance
+  const track = Array(str2.length + 1).fill(null).map(() => 
+    Array(str1.length + 1).fill(null));
+
+  for (let i = 0; i <= str1.length; i += 1) {
+    track[0][i] = i;
+  }
+
+  for (let j = 0; j <= str2.length; j += 1) {
+    track[j][0] = j;
+  }
+
+  for (let j = 1; j <= str2.length; j += 1) {
+    for (let i = 1; i <= str1.length; i += 1) {
+      const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      track[j][i] = Math.min(
+        track[j][i - 1] + 1, // deletion
+        track[j - 1][i] + 1, // insertion
+        track[j - 1][i - 1] + indicator, // substitution
+      );
+    }
+  }
+
+  const distance = track[str2.length][str1.length];
+  const maxLength = Math.max(str1.length, str2.length);
+
+  // Return similarity as a percentage (0-1)
+  return maxLength ? 1 - distance / maxLength : 1;
+}
+
+/**
+ * Normalize date string to YYYY-MM-DD format for comparison
+ * @param {string} dateStr - Date string in various formats
+ * @returns {string} - Normalized date string or empty string if invalid
+ */
+function normalizeDate(dateStr) {
+  if (!dateStr) return '';
+
+  try {
+    // Handle various date formats
+    // YYYY-MM-DD, as Wix stores birthdates, possibly with a time
+    const iso = String(dateStr).match(ISO_DATE);
+    if (iso) {
+      return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    }
+
+    // MM-DD-YYYY format (common in US IDs), also with slashes or dots and
+    // one-digit months and days as members type them
+    const us = String(dateStr).trim().match(US_DATE);
+    if (us) {
+      const [, month, day, year] = us;
+      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    }
+
+    // Try parsing with Date object
+    const date = new Date(dateStr);
+    if (!isNaN(date.getTime())) {
+      return date.toISOString().split('T')[0];
+    }
+  } catch (e) {
+    console.warn(`Error normalizing date: ${dateStr}`, e);
+  }
+
+  return '';
+}
+
+/**
+ * Classify how a stored birthdate compares with the scanned one, for the
+ * mistakes members make on the signup form
+ * @param {string} scannedDob - Birthdate from the license
+ * @param {string} storedDob - Birthdate on the Wix contact
+ * @param {Object} profile - Scoring profile
+ * @returns {Object|null} - { kind, score, detail } where kind is "exact", "swapped",
+ *   "typo", "year" or "mismatch" (a negative score); null when either date cannot be read
+ */
+function compareDates(scannedDob, storedDob, profile) {
+  const scanned = normalizeDate(scannedDob);
+  const stored = normalizeDate(storedDob);
+  if (!scanned || !stored) return null;
+
+  const [year, month, day] = scanned.split('-');
+  const [storedYear, storedMonth, storedDay] = stored.split('-');
+
+  if (scanned === stored) {
+    return { kind: 'exact', score: profile.points.dateOfBirth, detail: `Date of birth exact match: ${scannedDob}` };
+  }
+
+  // 04-05 entered as 05-04; only possible when both are 12 or less, so the
+  // signup form may simply have been filled in day first
+  if (year === storedYear && month === storedDay && day === storedMonth) {
+    return { kind: 'swapped', score: profile.dateOfBirth.swapped, detail: `Date of birth day and month swapped: ${scannedDob} ~ ${storedDob}` };
+  }
+
+  // One mistyped digit (1986 entered as 1987, 03-14 as 03-24)
+  const digits = scanned.replace(/-/g, '');
+  const storedDigits = stored.replace(/-/g, '');
+  const differing = [...digits].filter((digit, index) => digit !== storedDigits[index]).length;
+  if (differing === 1) {
+    return { kind: 'typo', score: profile.dateOfBirth.typo, detail: `Date of birth one digit off: ${scannedDob} ~ ${storedDob}` };
+  }
+
+  if (year === storedYear) {
+    return { kind: 'year', score: profile.dateOfBirth.yearOnly, detail: `Date of birth year match only: ${year}` };
+  }
+
+  return { kind: 'mismatch', score: -profile.dateOfBirth.mismatchPenalty, detail: `Date of birth differs: ${scannedDob} ~ ${storedDob}` };
+}
+
+module.exports = {
+  scoreContacts,
+  stringSimilarity,
+  normalizeDate,
+  compareDates
+};
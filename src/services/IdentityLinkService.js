@@ -0,0 +1,138 @@
+/**
+ * IdentityLinkService.js
+ * Staff-confirmed identity links: when staff confirm which Wix contact a
+ * scanned guest is, the scanned identity (license number and birthdate) is
+ * linked to that contact, so the next scan of the same license lists the
+ * contact first instead of leaving staff to pick it from the same ranking again
+ *
+ * Links are kept in a local embedded database (NeDB) next to the scan history,
+ * keyed by a salted hash of the license number and birthdate; neither is stored.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Reflective Engineering: What staff decide at the door is kept and fed back to the matcher
+ * - Boundary Protection: The identity is hashed before it is stored
+ */
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+const AppConfig = require('./AppConfig');
+const PiiPolicy = require('./PiiPolicy');
+const ScanHistoryService = require('./ScanHistoryService');
+const AuditTrailService = require('./AuditTrailService');
+const ContactScorer = require('./ContactScorer');
+
+const DB_FILENAME = 'identity-links.db';
+const MAX_STAFF_NAME_LENGTH = 60;
+
+let store = null;
+
+/**
+ * Open the datastore (once)
+ * @returns {Promise<Datastore>} - Loaded datastore
+ */
+async function getStore() {
+  if (!store) {
+    const filename = path.join(AppConfig.getDataDir(), DB_FILENAME);
+    const datastore = new Datastore({ filename });
+    await datastore.loadDatabaseAsync();
+    await datastore.ensureIndexAsync({ fieldName: 'contactId' });
+    store = datastore;
+  }
+  return store;
+}
+
+/**
+ * Key of a scanned identity
+ * @param {string} idNumber - License number as scanned
+ * @param {string} dateOfBirth - Birthdate as scanned
+ * @returns {string|null} - Salted hash of both, null when either is missing
+ */
+function identityKey(idNumber, dateOfBirth) {
+  const normalizedId = PiiPolicy.normalizeIdNumber(idNumber);
+  const normalizedDob = ContactScorer.normalizeDate(dateOfBirth);
+  if (!normalizedId || !normalizedDob) return null;
+  return PiiPolicy.hashKey(`identity:${normalizedId}:${normalizedDob}`);
+}
+
+module.exports = {
+  /**
+   * Link the identity of a scan to the contact staff confirmed for it
+   * @param {string} historyId - Scan history entry id
+   * @param {string} contactId - Wix contact id
+   * @param {string} confirmedBy - Name of the staff member confirming
+   * @returns {Promise<Object>} - { success, contactId, alreadyLinked, replaced } or { success: false, error }
+   */
+  confirmFromScan: async function (historyId, contactId, confirmedBy) {
+    try {
+      const staff = String(confirmedBy || '').trim().slice(0, MAX_STAFF_NAME_LENGTH);
+      if (!contactId) {
+        return { success: false, error: 'A Wix contact is required' };
+      }
+      if (!staff) {
+        return { success: false, error: 'Enter your name before confirming a member' };
+      }
+
+      const entry = await ScanHistoryService.getScan(historyId);
+      if (!entry.success) {
+        return entry;
+      }
+
+      const { scan } = entry.scan;
+      const key = identityKey(scan?.IDNumber, scan?.DateOfBirth);
+      if (!key) {
+        return { success: false, error: 'This scan has no license number or birthdate' };
+      }
+
+      const db = await getStore();
+      const current = await db.findOneAsync({ _id: key });
+      if (current && current.contactId === contactId) {
+        return { success: true, contactId, alreadyLinked: true };
+      }
+
+      await db.updateAsync({ _id: key }, {
+        _id: key,
+        contactId,
+        confirmedBy: staff,
+        confirmedAt: new Date(),
+        historyId
+      }, { upsert: true });
+      await AuditTrailService.recordEvent('identity-confirmed', {
+        historyId,
+        contactId,
+        confirmedBy: staff,
+        replaced: !!current
+      });
+
+      console.log(`Linked scanned identity to contact ${contactId}, confirmed by ${staff}${current ? ' (replacing another contact)' : ''}`);
+      return { success: true, contactId, alreadyLinked: false, replaced: !!current };
+    } catch (err) {
+      console.error('Error confirming identity link:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Find the contact staff confirmed for a scanned identity
+   * @param {string} idNumber - License number as scanned
+   * @param {string} dateOfBirth - Birthdate as scanned
+   * @returns {Promise<Object>} - { success, link } where link is { contactId, confirmedBy, confirmedAt } or null;
+   *   or { success: false, error }
+   */
+  findLink: async function (idNumber, dateOfBirth) {
+    try {
+      const key = identityKey(idNumber, dateOfBirth);
+      if (!key) {
+        return { success: true, link: null };
+      }
+
+      const db = await getStore();
+      const doc = await db.findOneAsync({ _id: key });
+      return {
+        success: true,
+        link: doc ? { contactId: doc.contactId, confirmedBy: doc.confirmedBy, confirmedAt: doc.confirmedAt } : null
+      };
+    } catch (err) {
+      console.error('Error reading identity links:', err);
+      return { success: false, error: err.message };
+    }
+  }
+};
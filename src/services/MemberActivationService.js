@@ -0,0 +1,53 @@
+/**
+ * MemberActivationService.js
+ * Activation: when staff admit a guest with a chosen Wix contact, the guest's
+ * license number (or its salted hash, see idMatch in app.config.json) is stored
+ * on that contact, so every later scan finds the member by ID instead of by name
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Ties the scan history to the Wix contact without either knowing the other
+ * - Reflective Engineering: Every new link is written to the audit trail
+ */
+const AppConfig = require('./AppConfig');
+const ScanHistoryService = require('./ScanHistoryService');
+const AuditTrailService = require('./AuditTrailService');
+const WixSdkAdapter = require('./WixSdkAdapter');
+
+module.exports = {
+  /**
+   * Store the license of an admitted scan on the contact staff chose for it
+   * @param {string} historyId - Scan history entry id
+   * @returns {Promise<Object>} - { success, contactId, alreadyLinked } or { success: false, error, disabled }
+   */
+  activateFromScan: async function (historyId) {
+    if (!AppConfig.getIdMatch().enabled) {
+      return { success: false, error: 'ID matching is disabled (idMatch.enabled in app.config.json)', disabled: true };
+    }
+
+    const entry = await ScanHistoryService.getScan(historyId);
+    if (!entry.success) {
+      return entry;
+    }
+
+    const { scan, chosenContact, decision } = entry.scan;
+    if (decision !== 'admitted') {
+      return { success: false, error: 'Only an admitted scan can activate a member' };
+    }
+    if (!chosenContact || !chosenContact.id) {
+      return { success: false, error: 'No Wix contact was chosen for this scan' };
+    }
+    if (!scan || !scan.IDNumber) {
+      return { success: false, error: 'This scan has no license number' };
+    }
+
+    const result = await WixSdkAdapter.linkIdNumber(chosenContact.id, scan.IDNumber);
+    if (result.success && !result.alreadyLinked) {
+      await AuditTrailService.recordEvent('member-activated', {
+        historyId,
+        contactId: chosenContact.id,
+        replaced: !!result.replaced
+      });
+    }
+    return result;
+  }
+};
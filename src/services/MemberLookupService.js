@@ -0,0 +1,451 @@
+/**
+ * MemberLookupService.js
+ * The one member search: scans, the manual search and every member search
+ * route and IPC handler come here, and all of them get the same result
+ *
+ * A lookup first tries the license number (a contact activated with it is an
+ * "ID match") and then asks candidate providers, in the order set by
+ * memberLookup.providers in app.config.json, for contacts that could be the
+ * guest. The candidates are merged and scored once by ContactScorer, and the
+ * contact staff confirmed for the scanned identity before is listed first.
+ *
+ * Built-in providers:
+ * - localIndex: the contact mirror (ContactMirror), while it is fresh; it holds
+ *   every contact, so the contacts provider is skipped when it answers
+ * - contacts: live Wix CRM contact queries (prefix queries by name, exact
+ *   queries by email and phone)
+ * - members: active site members in the Wix Data "Members" collection
+ *
+ * A provider is { name, findCandidates(search, context) } and is added with
+ * registerProvider. findCandidates gets the search (see providerSearch) and
+ * { adapter, mirror, completeSearch }, and resolves to { contacts, soundsLikeIds,
+ * complete, leftOut } (complete: every contact was searched; leftOut: candidates
+ * it found but did not return, past a cap) or null when it does not apply to
+ * this search. Contacts must have the Wix contact shape.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Providers only find candidates; one scorer ranks them all
+ * - Boundary Protection: Every caller gets the one result schema documented on lookupMember
+ */
+const PiiPolicy = require('./PiiPolicy');
+const AppConfig = require('./AppConfig');
+const NameVariants = require('./NameVariants');
+const NameNormalizer = require('./NameNormalizer');
+const ContactMirror = require('./ContactMirror');
+const ContactScorer = require('./ContactScorer');
+const ScoringProfile = require('./ScoringProfile');
+const IdentityLinkService = require('./IdentityLinkService');
+
+const SOURCE = 'member-lookup';
+
+const providers = new Map();
+
+/**
+ * The Wix SDK adapter, required on first use so that loading this service does
+ * not load the Wix SDK
+ * @returns {Promise<Object>} - Initialized adapter
+ */
+async function getAdapter() {
+  const { adapter } = require('./WixSdkAdapter');
+  if (!adapter.initialized) {
+    await adapter.initialize();
+  }
+  return adapter;
+}
+
+/**
+ * Split a full name as typed ("Maria Garcia Lopez") into a first and last
+ * name: the last word is the surname, the words before it the given names
+ * @param {string} name - Full name
+ * @returns {Object} - { firstName, lastName }
+ */
+function splitFullName(name) {
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    firstName: words.slice(0, -1).join(' '),
+    lastName: words[words.length - 1] || ''
+  };
+}
+
+/**
+ * What providers search with
+ * @param {Object} scannedName - Name parsed by NameNormalizer.parseName
+ * @param {Object} criteria - { dateOfBirth, email, phone } as given
+ * @returns {Object} - { scannedName, hasName, searchNames (given names and their
+ *   variants), dateOfBirth (YYYY-MM-DD or ''), email, phone }
+ */
+function providerSearch(scannedName, { dateOfBirth, email, phone }) {
+  return {
+    scannedName,
+    hasName: scannedName.givenNames.length > 0 || !!scannedName.surname,
+    searchNames: scannedName.givenNames.flatMap(part => NameVariants.getSearchNames(part)),
+    dateOfBirth: ContactScorer.normalizeDate(dateOfBirth),
+    email: email || '',
+    phone: phone || ''
+  };
+}
+
+/**
+ * Put the contact staff confirmed for the scanned identity first, scored at
+ * least high and with who confirmed it and when as the first match detail
+ * @param {Array<Object>} results - Scored contacts
+ * @param {Object} link - { contactId, confirmedBy, confirmedAt } from IdentityLinkService
+ * @param {Object} searchCriteria - As passed to the scorer
+ * @param {Object} adapter - Wix SDK adapter
+ * @returns {Promise<Array<Object>>} - Scored contacts, the confirmed one first
+ */
+async function withConfirmedContact(results, link, searchCriteria, adapter) {
+  let confirmed = results.find(contact => contact._id === link.contactId);
+  if (!confirmed) {
+    // Left out by the name search, or activated with another license since
+    try {
+      const contact = await adapter.getContact(link.contactId);
+      [confirmed] = ContactScorer.scoreContacts([contact], searchCriteria, { log: false });
+    } catch (getError) {
+      console.warn(`Error fetching confirmed contact ${link.contactId}, ranking by name:`, getError.message);
+      return results;
+    }
+  }
+
+  const profile = ScoringProfile.getProfile();
+  const confirmedOn = new Date(link.confirmedAt).toISOString().slice(0, 10);
+  console.log(`Listing contact ${link.contactId} first, confirmed by staff on ${confirmedOn}`);
+  return [
+    {
+      ...confirmed,
+      _confidence: {
+        ...confirmed._confidence,
+        score: Math.max(confirmed._confidence.score, profile.thresholds.high),
+        details: [`Previously confirmed by ${link.confirmedBy} on ${confirmedOn}`, ...confirmed._confidence.details],
+        tier: 'confirmed'
+      }
+    },
+    ...results.filter(contact => contact._id !== link.contactId)
+  ];
+}
+
+/**
+ * A contact found by license number, as a full-score "ID match"
+ * @param {Object} contact - Contact activated with the scanned license
+ * @returns {Object} - The contact with its _confidence
+ */
+function idMatchContact(contact) {
+  const profile = ScoringProfile.getProfile();
+  return {
+    ...contact,
+    _confidence: {
+      score: profile.maxScore,
+      details: ['ID match: license number on file for this member'],
+      firstNameScore: 0,
+      lastNameScore: 0,
+      dobScore: 0,
+      contactDetailsScore: 0,
+      contactMatch: { email: null, phone: null },
+      dobMatch: null,
+      tier: 'id',
+      profileVersion: profile.version
+    }
+  };
+}
+
+/**
+ * Note on each scored contact that already has a license stored. The ID lookup
+ * only answers for a license held by exactly one contact, so a contact with a
+ * different license (or the same one, shared with another contact) is still
+ * listed for staff to judge rather than left out.
+ * @param {Array<Object>} results - Scored contacts
+ * @param {string} idFieldKey - License field key
+ * @param {string} idValue - Stored value of the scanned license
+ * @returns {Array<Object>} - The contacts, with _confidence.licenseOnFile "same" or "different" where set
+ */
+function withLicenseOnFile(results, idFieldKey, idValue) {
+  return results.map(contact => {
+    const stored = contact.info?.extendedFields?.items?.[idFieldKey];
+    if (!stored || !contact._confidence) return contact;
+    const licenseOnFile = stored === idValue ? 'same' : 'different';
+    return {
+      ...contact,
+      _confidence: {
+        ...contact._confidence,
+        details: [
+          ...contact._confidence.details,
+          licenseOnFile === 'same'
+            ? 'Same license on file (also stored on another contact)'
+            : 'Different license on file'
+        ],
+        licenseOnFile
+      }
+    };
+  });
+}
+
+/**
+ * How the candidates were found, as shown under the match list
+ * @param {boolean} hasName - Whether a name was searched
+ * @param {Array<Object>} providerReports - { name, count, skipped, error } per provider
+ * @returns {string} - "contactMirror", "queryContacts", "members" or "contactDetails"
+ */
+function methodUsed(hasName, providerReports) {
+  if (!hasName) return 'contactDetails';
+  const answered = name => providerReports.some(report => report.name === name && !report.skipped && !report.error);
+  if (answered('localIndex')) return 'contactMirror';
+  if (answered('contacts')) return 'queryContacts';
+  return answered('members') ? 'members' : 'queryContacts';
+}
+
+/**
+ * Add a candidate provider, or replace the one with the same name. It is used
+ * once its name is listed in memberLookup.providers.
+ * @param {Object} provider - { name, findCandidates(search, context) } (see the file header)
+ */
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.findCandidates !== 'function') {
+    throw new Error('A member lookup provider needs a name and a findCandidates function');
+  }
+  providers.set(provider.name, provider);
+}
+
+registerProvider({
+  name: 'localIndex',
+  async findCandidates(search, { mirror }) {
+    if (!(mirror.success && mirror.fresh)) {
+      return null;
+    }
+
+    const contacts = [];
+    let soundsLikeIds = new Set();
+    let leftOut = 0;
+    if (search.hasName) {
+      const candidates = await ContactMirror.findCandidates({
+        givenNames: search.searchNames,
+        surnameForms: search.scannedName.surnameForms,
+        firstName: search.scannedName.givenNames.join(' '),
+        lastName: search.scannedName.surname,
+        dateOfBirth: search.dateOfBirth
+      });
+      if (!candidates.success) throw new Error(candidates.error);
+      contacts.push(...candidates.contacts);
+      soundsLikeIds = candidates.soundsLikeIds;
+      leftOut += candidates.leftOut;
+      console.log(`Found ${candidates.contacts.length} contacts in the contact mirror (synced ${mirror.ageMinutes} min ago), ${soundsLikeIds.size} sounds-like`);
+    }
+    if (search.email || search.phone) {
+      const found = await ContactMirror.findByContactDetails({ email: search.email, phone: search.phone });
+      if (!found.success) throw new Error(found.error);
+      contacts.push(...found.contacts);
+      leftOut += found.leftOut;
+      console.log(`Found ${found.contacts.length} contacts by email or phone in the contact mirror`);
+    }
+    return { contacts, soundsLikeIds, complete: true, leftOut };
+  }
+});
+
+registerProvider({
+  name: 'contacts',
+  async findCandidates(search, { adapter, completeSearch }) {
+    // The contact mirror already searched every contact
+    if (completeSearch) {
+      return null;
+    }
+
+    let contacts = [];
+    let soundsLikeIds = new Set();
+    if (search.hasName) {
+      console.log('Contact mirror not fresh, using live Wix queries');
+      ({ contacts, soundsLikeIds } = await adapter.queryLiveCandidates(search.scannedName));
+    }
+    if (search.email || search.phone) {
+      contacts = contacts.concat(await adapter.queryContactDetails({ email: search.email, phone: search.phone }));
+    }
+    return { contacts, soundsLikeIds };
+  }
+});
+
+registerProvider({
+  name: 'members',
+  async findCandidates(search, { adapter }) {
+    return { contacts: await adapter.queryMemberCandidates(search.scannedName, { email: search.email }) };
+  }
+});
+
+module.exports = {
+  splitFullName,
+  registerProvider,
+
+  /**
+   * Names of the registered providers
+   * @returns {Array<string>}
+   */
+  getProviderNames() {
+    return Array.from(providers.keys());
+  },
+
+  /**
+   * Look up the member a scanned license or a manual search is for
+   * @param {Object} criteria - { firstName, middleName, lastName, suffix, dateOfBirth, idNumber, email, phone };
+   *   at least a name, email, phone or license number
+   * @returns {Promise<Object>} - The lookup result, the same for every caller:
+   *   {
+   *     success: true,
+   *     items: contacts (Wix contact shape), best first, each with _confidence: {
+   *       score, details, firstNameScore, lastNameScore, dobScore, dobMatch,
+   *       contactDetailsScore, contactMatch, profileVersion,
+   *       tier: "id", "confirmed", "direct" or "sounds-like",
+   *       licenseOnFile: "same" or "different" when the contact has a license stored
+   *     },
+   *     total: number of items,
+   *     source: "member-lookup",
+   *     scoringProfileVersion,
+   *     providers: [{ name, count, leftOut, skipped, error }] in the order they ran,
+   *     queryDetails: { firstName, lastName, dateOfBirth, email, phone,
+   *       methodUsed ("idNumber", "contactMirror", "queryContacts", "members" or "contactDetails"),
+   *       otherLicenseOnFile: contacts listed that have a different license stored,
+   *       confirmedContactId,
+   *       candidatesLeftOut: candidates the providers found but did not return (not scored),
+   *       contactMirror: { enabled, fresh, ageMinutes, contactCount, syncing } or null }
+   *   }
+   *   or { success: false, error, source: "member-lookup" }
+   */
+  async lookupMember({ firstName, middleName, lastName, suffix, dateOfBirth, idNumber, email, phone } = {}) {
+    try {
+      // Split the scanned name into given and middle names, initials, surname
+      // and suffix ("JOHN A" / "SMITH JR"); the providers and the scorer both use this
+      const scannedName = NameNormalizer.parseName({ firstName, middleName, lastName, suffix });
+      const search = providerSearch(scannedName, { dateOfBirth, email, phone });
+      if (!search.hasName && !search.email && !search.phone && !idNumber) {
+        return { success: false, error: 'Enter a name, email or phone number to search', source: SOURCE };
+      }
+
+      const unknown = AppConfig.getMemberLookup().providers.filter(name => !providers.has(name));
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown member lookup provider: ${unknown.join(', ')}`, source: SOURCE };
+      }
+
+      console.log(`Looking up member: ${PiiPolicy.initials(`${firstName || ''} ${lastName || ''}`)}${dateOfBirth ? ' with DOB' : ''}` +
+        `${email ? ' with email' : ''}${phone ? ' with phone' : ''}`);
+      const adapter = await getAdapter();
+      const profile = ScoringProfile.getProfile();
+      const queryDetails = {
+        firstName: scannedName.givenNames.join(', '),
+        lastName: scannedName.surname,
+        dateOfBirth: dateOfBirth || '',
+        email: email || '',
+        phone: phone || ''
+      };
+      const result = (items, details, providerReports = []) => ({
+        success: true,
+        items,
+        total: items.length,
+        source: SOURCE,
+        scoringProfileVersion: profile.version,
+        providers: providerReports,
+        queryDetails: {
+          ...queryDetails,
+          otherLicenseOnFile: 0,
+          confirmedContactId: null,
+          candidatesLeftOut: 0,
+          contactMirror: null,
+          ...details
+        }
+      });
+
+      // A member activated with this license is found by ID; no name scoring needed.
+      // The license field is only looked up here, never created
+      const idMatch = AppConfig.getIdMatch();
+      let idFieldKey = null;
+      if (idMatch.enabled && idNumber) {
+        try {
+          idFieldKey = await adapter.getIdFieldKey();
+          const contact = await adapter.findContactByIdNumber(idNumber);
+          if (contact) {
+            console.log(`Found contact ${contact._id} by license number`);
+            return result([idMatchContact(contact)], { methodUsed: 'idNumber' });
+          }
+        } catch (idError) {
+          console.warn('License number lookup failed, using name matching:', idError.message);
+        }
+      }
+
+      // A contact staff confirmed for this license and birthdate is listed first
+      let confirmedLink = null;
+      if (idNumber) {
+        const linkResult = await IdentityLinkService.findLink(idNumber, dateOfBirth);
+        confirmedLink = linkResult.success ? linkResult.link : null;
+      }
+
+      const mirror = await ContactMirror.getStatus();
+      if (mirror.success && mirror.enabled && !mirror.fresh) {
+        ContactMirror.syncNow(adapter.client);
+      }
+
+      // Candidates from each provider, merged by contact id; a contact any
+      // provider found directly is not a sounds-like candidate
+      const candidates = new Map();
+      const soundsLikeOnly = new Set();
+      const directIds = new Set();
+      const providerReports = [];
+      let completeSearch = false;
+      for (const name of AppConfig.getMemberLookup().providers) {
+        try {
+          const found = await providers.get(name).findCandidates(search, { adapter, mirror, completeSearch });
+          if (!found) {
+            providerReports.push({ name, count: 0, leftOut: 0, skipped: true, error: null });
+            continue;
+          }
+          const soundsLikeIds = found.soundsLikeIds || new Set();
+          found.contacts.forEach(contact => {
+            if (!contact || !contact._id) return;
+            if (!candidates.has(contact._id)) candidates.set(contact._id, contact);
+            (soundsLikeIds.has(contact._id) ? soundsLikeOnly : directIds).add(contact._id);
+          });
+          completeSearch = completeSearch || !!found.complete;
+          providerReports.push({ name, count: found.contacts.length, leftOut: found.leftOut || 0, skipped: false, error: null });
+        } catch (providerError) {
+          console.warn(`Member lookup provider ${name} failed:`, providerError.message);
+          providerReports.push({ name, count: 0, leftOut: 0, skipped: false, error: providerError.message });
+        }
+      }
+      let results = Array.from(candidates.values());
+
+      console.log(`Total unique contacts found: ${results.length}`);
+
+      const searchCriteria = {
+        scannedName,
+        dateOfBirth,
+        email,
+        phone,
+        soundsLikeIds: new Set(Array.from(soundsLikeOnly).filter(id => !directIds.has(id)))
+      };
+      results = ContactScorer.scoreContacts(results, searchCriteria, { profile });
+
+      if (confirmedLink) {
+        results = await withConfirmedContact(results, confirmedLink, searchCriteria, adapter);
+      }
+      if (idFieldKey) {
+        results = withLicenseOnFile(results, idFieldKey, adapter.idFieldValue(idNumber));
+      }
+      const otherLicenseOnFile = results.filter(contact => contact._confidence?.licenseOnFile === 'different').length;
+
+      console.log(`Found ${results.length} matching contacts with confidence scores${otherLicenseOnFile ? ` (${otherLicenseOnFile} with a different license on file)` : ''}`);
+      return result(results, {
+        methodUsed: methodUsed(search.hasName, providerReports),
+        otherLicenseOnFile,
+        confirmedContactId: confirmedLink ? confirmedLink.contactId : null,
+        // A common name can match more contacts than a provider returns; the
+        // right member may be among those never scored
+        candidatesLeftOut: providerReports.reduce((sum, report) => sum + report.leftOut, 0),
+        // How current the contact mirror is, shown next to the results
+        contactMirror: mirror.success ? {
+          enabled: mirror.enabled,
+          fresh: mirror.fresh,
+          ageMinutes: mirror.ageMinutes,
+          contactCount: mirror.contactCount,
+          syncing: mirror.syncing
+        } : null
+      }, providerReports);
+    } catch (err) {
+      console.error('Error looking up member:', err);
+      return { success: false, error: err.message, source: SOURCE };
+    }
+  }
+};
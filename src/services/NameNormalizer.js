@@ -0,0 +1,221 @@
+/**
+ * NameNormalizer.js
+ * Splits a scanned or stored name into its given name, middle names, initials,
+ * surname and suffix, and lists the forms the surname can take in Wix
+ *
+ * Licenses print names the way the issuing state stores them ("MARIA DEL
+ * CARMEN" / "GARCIA LOPEZ", "JOHN A" / "SMITH JR"), while members type theirs
+ * on tribute.gallery ("Maria" / "Garcia-Lopez", "John" / "Smith"). Member
+ * search queries with the forms from parseName and scores with the same parse
+ * of both names, so the two stages agree on what a name is. Names are compared
+ * in their folded form (foldName), so "JOSE NUNEZ" on a license and "José
+ * Núñez" typed on the website are the same name, while the names shown keep
+ * their accents.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Name structure is worked out once, not in each query and score
+ * - Boundary Protection: Scanner and member input is cleaned before it reaches the Wix API
+ */
+
+// Generational suffixes, compared lower-case without dots
+const SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv'];
+// Surname particles that belong to the word after them ("De La Cruz", "Van Dyke")
+const PARTICLES = ['de', 'del', 'della', 'la', 'las', 'los', 'da', 'das', 'do', 'dos', 'di', 'du', 'van', 'von', 'der', 'den', 'le', 'st', 'y'];
+// Letters that Unicode does not decompose into a base letter and an accent
+const FOLDED_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i' };
+
+/**
+ * Comparison form of a name: accents folded ("Núñez" -> "nunez"), lower case,
+ * apostrophes dropped ("O'Brien" -> "obrien"), hyphens and other punctuation
+ * turned into spaces, and whitespace collapsed. Only for comparing and
+ * indexing; names are shown as they were entered.
+ * @param {string} name - Name
+ * @returns {string} - Folded name
+ */
+function foldName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[ßæœøđðłþı]/g, letter => FOLDED_LETTERS[letter])
+    .replace(/['`´‘’ʼ]/g, '')
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {string} word - Name word
+ * @returns {string} - Word with each hyphen- or apostrophe-separated part capitalized
+ */
+function capitalizeWord(word) {
+  return word.toLowerCase().replace(/(^|['’-])([a-zß-ɏ])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * @param {string} text - Name as scanned or typed
+ * @returns {Array<string>} - Capitalized words; commas, periods and extra spaces dropped
+ */
+function splitWords(text) {
+  return String(text || '')
+    .replace(/[.,]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(capitalizeWord);
+}
+
+/**
+ * @param {string} word - Name word
+ * @returns {boolean} - Whether the word is a generational suffix
+ */
+function isSuffix(word) {
+  return SUFFIXES.includes(foldName(word));
+}
+
+/**
+ * @param {string} word - Name word
+ * @returns {boolean} - Whether the word is a single-letter initial
+ */
+function isInitial(word) {
+  return /^[a-zÀ-ɏ]$/i.test(word);
+}
+
+/**
+ * @param {string} word - Name word
+ * @returns {boolean} - Whether the word is a surname particle
+ */
+function isParticle(word) {
+  return PARTICLES.includes(foldName(word));
+}
+
+/**
+ * Comparison key for a name: the folded name without spaces, so
+ * "Garcia-Lopez", "GARCIA LOPEZ" and "García López" are the same name
+ * @param {string} name - Name
+ * @returns {string} - Key
+ */
+function nameKey(name) {
+  return foldName(name).replace(/ /g, '');
+}
+
+/**
+ * Split surname words into components, each particle staying with the word
+ * after it: "Garcia De La Cruz" -> ["Garcia", "De La Cruz"]; hyphenated words
+ * are split too
+ * @param {Array<string>} words - Surname words
+ * @returns {Array<string>} - Components
+ */
+function surnameComponents(words) {
+  const components = [];
+  let particles = [];
+  words.flatMap(word => word.split('-').filter(Boolean)).forEach(word => {
+    if (isParticle(word)) {
+      particles.push(word);
+    } else {
+      components.push([...particles, word].join(' '));
+      particles = [];
+    }
+  });
+  // A surname that is only particles ("Del") is kept as it is
+  if (particles.length > 0) {
+    components.push(particles.join(' '));
+  }
+  return components;
+}
+
+/**
+ * Forms a surname can take in Wix: as written, hyphenated, and each component
+ * with and without its particles ("Garcia Lopez" -> "Garcia-Lopez", "Garcia", "Lopez")
+ * @param {string} surname - Surname without suffix
+ * @param {Array<string>} components - Its components
+ * @returns {Array<string>} - Unique forms, the full surname first
+ */
+function surnameForms(surname, components) {
+  const forms = [surname];
+  if (components.length > 1) {
+    forms.push(components.join('-'), ...components);
+  }
+  components.forEach(component => {
+    const core = component.split(' ').filter(word => !isParticle(word)).join(' ');
+    if (core) forms.push(core);
+  });
+
+  const seen = new Set();
+  return forms.filter(form => {
+    const lower = form.toLowerCase();
+    if (!form || seen.has(lower)) return false;
+    seen.add(lower);
+    return true;
+  });
+}
+
+/**
+ * Parse a name into its parts
+ * @param {Object} name - { firstName, middleName, lastName, suffix } as scanned or stored;
+ *   middleName and suffix are optional and are also found inside the other fields
+ * @returns {Object} - {
+ *   given: first given name ("Maria"),
+ *   middleNames: other given names, without particles and initials (["Carmen"]),
+ *   initials: middle initials (["A"]),
+ *   givenNames: given and middle names, the ones worth matching (["Maria", "Carmen"]),
+ *   surname: surname without suffix ("Garcia Lopez"),
+ *   surnameComponents: (["Garcia", "Lopez"]),
+ *   surnameForms: forms the surname can take (["Garcia Lopez", "Garcia-Lopez", "Garcia", "Lopez"]),
+ *   suffix: "Jr", "Sr", "II", "III", "IV" or null
+ * }
+ */
+function parseName({ firstName, middleName, lastName, suffix } = {}) {
+  const firstWords = splitWords(firstName);
+  const middleWords = splitWords(middleName);
+  const lastWords = splitWords(lastName);
+  let foundSuffix = splitWords(suffix).find(isSuffix) || null;
+
+  // The suffix can trail either name ("SMITH JR", "JOHN A JR")
+  [lastWords, firstWords].forEach(words => {
+    while (words.length > 1 && isSuffix(words[words.length - 1])) {
+      foundSuffix = foundSuffix || words[words.length - 1];
+      words.pop();
+    }
+  });
+
+  const givenWords = [...firstWords, ...middleWords];
+  const initials = givenWords.slice(1).filter(isInitial).map(word => word.toUpperCase());
+  const named = givenWords.filter(word => !isInitial(word) && !isParticle(word));
+  // A given name that is only an initial ("J Robert Smith") still counts as the given name
+  const given = named[0] || givenWords[0] || '';
+  const middleNames = named.filter(word => word !== given);
+
+  const surname = lastWords.join(' ');
+  const components = surnameComponents(lastWords);
+
+  return {
+    given,
+    middleNames,
+    initials,
+    givenNames: given ? [given, ...middleNames] : [],
+    surname,
+    surnameComponents: components,
+    surnameForms: surname ? surnameForms(surname, components) : [],
+    suffix: foundSuffix ? (/^[iv]+$/i.test(foundSuffix) ? foundSuffix.toUpperCase() : capitalizeWord(foundSuffix)) : null
+  };
+}
+
+/**
+ * Leave out forms that a shorter form already finds with a prefix query
+ * ("Garcia" finds "Garcia Lopez" and "Garcia-Lopez")
+ * @param {Array<string>} forms - Name forms
+ * @returns {Array<string>} - Forms worth querying
+ */
+function prefixQueryForms(forms) {
+  const lower = forms.map(form => form.toLowerCase());
+  return forms.filter((form, index) =>
+    !lower.some((other, otherIndex) => otherIndex !== index && other.length < lower[index].length && lower[index].startsWith(other))
+  );
+}
+
+module.exports = {
+  parseName,
+  foldName,
+  nameKey,
+  prefixQueryForms
+};
@@ -0,0 +1,144 @@
+/**
+ * NameVariants.js
+ * Nickname and spelling-variant dictionary for contact matching ("Bob" for
+ * "Robert", "Jon" for "John", "Paco" for "Francisco")
+ *
+ * The bundled groups live in src/assets/name-variants.json; a venue can add its
+ * own groups in the file named by nameVariantsFile in app.config.json. Names
+ * match when they share a group, so "Bert" matches both "Robert" and "Albert"
+ * but "Robert" does not match "Albert".
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Name knowledge stays in an editable data file, not in the scoring code
+ * - Fail Fast and Learn: A broken dictionary file stops startup with a clear message
+ */
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('./AppConfig');
+const NameNormalizer = require('./NameNormalizer');
+
+const BUNDLED_PATH = path.join(__dirname, '../assets/name-variants.json');
+
+let dictionary = null;
+
+/**
+ * @param {string} name - Name as scanned or stored in Wix
+ * @returns {string} - Folded name ("José" -> "jose", see NameNormalizer.foldName)
+ */
+function normalizeName(name) {
+  return NameNormalizer.foldName(name);
+}
+
+/**
+ * Read the groups from a dictionary file
+ * @param {string} filePath - JSON file with a "groups" array of name arrays
+ * @returns {Array<Array<string>>} - Groups
+ */
+function readGroups(filePath) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Error loading name variants from ${filePath}: ${e.message}`);
+  }
+  if (!doc || !Array.isArray(doc.groups) || !doc.groups.every(Array.isArray)) {
+    throw new Error(`Name variants file ${filePath} must have a "groups" array of name arrays`);
+  }
+  // A name twice in one group is a typo, and usually not the only one in that line
+  doc.groups.forEach((group, index) => {
+    const seen = new Set();
+    group.map(normalizeName).filter(Boolean).forEach(name => {
+      if (seen.has(name)) {
+        throw new Error(`Name variants file ${filePath} lists "${name}" more than once in group ${index + 1} (${group[0]})`);
+      }
+      seen.add(name);
+    });
+  });
+  return doc.groups;
+}
+
+/**
+ * Load the dictionary (once)
+ * @returns {Map<string, Set<string>>} - Name to the names that share a group with it
+ */
+function getDictionary() {
+  if (dictionary) {
+    return dictionary;
+  }
+
+  const files = [BUNDLED_PATH];
+  const { nameVariantsFile } = AppConfig.getConfig();
+  if (nameVariantsFile) {
+    files.push(nameVariantsFile);
+  }
+
+  const loaded = new Map();
+  files.forEach(file => {
+    readGroups(file).forEach(group => {
+      const names = group.map(normalizeName).filter(Boolean);
+      names.forEach(name => {
+        if (!loaded.has(name)) {
+          loaded.set(name, new Set());
+        }
+        names.forEach(other => {
+          if (other !== name) loaded.get(name).add(other);
+        });
+      });
+    });
+  });
+
+  console.log(`Loaded nickname variants for ${loaded.size} names`);
+  dictionary = loaded;
+  return dictionary;
+}
+
+/**
+ * Nicknames and variants of a name
+ * @param {string} name - First name (one word)
+ * @returns {Array<string>} - Lower-case variants, not including the name itself
+ */
+function getVariants(name) {
+  const variants = getDictionary().get(normalizeName(name));
+  return variants ? Array.from(variants) : [];
+}
+
+/**
+ * Whether two different names are nicknames or variants of each other
+ * @param {string} a - First name
+ * @param {string} b - Other first name
+ * @returns {boolean}
+ */
+function areVariants(a, b) {
+  const nameA = normalizeName(a);
+  const nameB = normalizeName(b);
+  if (!nameA || !nameB || nameA === nameB) {
+    return false;
+  }
+  const variants = getDictionary().get(nameA);
+  return !!variants && variants.has(nameB);
+}
+
+/**
+ * Prefixes to search for a first name: the name and its variants, leaving out
+ * any variant a shorter one already finds ("Rob" covers "Robbie")
+ * @param {string} name - First name (one word)
+ * @returns {Array<string>} - Lower-case prefixes, the name itself first
+ */
+function getSearchNames(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) {
+    return [];
+  }
+
+  const variants = getVariants(normalized).filter(variant => !variant.startsWith(normalized));
+  return [
+    normalized,
+    ...variants.filter(variant => !variants.some(other => other !== variant && variant.startsWith(other)))
+  ];
+}
+
+module.exports = {
+  getVariants,
+  areVariants,
+  getSearchNames
+};
@@ -0,0 +1,73 @@
+/**
+ * PhoneticMatcher.js
+ * Double Metaphone keys for names, so a misspelled name on a registration
+ * ("Jonathon", "Smyth") can be matched to the way it sounds ("Jonathan", "Smith")
+ *
+ * A name's keys are the primary and secondary codes of the whole name (spaces
+ * and hyphens dropped, so "Mc Donald" sounds like "MacDonald") and of each of
+ * its longer words ("De", "La" and initials would match almost anything). Two
+ * names sound alike when they share a key.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Phonetic encoding stays out of the search and scoring code
+ * - Boundary Protection: Keys are one-way codes, safe to store where names are not
+ */
+const doubleMetaphone = require('double-metaphone');
+const NameNormalizer = require('./NameNormalizer');
+
+// Words shorter than this only count as part of the whole name
+const MIN_WORD_LENGTH = 3;
+
+/**
+ * @param {string} text - Name or word
+ * @returns {Array<string>} - Primary and secondary codes (one if they are equal)
+ */
+function encode(text) {
+  // "Núñez" is encoded as "Nunez" rather than losing its accented letters
+  const letters = NameNormalizer.foldName(text).replace(/[^a-z]/g, '');
+  if (!letters) {
+    return [];
+  }
+  return Array.from(new Set(doubleMetaphone(letters).filter(Boolean)));
+}
+
+/**
+ * Phonetic keys of a name
+ * @param {string} name - First or last name, one or more words
+ * @returns {Array<string>} - Unique keys; empty for a name without letters
+ */
+function phoneticKeys(name) {
+  const text = String(name || '').trim();
+  if (!text) {
+    return [];
+  }
+
+  const words = text.split(/[\s-]+/).filter(Boolean);
+  const keys = new Set(encode(text));
+  if (words.length > 1) {
+    words
+      .filter(word => word.length >= MIN_WORD_LENGTH)
+      .forEach(word => encode(word).forEach(key => keys.add(key)));
+  }
+  return Array.from(keys);
+}
+
+/**
+ * Whether two names sound alike
+ * @param {string} a - Name
+ * @param {string} b - Other name
+ * @returns {boolean}
+ */
+function soundsAlike(a, b) {
+  const keysA = phoneticKeys(a);
+  if (keysA.length === 0) {
+    return false;
+  }
+  const keysB = new Set(phoneticKeys(b));
+  return keysA.some(key => keysB.has(key));
+}
+
+module.exports = {
+  phoneticKeys,
+  soundsAlike
+};
@@ -0,0 +1,242 @@
+/**
+ * PiiPolicy.js
+ * How driver-license data is protected at rest and in output: license numbers
+ * are stored as salted hashes plus the last 4 digits, stored scan records are
+ * encrypted, and PII is redacted from logs and diagnostics unless an admin has
+ * unlocked the full data with the admin PIN
+ *
+ * The front-desk PC is shared, so nothing the app writes to disk or to the
+ * console should expose a guest's license number, birthdate or address.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Boundary Protection: PII is hashed, encrypted or masked before it leaves a service
+ * - Fail Fast and Learn: Unreadable or tampered records fail loudly instead of decoding to garbage
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('./AppConfig');
+const PiiRedaction = require('../renderer/pii-redaction');
+
+const KEY_FILENAME = 'pii-keys.json';
+const CIPHER = 'aes-256-gcm';
+const ENVELOPE_VERSION = 'v1';
+
+// Wrong admin PINs a client may enter before it is locked out for a while
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+let keys = null;
+const adminSessions = new Map();
+// Client id -> { failures, lockedUntil }
+const pinFailures = new Map();
+
+/**
+ * Load the hash salt and encryption key (once). Settings in app.config.json win;
+ * anything missing is generated once into <dataDir>/pii-keys.json.
+ * @returns {Object} - { salt, key } where key is a 32-byte Buffer
+ */
+function getKeys() {
+  if (keys) {
+    return keys;
+  }
+
+  const { hashSalt, encryptionKey } = AppConfig.getPii();
+  let fileKeys = {};
+
+  if (!hashSalt || !encryptionKey) {
+    const keyFile = path.join(AppConfig.getDataDir(), KEY_FILENAME);
+    if (fs.existsSync(keyFile)) {
+      try {
+        fileKeys = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      } catch (e) {
+        throw new Error(`Error loading ${keyFile}: ${e.message}`);
+      }
+    } else {
+      fileKeys = {
+        hashSalt: crypto.randomBytes(32).toString('hex'),
+        encryptionKey: crypto.randomBytes(32).toString('hex')
+      };
+      fs.writeFileSync(keyFile, JSON.stringify(fileKeys, null, 2), { mode: 0o600 });
+      console.warn(`Generated PII keys in ${keyFile}; back this file up or move the keys to app.config.json (pii.hashSalt, pii.encryptionKey)`);
+    }
+  }
+
+  const salt = hashSalt || fileKeys.hashSalt;
+  const keyHex = encryptionKey || fileKeys.encryptionKey;
+  if (!salt || !/^[0-9a-f]{64}$/i.test(String(keyHex))) {
+    throw new Error(`PII keys are incomplete; check ${KEY_FILENAME} or pii settings in app.config.json`);
+  }
+
+  keys = { salt, key: Buffer.from(keyHex, 'hex') };
+  return keys;
+}
+
+/**
+ * @param {string} idNumber - License number as scanned
+ * @returns {string} - Upper-case letters and digits only
+ */
+function normalizeIdNumber(idNumber) {
+  return String(idNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Salted hash of a lookup key, for indexes that must find a value without storing it
+ * @param {string} value - Key
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function hashKey(value) {
+  return crypto.createHmac('sha256', getKeys().salt).update(String(value)).digest('hex');
+}
+
+/**
+ * Salted hash of a license number; the same number always gives the same hash,
+ * so repeat scans can be found without storing the number
+ * @param {string} idNumber - License number
+ * @returns {string|null} - Hex HMAC-SHA256, or null for an empty number
+ */
+function hashIdNumber(idNumber) {
+  const normalized = normalizeIdNumber(idNumber);
+  if (!normalized) return null;
+  return hashKey(normalized);
+}
+
+/**
+ * @param {string} idNumber - License number
+ * @returns {string} - The last 4 characters, kept for display
+ */
+function lastFour(idNumber) {
+  return normalizeIdNumber(idNumber).slice(-4);
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to encrypt
+ * @returns {string} - "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+ */
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getKeys().key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [ENVELOPE_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value written by encrypt()
+ * @param {string} envelope - Encrypted value
+ * @returns {*} - The original value
+ */
+function decrypt(envelope) {
+  const parts = String(envelope || '').split(':');
+  if (parts.length !== 4 || parts[0] !== ENVELOPE_VERSION) {
+    throw new Error('Not an encrypted PII record');
+  }
+  const [, iv, tag, data] = parts;
+  const decipher = crypto.createDecipheriv(CIPHER, getKeys().key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error('Encrypted PII record could not be decrypted (wrong key or tampered data)');
+  }
+}
+
+/**
+ * Compare two secrets without leaking their length or content through timing
+ */
+function secretsMatch(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Whether a token belongs to an unexpired admin session
+ * @param {string} token - Admin session token
+ * @returns {boolean}
+ */
+function isAdmin(token) {
+  if (!token || !adminSessions.has(token)) {
+    return false;
+  }
+  if (adminSessions.get(token) <= Date.now()) {
+    adminSessions.delete(token);
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  normalizeIdNumber,
+  hashKey,
+  hashIdNumber,
+  lastFour,
+  encrypt,
+  decrypt,
+  isAdmin,
+  initials: PiiRedaction.initials,
+  maskIdNumber: PiiRedaction.maskIdNumber,
+  redact: PiiRedaction.redact,
+
+  /**
+   * Redact a payload unless the caller holds an admin session
+   * @param {*} value - Payload
+   * @param {string} [adminToken] - Admin session token
+   * @returns {*} - The payload, or a redacted copy
+   */
+  forRole(value, adminToken) {
+    return isAdmin(adminToken) ? value : PiiRedaction.redact(value);
+  },
+
+  /**
+   * Start an admin session with the admin PIN
+   * After MAX_PIN_FAILURES wrong PINs a client is locked out for PIN_LOCKOUT_MS,
+   * so the PIN cannot be guessed from another machine on the venue network
+   * @param {string} pin - PIN entered by staff
+   * @param {string} [clientId] - Who is trying (the remote address on the web server)
+   * @returns {Object} - { success, token, expiresAt } or { success: false, error, retryAfterSeconds }
+   */
+  unlockAdmin(pin, clientId = 'local') {
+    const { adminPin, adminSessionMinutes } = AppConfig.getPii();
+    if (!adminPin) {
+      return { success: false, error: 'No admin PIN is configured (pii.adminPin in app.config.json)' };
+    }
+
+    const attempts = pinFailures.get(clientId) || { failures: 0, lockedUntil: 0 };
+    if (attempts.lockedUntil > Date.now()) {
+      const retryAfterSeconds = Math.ceil((attempts.lockedUntil - Date.now()) / 1000);
+      console.warn(`Admin unlock rejected: ${clientId} is locked out`);
+      return { success: false, error: `Too many wrong PINs; try again in ${Math.ceil(retryAfterSeconds / 60)} min`, retryAfterSeconds };
+    }
+    if (!pin || !secretsMatch(pin, adminPin)) {
+      attempts.failures += 1;
+      if (attempts.failures >= MAX_PIN_FAILURES) {
+        attempts.failures = 0;
+        attempts.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+        console.warn(`Admin unlock rejected: wrong PIN, ${clientId} locked out for ${PIN_LOCKOUT_MS / 60000} min`);
+      } else {
+        console.warn(`Admin unlock rejected: wrong PIN (${attempts.failures} of ${MAX_PIN_FAILURES} from ${clientId})`);
+      }
+      pinFailures.set(clientId, attempts);
+      return { success: false, error: 'Wrong admin PIN' };
+    }
+    pinFailures.delete(clientId);
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = Date.now() + adminSessionMinutes * 60000;
+    adminSessions.set(token, expiresAt);
+    console.log('Admin session started');
+    return { success: true, token, expiresAt: new Date(expiresAt).toISOString() };
+  },
+
+  /**
+   * End an admin session
+   * @param {string} token - Admin session token
+   * @returns {Object} - { success }
+   */
+  lockAdmin(token) {
+    adminSessions.delete(token);
+    return { success: true };
+  }
+};
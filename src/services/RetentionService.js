@@ -0,0 +1,349 @@
+/**
+ * RetentionService.js
+ * Enforces the retention policies in app.config.json on a schedule: expired
+ * Scan-ID CSV rows, ID images, scan history entries and audit entries are
+ * deleted (CSV rows and images can be archived, encrypted, instead), and every
+ * run writes a summary to the audit trail. Nothing is purged until an operator
+ * sets retention.enabled.
+ *
+ * Scan-ID appends to its export forever and saves images with every scan, so
+ * without this the front-desk PC keeps every guest's license data indefinitely.
+ * The export is rewritten through a temporary file that only replaces it if
+ * Scan-ID has not written to it in the meantime (rows appended during the swap
+ * itself are copied into the new file), and the station's watcher is
+ * told about the rewrite so the remaining rows are not reported as new scans.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Fail Fast and Learn: A source that cannot be purged safely is skipped and reported, not forced
+ * - Reflective Engineering: Every run leaves a summary in the audit trail
+ */
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('./AppConfig');
+const ScanIDParser = require('./ScanIDParser');
+const ScanImageService = require('./ScanImageService');
+const ScanHistoryService = require('./ScanHistoryService');
+const AuditTrailService = require('./AuditTrailService');
+const PiiPolicy = require('./PiiPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Give the app a minute to start up before the first scheduled run
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+const ARCHIVE_DIRNAME = 'archive';
+
+let firstRunTimer = null;
+let intervalTimer = null;
+let running = false;
+
+/**
+ * @param {number|null} days - Retention period
+ * @param {Date} now - Time of the run
+ * @returns {Date|null} - Anything older is expired; null keeps everything
+ */
+function cutoffFor(days, now) {
+  return days === null ? null : new Date(now.getTime() - days * DAY_MS);
+}
+
+/**
+ * Split file text into lines, keeping each line's terminator so kept lines are
+ * written back byte for byte
+ * @param {string} text - File contents
+ * @returns {Array<string>} - Lines
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * @param {...string} parts - Sub-directories below <dataDir>/archive
+ * @returns {string} - Archive directory, created if needed
+ */
+function archiveDir(...parts) {
+  const dir = path.join(AppConfig.getDataDir(), ARCHIVE_DIRNAME, ...parts);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * @param {Date} now - Time of the run
+ * @returns {string} - Timestamp safe for file names
+ */
+function fileStamp(now) {
+  return now.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Delete (or archive, then delete) the ID images referenced by expired rows
+ * @param {Object} source - Scan source
+ * @param {Array<string>} imagePaths - Image paths as written in the CSV
+ * @param {string} action - "delete" or "archive"
+ * @returns {Object} - { removed, errors }
+ */
+function purgeImages(source, imagePaths, action) {
+  const result = { removed: 0, errors: [] };
+  const seen = new Set();
+
+  imagePaths.forEach(rawPath => {
+    // Most images of older rows were removed by earlier runs
+    const image = ScanImageService.resolveScanImage(rawPath, source.id, { logMissing: false });
+    if (image.error || seen.has(image.path)) return;
+    seen.add(image.path);
+
+    try {
+      if (action === 'archive') {
+        const name = path.basename(image.path);
+        const data = fs.readFileSync(image.path).toString('base64');
+        fs.writeFileSync(
+          path.join(archiveDir('images', source.id), `${name}.enc`),
+          PiiPolicy.encrypt({ name, contentType: image.contentType, data })
+        );
+      }
+      fs.unlinkSync(image.path);
+      result.removed++;
+    } catch (err) {
+      // File names are not reported: Scan-ID names images after the guest
+      result.errors.push(`An ID image could not be removed (${err.code || err.message})`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Apply the CSV row and image policies to one scan source
+ * @param {Object} source - Scan source
+ * @param {Object} policies - Retention settings
+ * @param {Date} now - Time of the run
+ * @param {ScanSourceManager} [scanSources] - Watchers to notify of a rewritten export
+ * @returns {Object} - { stationId, rowsRemoved, imagesRemoved, errors, skipped }
+ */
+function purgeSource(source, policies, now, scanSources) {
+  const result = { stationId: source.id, rowsRemoved: 0, imagesRemoved: 0, errors: [] };
+  const rawCutoff = cutoffFor(policies.rawScanDays, now);
+  const imageCutoff = cutoffFor(policies.imageDays, now);
+
+  if (!source.purge) {
+    result.skipped = 'purge is disabled for this source';
+    return result;
+  }
+  if (!rawCutoff && !imageCutoff) {
+    return result;
+  }
+  if (!fs.existsSync(source.path)) {
+    result.skipped = 'export not found';
+    return result;
+  }
+
+  const before = fs.statSync(source.path);
+  const lines = splitLines(fs.readFileSync(source.path, 'utf8'));
+  const kept = [];
+  const expired = [];
+  const imagePaths = [];
+  let header = null;
+  let mapRow = null;
+
+  for (const line of lines) {
+    let row = null;
+    try {
+      const rows = line.trim() === '' ? [] : ScanIDParser.parseRows(line);
+      row = rows.length === 1 ? rows[0] : null;
+    } catch (err) {
+      // Malformed rows are kept untouched
+    }
+
+    if (!mapRow) {
+      if (row) {
+        try {
+          mapRow = ScanIDParser.createRecordMapper(row);
+          header = line;
+        } catch (err) {
+          result.skipped = 'unrecognized export header';
+          return result;
+        }
+      }
+      kept.push(line);
+      continue;
+    }
+
+    const scan = row ? mapRow(row) : null;
+    const scannedAt = scan && scan.ScanTimestamp ? new Date(scan.ScanTimestamp) : null;
+
+    // Rows without a readable scan time are kept
+    if (!scannedAt) {
+      kept.push(line);
+      continue;
+    }
+
+    const rowExpired = rawCutoff && scannedAt < rawCutoff;
+    // Images go with their row even if imageDays is longer than rawScanDays
+    if (rowExpired || (imageCutoff && scannedAt < imageCutoff)) {
+      imagePaths.push(...scan.Images.filter(Boolean));
+    }
+    (rowExpired ? expired : kept).push(line);
+  }
+
+  const images = purgeImages(source, imagePaths, policies.action);
+  result.imagesRemoved = images.removed;
+  result.errors.push(...images.errors);
+
+  if (expired.length === 0) {
+    return result;
+  }
+
+  const tempPath = `${source.path}.purge-tmp`;
+  const heldPath = `${source.path}.purge-held`;
+  let archivePath = null;
+
+  try {
+    if (policies.action === 'archive') {
+      archivePath = path.join(archiveDir('scans'), `${source.id}-${fileStamp(now)}.enc`);
+      fs.writeFileSync(archivePath, PiiPolicy.encrypt({ stationId: source.id, header, rows: expired }));
+    }
+    fs.writeFileSync(tempPath, kept.join(''));
+    // A second name for the export we read, so rows appended to it after the
+    // check below can still be read once it has been replaced
+    fs.linkSync(source.path, heldPath);
+
+    // Scan-ID wrote to the export while we were reading it; try again next run
+    const current = fs.statSync(source.path);
+    if (current.size !== before.size || current.mtimeMs !== before.mtimeMs) {
+      throw new Error('the export changed while it was being purged; it will be purged on the next run');
+    }
+
+    fs.renameSync(tempPath, source.path);
+    result.rowsRemoved = expired.length;
+    if (scanSources) {
+      scanSources.acceptPurgedExport(source.id, fs.statSync(source.path));
+    }
+
+    // Rows Scan-ID appended between the check and the rename; the watcher
+    // picks them up from the new export as usual
+    const late = fs.readFileSync(heldPath).subarray(before.size);
+    if (late.length > 0) {
+      fs.appendFileSync(source.path, late);
+      console.log(`Kept ${late.length} bytes appended to the ${source.id} export during the purge`);
+    }
+    fs.unlinkSync(heldPath);
+  } catch (err) {
+    result.errors.push(`CSV rows were not purged: ${err.code || err.message}`);
+    [tempPath, heldPath, archivePath].forEach(file => {
+      if (file && fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Run every retention policy once and record the summary in the audit trail
+ * @param {Object} options - { trigger, scanSources }
+ *   trigger is "schedule" or "manual"; scanSources are the running watchers
+ * @returns {Promise<Object>} - { success, summary, auditId } or { success: false, error }
+ */
+async function runPurge({ trigger = 'manual', scanSources = null } = {}) {
+  if (running) {
+    return { success: false, error: 'A retention purge is already running' };
+  }
+  running = true;
+
+  const now = new Date();
+  try {
+    const policies = AppConfig.getRetention();
+    const summary = {
+      trigger,
+      startedAt: now.toISOString(),
+      policies: {
+        rawScanDays: policies.rawScanDays,
+        imageDays: policies.imageDays,
+        checkInRecordDays: policies.checkInRecordDays,
+        auditTrailDays: policies.auditTrailDays,
+        action: policies.action
+      },
+      sources: AppConfig.getScanSources().map(source => purgeSource(source, policies, now, scanSources)),
+      checkInRecordsRemoved: 0,
+      auditEntriesRemoved: 0,
+      errors: []
+    };
+
+    const historyCutoff = cutoffFor(policies.checkInRecordDays, now);
+    if (historyCutoff) {
+      const history = await ScanHistoryService.purgeScans(historyCutoff);
+      if (history.success) {
+        summary.checkInRecordsRemoved = history.removed;
+      } else {
+        summary.errors.push(`Scan history was not purged: ${history.error}`);
+      }
+    }
+
+    const auditCutoff = cutoffFor(policies.auditTrailDays, now);
+    if (auditCutoff) {
+      const audit = await AuditTrailService.purgeEvents(auditCutoff);
+      if (audit.success) {
+        summary.auditEntriesRemoved = audit.removed;
+      } else {
+        summary.errors.push(`Audit trail was not purged: ${audit.error}`);
+      }
+    }
+
+    summary.durationMs = Date.now() - now.getTime();
+    const sourceErrors = summary.sources.reduce((count, source) => count + source.errors.length, 0);
+    const recorded = await AuditTrailService.recordEvent('retention-purge', summary);
+
+    console.log(
+      `Retention purge (${trigger}): ${summary.sources.reduce((count, source) => count + source.rowsRemoved, 0)} CSV rows, ` +
+      `${summary.sources.reduce((count, source) => count + source.imagesRemoved, 0)} images, ` +
+      `${summary.checkInRecordsRemoved} check-in records, ${summary.auditEntriesRemoved} audit entries removed` +
+      (sourceErrors + summary.errors.length ? ` (${sourceErrors + summary.errors.length} errors)` : '')
+    );
+
+    return { success: true, summary, auditId: recorded.success ? recorded.id : null };
+  } catch (err) {
+    console.error('Error running retention purge:', err);
+    await AuditTrailService.recordEvent('retention-purge-failed', { trigger, startedAt: now.toISOString(), error: err.message });
+    return { success: false, error: err.message };
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = {
+  runPurge,
+
+  /**
+   * Run the purge on the configured schedule (retention.intervalHours), first
+   * shortly after startup
+   * @param {ScanSourceManager} [scanSources] - Watchers to notify of rewritten exports
+   */
+  start(scanSources) {
+    const { enabled, intervalHours } = AppConfig.getRetention();
+    if (!enabled) {
+      console.log('Retention purge is disabled (retention.enabled in app.config.json)');
+      return;
+    }
+    if (firstRunTimer || intervalTimer) {
+      return;
+    }
+
+    const run = () => runPurge({ trigger: 'schedule', scanSources });
+    firstRunTimer = setTimeout(() => {
+      firstRunTimer = null;
+      run();
+      intervalTimer = setInterval(run, intervalHours * 60 * 60 * 1000);
+      // The schedule alone should not keep the process alive
+      intervalTimer.unref();
+    }, FIRST_RUN_DELAY_MS);
+    firstRunTimer.unref();
+
+    console.log(`Retention purge scheduled every ${intervalHours} hours`);
+  },
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    clearTimeout(firstRunTimer);
+    clearInterval(intervalTimer);
+    firstRunTimer = null;
+    intervalTimer = null;
+  }
+};
@@ -0,0 +1,430 @@
+/**
+ * ScanHistoryService.js
+ * Persists every processed scan to a local embedded database (NeDB) together
+ * with the member match result, the contact staff chose and the final decision
+ *
+ * A check-in is recorded when the scan is shown and then updated as staff work
+ * through it, so the history also covers people who were turned away. Recording
+ * a scan also reports an earlier visit by the same license (DRV LC NO): a
+ * duplicate scan, or a re-entry later the same night.
+ *
+ * Per PiiPolicy, the license number is stored only as a salted hash plus its
+ * last 4 digits, and the name, scan record, validation, match and chosen
+ * contact are stored encrypted in the "pii" field. Entries are decrypted on read.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Storage stays behind this service; routes and IPC only relay
+ * - Boundary Protection: Only known fields are accepted on updates
+ */
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+const AppConfig = require('./AppConfig');
+const PiiPolicy = require('./PiiPolicy');
+
+const DB_FILENAME = 'scan-history.db';
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 1000;
+// Names are encrypted, so a name search decrypts every entry in its range; the
+// range is capped so one request cannot decrypt the whole history
+const MAX_NAME_SEARCH_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DECISIONS = ['pending', 'admitted', 'denied'];
+// Fields held inside the encrypted "pii" envelope
+const PII_FIELDS = ['fullName', 'scan', 'validation', 'match', 'chosenContact'];
+
+let store = null;
+
+/**
+ * Open the datastore (once)
+ * @returns {Promise<Datastore>} - Loaded datastore
+ */
+async function getStore() {
+  if (!store) {
+    const filename = path.join(AppConfig.getDataDir(), DB_FILENAME);
+    const datastore = new Datastore({ filename });
+    await datastore.loadDatabaseAsync();
+    await datastore.ensureIndexAsync({ fieldName: 'scanKey', unique: true, sparse: true });
+    await datastore.ensureIndexAsync({ fieldName: 'scannedAt' });
+    await datastore.ensureIndexAsync({ fieldName: 'stationId' });
+    await datastore.ensureIndexAsync({ fieldName: 'idNumberHash' });
+    await encryptLegacyDocs(datastore);
+    console.log('Scan history database loaded from', filename);
+    store = datastore;
+  }
+  return store;
+}
+
+/**
+ * Encrypt entries written before PII protection and compact the datafile so
+ * the plaintext versions are gone from disk
+ * @param {Datastore} datastore - Loaded datastore
+ */
+async function encryptLegacyDocs(datastore) {
+  const legacyDocs = await datastore.findAsync({ pii: { $exists: false } });
+  if (legacyDocs.length === 0) return;
+
+  for (const doc of legacyDocs) {
+    const scan = doc.scan || {};
+    const pii = {};
+    PII_FIELDS.forEach(field => {
+      pii[field] = doc[field] === undefined ? null : doc[field];
+    });
+    const unset = {};
+    [...PII_FIELDS, 'idNumber'].forEach(field => {
+      unset[field] = true;
+    });
+
+    const scanKey = scanKeyFor({ ...scan, IDNumber: doc.idNumber });
+    if (!scanKey) {
+      unset.scanKey = true;
+    }
+
+    await datastore.updateAsync({ _id: doc._id }, {
+      $set: {
+        ...(scanKey ? { scanKey } : {}),
+        idNumberHash: PiiPolicy.hashIdNumber(doc.idNumber),
+        idNumberLast4: PiiPolicy.lastFour(doc.idNumber),
+        valid: doc.validation ? doc.validation.valid : null,
+        pii: PiiPolicy.encrypt(pii)
+      },
+      $unset: unset
+    });
+  }
+
+  await datastore.removeIndexAsync('idNumber');
+  await datastore.compactDatafileAsync();
+  console.log(`Encrypted ${legacyDocs.length} scan history entries written before PII protection`);
+}
+
+/**
+ * Decrypt the PII fields of a history document
+ * @param {Object} doc - NeDB document
+ * @returns {Object} - { fullName, scan, validation, match, chosenContact }
+ */
+function readPii(doc) {
+  return doc.pii ? PiiPolicy.decrypt(doc.pii) : {};
+}
+
+/**
+ * Natural key for a scan so re-reading the same CSV row does not create a
+ * second history entry. Barcode scans are stamped when decoded, so every
+ * decode is a new entry. The license number enters the key only as its hash.
+ * @param {Object} scan - Scan record
+ * @returns {string|undefined} - Key, or undefined if the scan has no timestamp
+ */
+function scanKeyFor(scan) {
+  if (!scan.ScanTimestamp) return undefined;
+  return [scan.StationId || '', scan.Source || '', scan.ScanTimestamp, PiiPolicy.hashIdNumber(scan.IDNumber) || ''].join('|');
+}
+
+/**
+ * Describe an earlier visit for the check-in screen
+ * @param {Object} doc - Earlier history document
+ * @param {boolean} sameScan - Whether doc is the scan being recorded (same CSV row read again)
+ * @returns {Object} - { id, kind, minutesAgo, recordedAt, station, decision, decidedAt, chosenContact }
+ *   kind is "duplicate" (within duplicateScanMinutes, or the same scan read again),
+ *   "reentry" (admitted within reentryHours) or "returning" (seen but not admitted)
+ */
+function describePreviousVisit(doc, sameScan) {
+  const { duplicateScanMinutes } = AppConfig.getVenue();
+  const minutesAgo = Math.floor((Date.now() - new Date(doc.recordedAt).getTime()) / 60000);
+
+  let kind = 'returning';
+  if (sameScan || minutesAgo < duplicateScanMinutes) {
+    kind = 'duplicate';
+  } else if (doc.decision === 'admitted') {
+    kind = 'reentry';
+  }
+
+  return {
+    id: doc._id,
+    kind,
+    minutesAgo,
+    recordedAt: doc.recordedAt,
+    station: doc.station,
+    decision: doc.decision,
+    decidedAt: doc.decidedAt,
+    chosenContact: readPii(doc).chosenContact || null
+  };
+}
+
+/**
+ * Find the earlier visit by the same license that matters for this scan: the
+ * latest one if it is recent enough to be a duplicate, otherwise the latest
+ * admitted one within the re-entry window, otherwise the latest one
+ * @param {Datastore} db - History datastore
+ * @param {Object} scan - Scan record
+ * @returns {Promise<Object|null>} - Earlier history document
+ */
+async function findPreviousVisit(db, scan) {
+  if (!scan.IDNumber) return null;
+
+  const { duplicateScanMinutes, reentryHours } = AppConfig.getVenue();
+  const windowMinutes = Math.max(duplicateScanMinutes, reentryHours * 60);
+  const since = new Date(Date.now() - windowMinutes * 60000);
+
+  const docs = await db.findAsync({ idNumberHash: PiiPolicy.hashIdNumber(scan.IDNumber), recordedAt: { $gte: since } })
+    .sort({ recordedAt: -1 });
+  if (docs.length === 0) return null;
+
+  const [latest] = docs;
+  if (Date.now() - new Date(latest.recordedAt).getTime() < duplicateScanMinutes * 60000) {
+    return latest;
+  }
+  return docs.find(doc => doc.decision === 'admitted') || latest;
+}
+
+/**
+ * Parse a from/to query value; a bare date (YYYY-MM-DD) means the start of that
+ * day, or the end of it for "to"
+ * @param {string} value - ISO date or date-time
+ * @param {boolean} endOfDay - Whether a bare date should mean the end of the day
+ * @returns {Date|null} - Parsed date
+ */
+function parseQueryDate(value, endOfDay) {
+  if (!value) return null;
+
+  const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = dateOnly
+    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]) + (endOfDay ? 1 : 0))
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  // The end of a bare date is exclusive
+  return dateOnly && endOfDay ? new Date(date.getTime() - 1) : date;
+}
+
+/**
+ * @param {string} text - User input
+ * @returns {string} - Text safe to use inside a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Reduce a history document to what callers need, with the PII decrypted
+ * @param {Object} doc - NeDB document
+ * @param {Object} [pii] - Already decrypted PII fields
+ * @returns {Object} - History entry
+ */
+function toEntry(doc, pii = readPii(doc)) {
+  const { scanKey, pii: encrypted, idNumberHash, ...entry } = doc;
+  return { ...entry, ...pii, id: doc._id };
+}
+
+module.exports = {
+  DECISIONS,
+
+  /**
+   * Record a processed scan; recording the same CSV row again returns the existing entry
+   * @param {Object} scan - Scan record (with StationId/Station and Validation)
+   * @returns {Promise<Object>} - { success, id, existing, previous } or { success: false, error }
+   *   where previous describes an earlier visit by the same license (or null)
+   */
+  recordScan: async function (scan) {
+    try {
+      if (!scan || typeof scan !== 'object' || scan.error) {
+        return { success: false, error: 'A scan record is required' };
+      }
+
+      const db = await getStore();
+      const scanKey = scanKeyFor(scan);
+
+      if (scanKey) {
+        const existing = await db.findOneAsync({ scanKey });
+        if (existing) {
+          // Reading a row that was already worked through counts as a duplicate
+          const previous = existing.decision !== 'pending' ? describePreviousVisit(existing, true) : null;
+          return { success: true, id: existing._id, existing: true, previous };
+        }
+      }
+
+      const previousVisit = await findPreviousVisit(db, scan);
+
+      const { Validation, ...record } = scan;
+      const now = new Date();
+      const doc = await db.insertAsync({
+        scanKey,
+        scannedAt: scan.ScanTimestamp ? new Date(scan.ScanTimestamp) : now,
+        recordedAt: now,
+        stationId: scan.StationId || null,
+        station: scan.Station || null,
+        idNumberHash: PiiPolicy.hashIdNumber(scan.IDNumber),
+        idNumberLast4: PiiPolicy.lastFour(scan.IDNumber),
+        valid: Validation ? Validation.valid : null,
+        pii: PiiPolicy.encrypt({
+          fullName: scan.FullName || '',
+          scan: record,
+          validation: Validation || null,
+          match: null,
+          chosenContact: null
+        }),
+        // Hard validation failures are denied without a member lookup
+        decision: Validation && !Validation.valid ? 'denied' : 'pending',
+        decidedAt: Validation && !Validation.valid ? now : null,
+        previousVisitId: previousVisit ? previousVisit._id : null,
+        readmitOf: null
+      });
+
+      console.log(`Recorded scan ${doc._id} for ${PiiPolicy.initials(scan.FullName)} (${doc.station || 'no station'})`);
+      return {
+        success: true,
+        id: doc._id,
+        existing: false,
+        previous: previousVisit ? describePreviousVisit(previousVisit, false) : null
+      };
+    } catch (err) {
+      console.error('Error recording scan:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Update a recorded scan with the match result, chosen contact or decision
+   * @param {string} id - History entry id
+   * @param {Object} changes - { match, chosenContact, decision, readmitOf }
+   *   readmitOf is the id of the earlier visit a one-click re-admit was based on
+   * @returns {Promise<Object>} - { success } or { success: false, error }
+   */
+  updateScan: async function (id, changes = {}) {
+    try {
+      const update = {};
+      const piiChanges = {};
+
+      if (changes.match !== undefined) {
+        piiChanges.match = changes.match;
+      }
+      if (changes.chosenContact !== undefined) {
+        piiChanges.chosenContact = changes.chosenContact;
+      }
+      if (changes.decision !== undefined) {
+        if (!DECISIONS.includes(changes.decision)) {
+          return { success: false, error: `Decision must be one of: ${DECISIONS.join(', ')}` };
+        }
+        update.decision = changes.decision;
+        update.decidedAt = new Date();
+      }
+      if (changes.readmitOf !== undefined) {
+        update.readmitOf = changes.readmitOf;
+      }
+
+      if (Object.keys(update).length === 0 && Object.keys(piiChanges).length === 0) {
+        return { success: false, error: 'Nothing to update' };
+      }
+
+      const db = await getStore();
+      const doc = await db.findOneAsync({ _id: id });
+      if (!doc) {
+        return { success: false, error: `Scan not found: ${id}` };
+      }
+      if (Object.keys(piiChanges).length > 0) {
+        update.pii = PiiPolicy.encrypt({ ...readPii(doc), ...piiChanges });
+      }
+      await db.updateAsync({ _id: id }, { $set: update });
+      return { success: true };
+    } catch (err) {
+      console.error('Error updating scan history:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Get a single history entry
+   * @param {string} id - History entry id
+   * @returns {Promise<Object>} - { success, scan } or { success: false, error }
+   */
+  getScan: async function (id) {
+    try {
+      const db = await getStore();
+      const doc = await db.findOneAsync({ _id: id });
+      if (!doc) {
+        return { success: false, error: `Scan not found: ${id}` };
+      }
+      return { success: true, scan: toEntry(doc) };
+    } catch (err) {
+      console.error('Error reading scan history:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Query the scan history, newest first
+   * @param {Object} filters - { from, to, name, station, decision, limit };
+   *   a name search needs from and to, at most MAX_NAME_SEARCH_DAYS apart
+   * @returns {Promise<Object>} - { success, scans, count } or { success: false, error }
+   */
+  queryScans: async function ({ from, to, name, station, decision, limit } = {}) {
+    try {
+      const query = {};
+
+      const fromDate = parseQueryDate(from, false);
+      const toDate = parseQueryDate(to, true);
+      if (name) {
+        if (!fromDate || !toDate) {
+          return { success: false, error: 'A name search needs a from and a to date' };
+        }
+        if (toDate - fromDate > MAX_NAME_SEARCH_DAYS * DAY_MS) {
+          return { success: false, error: `A name search can cover at most ${MAX_NAME_SEARCH_DAYS} days` };
+        }
+      }
+      if (fromDate || toDate) {
+        query.scannedAt = {};
+        if (fromDate) query.scannedAt.$gte = fromDate;
+        if (toDate) query.scannedAt.$lte = toDate;
+      }
+      if (station) {
+        query.stationId = station;
+      }
+      if (decision) {
+        query.decision = decision;
+      }
+
+      const maxResults = Math.min(Number(limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+      const db = await getStore();
+
+      // Names are encrypted, so a name search decrypts the (capped) time range
+      // here, newest first, until it has enough matches
+      const cursor = db.findAsync(query).sort({ scannedAt: -1 });
+      const docs = await (name ? cursor : cursor.limit(maxResults));
+      let scans = [];
+      if (name) {
+        const namePattern = new RegExp(escapeRegExp(String(name).trim()), 'i');
+        for (const doc of docs) {
+          const entry = toEntry(doc);
+          if (namePattern.test(entry.fullName || '')) scans.push(entry);
+          if (scans.length >= maxResults) break;
+        }
+      } else {
+        scans = docs.map(doc => toEntry(doc));
+      }
+
+      return { success: true, scans, count: scans.length };
+    } catch (err) {
+      console.error('Error querying scan history:', err);
+      return { success: false, error: err.message };
+    }
+  },
+
+  /**
+   * Delete entries scanned before a date (see RetentionService) and compact the
+   * datafile so they are gone from disk
+   * @param {Date} before - Cutoff
+   * @returns {Promise<Object>} - { success, removed } or { success: false, error }
+   */
+  purgeScans: async function (before) {
+    try {
+      const db = await getStore();
+      const removed = await db.removeAsync({ scannedAt: { $lt: before } }, { multi: true });
+      if (removed > 0) {
+        await db.compactDatafileAsync();
+      }
+      return { success: true, removed };
+    } catch (err) {
+      console.error('Error purging scan history:', err);
+      return { success: false, error: err.message };
+    }
+  }
+};
@@ -0,0 +1,245 @@
+/**
+ * ScanIDParser.js
+ * Single parser for Scan-ID export records, shared by every ingestion path
+ * (ScanIDService, the web server routes and ScanIDWatcher)
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Boundary Protection: Implementing strict interface contracts for Scan-ID data
+ * - Separation of Concerns: Keeping CSV layout knowledge out of the callers
+ */
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+
+const IMAGE_COLUMN_COUNT = 8;
+
+/**
+ * Known header layouts. Header names are compared after normalization
+ * (uppercased, non-alphanumerics removed), so "FULL NAME" and "FullName"
+ * both become "FULLNAME".
+ */
+const LAYOUTS = {
+  // The layout the Scan-ID desktop software actually exports
+  'scanid-export': {
+    ScanTime: 'CREATED',
+    FullName: 'FULLNAME',
+    FirstName: 'FIRSTNAME',
+    LastName: 'LASTNAME',
+    DateOfBirth: 'BIRTHDATE',
+    Age: 'AGE',
+    IDNumber: 'DRVLCNO',
+    IDIssued: 'ISSUEDON',
+    IDExpiration: 'EXPIRESON'
+  },
+  // Already-mapped records (e.g. CSVs re-exported from this app)
+  'mapped': {
+    ScanTime: 'SCANTIME',
+    FullName: 'FULLNAME',
+    FirstName: 'FIRSTNAME',
+    LastName: 'LASTNAME',
+    DateOfBirth: 'DATEOFBIRTH',
+    Age: 'AGE',
+    IDNumber: 'IDNUMBER',
+    IDIssued: 'IDISSUED',
+    IDExpiration: 'IDEXPIRATION'
+  }
+};
+
+/**
+ * Normalize a header cell for layout detection
+ * @param {string} header - Raw header cell
+ * @returns {string} - Uppercased header with non-alphanumerics removed
+ */
+function normalizeHeader(header) {
+  return String(header || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Detect which known layout a header row uses
+ * @param {Array<string>} headerRow - Header cells in file order
+ * @returns {Object} - { name, columns } where columns maps scan fields to column indexes
+ */
+function detectLayout(headerRow) {
+  const normalized = headerRow.map(normalizeHeader);
+
+  for (const [name, fields] of Object.entries(LAYOUTS)) {
+    const columns = {};
+    let matched = 0;
+
+    for (const [field, header] of Object.entries(fields)) {
+      const index = normalized.indexOf(header);
+      columns[field] = index;
+      if (index !== -1) matched++;
+    }
+
+    // First and last name are the minimum we need to look anyone up
+    if (columns.FirstName !== -1 && columns.LastName !== -1 && matched >= 4) {
+      columns.Images = [];
+      for (let i = 1; i <= IMAGE_COLUMN_COUNT; i++) {
+        columns.Images.push(normalized.indexOf(`IMAGE${i}`));
+      }
+      // Older mapped exports only carried a single photo column
+      if (columns.Images[0] === -1) {
+        columns.Images[0] = normalized.indexOf('PHOTOPATH');
+      }
+      return { name, columns };
+    }
+  }
+
+  throw new Error(`Unrecognized Scan-ID CSV header: ${headerRow.join(',')}`);
+}
+
+/**
+ * Parse the Scan-ID CREATED timestamp
+ * Handles "2025/04/05 20:37:10 (Sat Apr 05)" as well as date-only and ISO values.
+ * The time is interpreted in the local timezone of the front-desk PC.
+ * @param {string} value - Raw CREATED value
+ * @returns {Date|null} - Parsed date or null if the value cannot be parsed
+ */
+function parseCreated(value) {
+  if (!value) return null;
+
+  const text = String(value).trim().replace(/\s*\([^)]*\)\s*$/, '');
+  const match = text.match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+
+  if (match) {
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match;
+    const date = new Date(
+      Number(year), Number(month) - 1, Number(day),
+      Number(hours), Number(minutes), Number(seconds)
+    );
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const fallback = new Date(text);
+  return isNaN(fallback.getTime()) ? null : fallback;
+}
+
+/**
+ * Build a function that maps raw CSV rows to scan records for a given header row
+ * @param {Array<string>} headerRow - Header cells in file order
+ * @returns {Function} - (row: Array<string>) => scan record
+ */
+function createRecordMapper(headerRow) {
+  const layout = detectLayout(headerRow);
+  const { columns } = layout;
+
+  const cell = (row, index) => {
+    if (index === -1 || index >= row.length) return '';
+    return String(row[index] || '').trim();
+  };
+
+  const mapper = (row) => {
+    const scanTime = cell(row, columns.ScanTime);
+    const timestamp = parseCreated(scanTime);
+    const age = cell(row, columns.Age);
+    const firstName = cell(row, columns.FirstName);
+    const lastName = cell(row, columns.LastName);
+    const images = columns.Images.map(index => cell(row, index) || null);
+
+    return {
+      FirstName: firstName,
+      LastName: lastName,
+      // The Scan-ID export has no middle name, suffix, sex or address columns
+      MiddleName: '',
+      Suffix: '',
+      FullName: cell(row, columns.FullName) || `${firstName} ${lastName}`.trim(),
+      DateOfBirth: cell(row, columns.DateOfBirth),
+      Age: age !== '' && !isNaN(Number(age)) ? Number(age) : null,
+      IDNumber: cell(row, columns.IDNumber),
+      IDExpiration: cell(row, columns.IDExpiration),
+      IDIssued: cell(row, columns.IDIssued),
+      State: '',
+      Sex: '',
+      Address: null,
+      ScanTime: scanTime,
+      ScanTimestamp: timestamp ? timestamp.toISOString() : null,
+      PhotoPath: images[0],
+      Images: images,
+      Source: 'scanid-csv',
+      // Filled in by whoever knows which scanner station the row came from
+      StationId: null,
+      Station: null
+    };
+  };
+
+  mapper.layout = layout.name;
+  return mapper;
+}
+
+/**
+ * Parse raw CSV text into row arrays (no header handling)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Parsed rows
+ */
+function parseRows(text) {
+  return parse(text, {
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true
+  });
+}
+
+/**
+ * Parse a complete Scan-ID CSV export
+ * @param {string} csvContent - Full CSV file contents including the header
+ * @returns {Object} - { layout, header, records }
+ */
+function parseScanIdCsv(csvContent) {
+  const rows = parseRows(csvContent);
+
+  if (rows.length === 0) {
+    return { layout: null, header: [], records: [] };
+  }
+
+  const [header, ...dataRows] = rows;
+  const mapRow = createRecordMapper(header);
+
+  return {
+    layout: mapRow.layout,
+    header,
+    records: dataRows.map(mapRow)
+  };
+}
+
+/**
+ * Pick the most recent record by scan timestamp
+ * Records without a parseable timestamp lose to timestamped ones; ties go to
+ * the record that appears later in the file.
+ * @param {Array<Object>} records - Scan records
+ * @returns {Object|null} - Latest record
+ */
+function getLatestRecord(records) {
+  let latest = null;
+  let latestTime = -Infinity;
+
+  for (const record of records) {
+    const time = record.ScanTimestamp ? Date.parse(record.ScanTimestamp) : -Infinity;
+    if (latest === null || time >= latestTime) {
+      latest = record;
+      latestTime = time;
+    }
+  }
+
+  return latest;
+}
+
+/**
+ * Read and parse a Scan-ID CSV file from disk
+ * @param {string} csvPath - Path to the Scan-ID export
+ * @returns {Object} - { layout, header, records }
+ */
+function readScanIdCsv(csvPath) {
+  const csvContent = fs.readFileSync(csvPath, 'utf8');
+  return parseScanIdCsv(csvContent);
+}
+
+module.exports = {
+  IMAGE_COLUMN_COUNT,
+  detectLayout,
+  parseCreated,
+  createRecordMapper,
+  parseRows,
+  parseScanIdCsv,
+  getLatestRecord,
+  readScanIdCsv
+};
@@ -1,37 +1,53 @@
 const fs = require('fs');
-const path = require('path');
-const { parse } = require('csv-parse/sync');
-
-const SCAN_ID_CSV_PATH = path.join(__dirname, '../../src/assets/scan-id-export.csv');
-
-const sql = require('mssql');
-
+const ScanIDParser = require('./ScanIDParser');
+const AamvaParser = require('./AamvaParser');
+const ScanValidator = require('./ScanValidator');
+const AppConfig = require('./AppConfig');
+const PiiPolicy = require('./PiiPolicy');
+const { getFingerprintData } = require('../services/sqlService');
 
-const config = {
-  user: 'omarm',
-  password: 'Genpack4007!',
-  server: 'your_timexpress_server_address',
-  database: 'your_database_name',
-  options: {
-    encrypt: true,
-    trustServerCertificate: true
+/**
+ * Add the TimeXpress fingerprint hash to a scan when fingerprints are enabled
+ * Optional: a missing fingerprint is logged and the scan returned without one,
+ * since it is only needed for TouchID registration
+ * @param {Object} scan - Scan record
+ * @returns {Promise<Object>} - The scan, with FingerprintHash when found
+ */
+async function withFingerprint(scan) {
+  if (!AppConfig.getFingerprints().enabled) {
+    return scan;
   }
-};
-
-const { getFingerprintData } = require('../services/sqlService');
+  const fingerprintHash = await getFingerprintData(scan.FullName);
+  if (!fingerprintHash) {
+    console.warn(`No fingerprint found for ${PiiPolicy.initials(scan.FullName)}`);
+    return { ...scan, FingerprintHash: null };
+  }
+  return { ...scan, FingerprintHash: fingerprintHash };
+}
 
 module.exports = {
-  getLatestScan: async function () {
+  /**
+   * Read the latest scan from a station's Scan-ID CSV export
+   * Returns the same record shape as ScanSourceManager's newscan event,
+   * including the Validation verdict from ScanValidator
+   * @param {string} [stationId] - Scan source id; defaults to the first configured source
+   */
+  getLatestScan: async function (stationId) {
     try {
-      console.log('Looking for Scan-ID CSV at:', SCAN_ID_CSV_PATH);
-      if (!fs.existsSync(SCAN_ID_CSV_PATH)) {
-        console.error('Scan-ID CSV file not found at:', SCAN_ID_CSV_PATH);
+      const source = AppConfig.getScanSource(stationId);
+      if (!source) {
+        return { error: `Unknown scan station: ${stationId}` };
+      }
+
+      const csvPath = source.path;
+      console.log(`Looking for Scan-ID CSV for station "${source.id}" at:`, csvPath);
+      if (!fs.existsSync(csvPath)) {
+        console.error('Scan-ID CSV file not found at:', csvPath);
         return { error: 'Scan-ID CSV file not found' };
       }
 
-      const csvContent = fs.readFileSync(SCAN_ID_CSV_PATH, 'utf8');
-      console.log('CSV content loaded, parsing...');
-      const records = parse(csvContent, { columns: true, skip_empty_lines: true });
+      const { layout, records } = ScanIDParser.readScanIdCsv(csvPath);
+      console.log(`CSV content loaded and parsed (layout: ${layout})`);
 
       if (!records.length) {
         console.warn('No records found in Scan-ID CSV');
@@ -39,46 +55,45 @@ module.exports = {
       }
 
       console.log(`Found ${records.length} records, returning the latest one`);
-
-      // Sort records by CREATED field in descending order
-      records.sort((a, b) => {
-        const dateA = new Date(a.CREATED.split(' ')[0].replace(/\//g, '-'));
-        const dateB = new Date(b.CREATED.split(' ')[0].replace(/\//g, '-'));
-        return dateB - dateA;
-      });
-
-      // Extract the latest scan record
-      const latestRecord = records[0];
-
-      // Retrieve fingerprint data from MS SQL for scanned user
-      const fingerprintHash = await getFingerprintData(latestRecord['FULL NAME']);
-      if (!fingerprintHash) {
-        console.error(`No fingerprint found for ${latestRecord['FULL NAME']}`);
-        return { error: 'Fingerprint not found' };
+      return await withFingerprint(ScanValidator.withValidation({
+        ...ScanIDParser.getLatestRecord(records),
+        StationId: source.id,
+        Station: source.station
+      }));
+    } catch (err) {
+      console.error('Error processing Scan-ID CSV:', err);
+      return { error: err.message };
+    }
+  },
+
+  /**
+   * Decode a raw AAMVA driver-license barcode into a scan record
+   * Returns the same record shape as getLatestScan
+   * @param {string} barcodeData - Raw PDF417 payload from a 2D scanner
+   * @param {string} [stationId] - Scan source id; defaults to the first configured source
+   */
+  parseBarcodeScan: async function (barcodeData, stationId) {
+    try {
+      const source = AppConfig.getScanSource(stationId);
+      if (!source) {
+        return { error: `Unknown scan station: ${stationId}` };
       }
 
-      // Return formatted scan data including fingerprint hash
-      return {
-        FirstName: latestRecord['FIRST NAME'],
-        LastName: latestRecord['LAST NAME'],
-        FullName: latestRecord['FULL NAME'],
-        DateOfBirth: latestRecord['BIRTHDATE'],
-        Age: latestRecord['AGE'],
-        IDNumber: latestRecord['DRV LC NO'],
-        IDExpiration: latestRecord['EXPIRES ON'],
-        IDIssued: latestRecord['ISSUED ON'],
-        ScanTime: latestRecord['CREATED'],
-        PhotoPath: latestRecord['Image1'],
-        FingerprintHash: fingerprintHash // Adding fingerprint data
-      };
+      if (!AamvaParser.isAamvaBarcode(barcodeData)) {
+        console.warn('Rejected barcode input without an AAMVA header');
+        return { error: 'Not an AAMVA driver license barcode' };
+      }
 
+      const scan = AamvaParser.parseAamvaBarcode(barcodeData);
+      console.log(`Decoded AAMVA barcode for station "${source.id}"`);
+      return ScanValidator.withValidation({
+        ...scan,
+        StationId: source.id,
+        Station: source.station
+      });
     } catch (err) {
-      console.error('Error processing Scan-ID CSV:', err);
+      console.error('Error decoding AAMVA barcode:', err.message);
       return { error: err.message };
     }
   }
 };
-
-
-
-
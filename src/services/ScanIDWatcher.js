@@ -1,19 +1,44 @@
 /**
  * ScanIDWatcher.js
  * Watches for changes to the Scan-ID export CSV file and processes new scans
- * 
+ *
+ * The watcher tails the export: it remembers how many bytes and rows it has
+ * already consumed and only parses rows appended since the last check, emitting
+ * one 'newscan' event per new row in file order. Truncation, rotation (a new
+ * file at the same path) and full rewrites by Scan-ID are detected and handled.
+ *
+ * Because Scan-ID may still be writing when the change is noticed, the file is
+ * only read once its size and mtime have settled, identical rows are
+ * suppressed by checksum, and a malformed trailing row is retried rather than
+ * reported as a watch error.
+ *
  * Following the Ethereal Engineering Technical Codex principles:
  * - Boundary Protection: Implementing strict interface contracts
  * - Fail Fast and Learn: Implementing early failure detection with fallback mechanisms
  * - Separation of Concerns: Maintaining clear boundaries between components
  */
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const { parse } = require('csv-parse/sync');
 const EventEmitter = require('events');
+const ScanIDParser = require('./ScanIDParser');
+const PiiPolicy = require('./PiiPolicy');
+
+// Number of bytes before the read offset remembered to detect in-place rewrites
+const ANCHOR_BYTES = 64;
+
+// Number of row checksums remembered for duplicate suppression
+const MAX_REMEMBERED_ROWS = 1000;
 
 class ScanIDWatcher extends EventEmitter {
-  constructor(csvPath) {
+  /**
+   * @param {string} csvPath - Path to the Scan-ID export
+   * @param {Object} options - Optional tuning
+   * @param {number} options.settleChecks - Consecutive unchanged checks required before reading (default 2)
+   * @param {number} options.settleIntervalMs - Delay between settle checks (default 250)
+   * @param {number} options.maxRowRetries - Times a malformed trailing row is retried before it is skipped (default 5)
+   */
+  constructor(csvPath, options = {}) {
     super();
     this.csvPath = csvPath || path.join(__dirname, '../assets/scan-id-export.csv');
     this.watching = false;
@@ -23,11 +48,33 @@ class ScanIDWatcher extends EventEmitter {
     this.checkInterval = null;
     this.intervalMs = 2000; // Check every 2 seconds
     
+    // Tail state
+    this.offset = 0;        // Bytes consumed (always at the end of a complete row)
+    this.rowCount = 0;      // Data rows consumed (header excluded)
+    this.mapRow = null;     // Row mapper built from the header line
+    this.columnCount = 0;   // Number of columns in the header line
+    this.fileId = null;     // dev:ino of the file being tailed
+    this.anchor = null;     // Bytes just before the offset, used to detect rewrites
+    this.rowChecksums = new Set();
+    
+    // Partial-write protection
+    this.settleChecks = options.settleChecks ?? 2;
+    this.settleIntervalMs = options.settleIntervalMs ?? 250;
+    this.maxRowRetries = options.maxRowRetries ?? 5;
+    this.settling = false;
+    this.settleTimer = null;
+    this.settleSignature = null;
+    this.stableChecks = 0;
+    this.retryOffset = null;
+    this.retryCount = 0;
+    
     console.log('ScanIDWatcher initialized with path:', this.csvPath);
   }
   
   /**
    * Start watching the Scan-ID CSV file for changes
+   * Rows already in the file are treated as seen; only rows appended after
+   * this call are emitted.
    */
   startWatching() {
     if (this.watching) {
@@ -45,16 +92,13 @@ class ScanIDWatcher extends EventEmitter {
     }
     
     try {
-      // Get the initial file stats
+      // Position the tail at the end of the existing content
       const stats = fs.statSync(this.csvPath);
       this.lastModified = stats.mtime;
+      this.syncToFile(stats, { emitRows: false });
       
       // Set up the file watcher
-      this.watcher = fs.watch(this.csvPath, (eventType) => {
-        if (eventType === 'change') {
-          this.checkForChanges();
-        }
-      });
+      this.armFileWatcher();
       
       // Also set up an interval check as a backup mechanism
       // This helps on systems where file watching might be unreliable
@@ -63,10 +107,7 @@ class ScanIDWatcher extends EventEmitter {
       }, this.intervalMs);
       
       this.watching = true;
-      this.emit('watching', { path: this.csvPath });
-      
-      // Do an initial check for the latest scan
-      this.checkForChanges();
+      this.emit('watching', { path: this.csvPath, rowCount: this.rowCount });
     } catch (err) {
       console.error('Error starting Scan-ID watcher:', err);
       this.emit('error', err);
@@ -93,14 +134,55 @@ class ScanIDWatcher extends EventEmitter {
       this.checkInterval = null;
     }
     
+    if (this.settleTimer) {
+      clearTimeout(this.settleTimer);
+      this.settleTimer = null;
+    }
+    this.settling = false;
+    
     this.watching = false;
     this.emit('stopped');
   }
   
+  /**
+   * (Re)create the fs.watch handle
+   * A rename event means the path now points at a different file (rotation),
+   * so the handle on the old inode is replaced.
+   */
+  armFileWatcher() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    
+    try {
+      this.watcher = fs.watch(this.csvPath, (eventType) => {
+        this.checkForChanges();
+        if (eventType === 'rename') {
+          this.armFileWatcher();
+        }
+      });
+      this.watcher.on('error', () => {
+        // The interval check keeps running; re-arm on the next rotation check
+        this.watcher = null;
+      });
+    } catch (err) {
+      // File is momentarily missing during a rotation; the interval check covers it
+      this.watcher = null;
+    }
+  }
+  
   /**
    * Check if the CSV file has changed and process any new scans
+   * Called from fs.watch, the backup interval and callers that want an
+   * immediate check. Calls made while a settle window is open are ignored,
+   * which debounces the burst of events a single write produces.
    */
   async checkForChanges() {
+    if (this.settling) {
+      return;
+    }
+    
     try {
       // Check if the file exists
       if (!fs.existsSync(this.csvPath)) {
@@ -110,54 +192,328 @@ class ScanIDWatcher extends EventEmitter {
       
       // Get the current file stats
       const stats = fs.statSync(this.csvPath);
+      const fileId = `${stats.dev}:${stats.ino}`;
       
-      // Check if the file has been modified
-      if (this.lastModified && stats.mtime <= this.lastModified) {
-        // File hasn't changed
+      // Nothing to do if the file is the same size, same file and not touched
+      if (fileId === this.fileId &&
+          stats.size === this.offset &&
+          this.lastModified && stats.mtime <= this.lastModified) {
         return;
       }
       
-      console.log('Scan-ID CSV file has changed, processing new scan');
-      this.lastModified = stats.mtime;
+      // Scan-ID may still be writing the row; wait for the file to settle
+      this.settling = true;
+      this.settleSignature = null;
+      this.stableChecks = 0;
+      this.waitForSettle();
+    } catch (err) {
+      console.error('Error checking for Scan-ID changes:', err);
+      this.emit('error', err);
+    }
+  }
+  
+  /**
+   * Poll the file until its size and mtime have been stable for
+   * settleChecks consecutive checks, then process the changes
+   */
+  waitForSettle() {
+    this.settleTimer = setTimeout(() => {
+      this.settleTimer = null;
       
-      // Read and parse the CSV file
-      const csvContent = fs.readFileSync(this.csvPath, 'utf8');
-      const records = parse(csvContent, {
-        columns: true,
-        skip_empty_lines: true
-      });
+      try {
+        if (!fs.existsSync(this.csvPath)) {
+          // Mid-rotation; the next check will pick up the new file
+          this.settling = false;
+          return;
+        }
+        
+        const stats = fs.statSync(this.csvPath);
+        const signature = `${stats.dev}:${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+        
+        if (signature === this.settleSignature) {
+          this.stableChecks++;
+        } else {
+          this.settleSignature = signature;
+          this.stableChecks = 0;
+        }
+        
+        if (this.stableChecks < this.settleChecks) {
+          this.waitForSettle();
+          return;
+        }
+        
+        this.settling = false;
+        this.processChanges(stats);
+      } catch (err) {
+        this.settling = false;
+        console.error('Error checking for Scan-ID changes:', err);
+        this.emit('error', err);
+      }
+    }, this.settleIntervalMs);
+  }
+  
+  /**
+   * Process a settled change to the CSV file
+   * @param {fs.Stats} stats - Stats of the settled file
+   */
+  processChanges(stats) {
+    const fileId = `${stats.dev}:${stats.ino}`;
+    
+    this.lastModified = stats.mtime;
+    
+    if (this.watching && !this.watcher) {
+      this.armFileWatcher();
+    }
+    
+    if (this.fileId !== null && fileId !== this.fileId) {
+      console.log('Scan-ID CSV file was rotated, reading the new file from the start');
+      this.emit('reset', { reason: 'rotated', path: this.csvPath });
+      this.resetTail();
+      this.syncToFile(stats, { emitRows: true });
+    } else if (stats.size < this.offset) {
+      console.log('Scan-ID CSV file was truncated, reading it from the start');
+      this.emit('reset', { reason: 'truncated', path: this.csvPath });
+      this.resetTail();
+      this.syncToFile(stats, { emitRows: true });
+    } else if (!this.anchorMatches()) {
+      // Same file, but the content we already consumed changed (Scan-ID
+      // re-saved the whole export). Rows past the old row count are new.
+      console.log('Scan-ID CSV file was rewritten, re-reading it');
+      this.emit('reset', { reason: 'rewritten', path: this.csvPath });
+      const seenRows = this.rowCount;
+      this.resetTail();
+      this.syncToFile(stats, { emitRows: true, skipRows: seenRows });
+    } else {
+      this.syncToFile(stats, { emitRows: true });
+    }
+  }
+  
+  /**
+   * Re-position the tail after the retention purge rewrote the export without
+   * its expired rows. Every row left in the file has already been seen, so
+   * nothing is emitted; rows appended afterwards are picked up as usual.
+   * @param {fs.Stats} stats - Stats of the rewritten file
+   */
+  acceptPurgedFile(stats) {
+    if (!this.watching) {
+      return;
+    }
+    
+    this.resetTail();
+    this.lastModified = stats.mtime;
+    this.syncToFile(stats, { emitRows: false });
+  }
+  
+  /**
+   * Forget everything about the previously tailed file
+   * Row checksums are kept so rows re-read after a reset are not re-emitted.
+   */
+  resetTail() {
+    this.offset = 0;
+    this.rowCount = 0;
+    this.mapRow = null;
+    this.columnCount = 0;
+    this.fileId = null;
+    this.anchor = null;
+    this.retryOffset = null;
+    this.retryCount = 0;
+  }
+  
+  /**
+   * Read everything after the current offset, one line at a time, and
+   * advance the tail state past every line that could be handled
+   * @param {fs.Stats} stats - Current stats of the CSV file
+   * @param {Object} options - { emitRows, skipRows }
+   */
+  syncToFile(stats, { emitRows, skipRows = 0 }) {
+    this.fileId = `${stats.dev}:${stats.ino}`;
+    
+    if (stats.size <= this.offset) {
+      return;
+    }
+    
+    const chunk = this.readRange(this.offset, stats.size);
+    const rows = [];
+    let position = 0;
+    
+    while (position < chunk.length) {
+      const newline = chunk.indexOf(0x0a, position);
+      const end = newline === -1 ? chunk.length : newline + 1;
+      const text = chunk.subarray(position, end).toString('utf8');
+      const isLastLine = end >= chunk.length;
       
-      if (!records || records.length === 0) {
-        console.log('No scan records found in CSV');
-        return;
+      if (text.trim() === '') {
+        position = end;
+        continue;
       }
       
-      // Sort by scan time (most recent first) and get the latest
-      records.sort((a, b) => {
-        const dateA = new Date(a.ScanTime || 0);
-        const dateB = new Date(b.ScanTime || 0);
-        return dateB - dateA;
-      });
+      // Scan-ID does not always terminate the last row with a newline, so an
+      // unterminated row is accepted as soon as it parses with every column
+      const row = this.parseLine(text);
       
-      const latestScan = records[0];
+      if (row) {
+        if (!this.mapRow) {
+          this.mapRow = ScanIDParser.createRecordMapper(row);
+          this.columnCount = row.length;
+        } else {
+          rows.push(row);
+        }
+        position = end;
+        continue;
+      }
+      
+      if (!isLastLine) {
+        // A bad line followed by good ones will never be fixed up; skip it
+        this.warn('Skipping malformed Scan-ID row', this.offset + position, this.rowCount + rows.length + 1);
+        position = end;
+        continue;
+      }
+      
+      // A bad trailing line is most likely still being written; retry it
+      const lineOffset = this.offset + position;
+      this.retryCount = this.retryOffset === lineOffset ? this.retryCount + 1 : 1;
+      this.retryOffset = lineOffset;
+      
+      if (this.retryCount > this.maxRowRetries) {
+        this.warn(`Skipping Scan-ID row still malformed after ${this.maxRowRetries} retries`, lineOffset, this.rowCount + rows.length + 1);
+        this.retryOffset = null;
+        this.retryCount = 0;
+        position = end;
+        continue;
+      }
+      
+      console.log(`Incomplete Scan-ID row, will retry (attempt ${this.retryCount} of ${this.maxRowRetries})`);
+      break;
+    }
+    
+    if (position === 0) {
+      return;
+    }
+    
+    this.offset += position;
+    this.anchor = this.readRange(Math.max(0, this.offset - ANCHOR_BYTES), this.offset);
+    
+    rows.forEach((row, index) => {
+      const rowNumber = this.rowCount + index;
+      const checksum = this.rememberRow(row);
       
-      // Check if this is a new scan
-      if (this.lastScan && 
-          this.lastScan.ScanTime === latestScan.ScanTime && 
-          this.lastScan.IDNumber === latestScan.IDNumber) {
-        // Same scan as before, no need to emit an event
+      if (!emitRows || rowNumber < skipRows) {
         return;
       }
       
-      // New scan detected
-      this.lastScan = latestScan;
-      console.log('New scan detected:', latestScan.FullName);
+      if (!checksum) {
+        console.log('Ignoring duplicate Scan-ID row');
+        return;
+      }
       
-      // Emit the new scan event
-      this.emit('newscan', latestScan);
+      const scan = this.mapRow(row);
+      this.lastScan = scan;
+      console.log('New scan detected:', PiiPolicy.initials(scan.FullName));
+      this.emit('newscan', scan);
+    });
+    
+    this.rowCount += rows.length;
+  }
+  
+  /**
+   * Parse a single CSV line
+   * @param {string} text - One line of the export
+   * @returns {Array<string>|null} - The row, or null if it is malformed or incomplete
+   */
+  parseLine(text) {
+    let rows;
+    try {
+      rows = ScanIDParser.parseRows(text);
     } catch (err) {
-      console.error('Error checking for Scan-ID changes:', err);
-      this.emit('error', err);
+      return null;
+    }
+    
+    if (rows.length !== 1) {
+      return null;
+    }
+    
+    const [row] = rows;
+    
+    if (!this.mapRow) {
+      // Header line: only accept it once it is a layout we recognize
+      try {
+        ScanIDParser.detectLayout(row);
+      } catch (err) {
+        return null;
+      }
+      return row;
+    }
+    
+    return row.length >= this.columnCount ? row : null;
+  }
+  
+  /**
+   * Record a row's checksum
+   * @param {Array<string>} row - Parsed row
+   * @returns {string|null} - The checksum, or null if the row was already seen
+   */
+  rememberRow(row) {
+    const checksum = crypto.createHash('sha1').update(row.join('\u001f')).digest('hex');
+    
+    if (this.rowChecksums.has(checksum)) {
+      return null;
+    }
+    
+    this.rowChecksums.add(checksum);
+    if (this.rowChecksums.size > MAX_REMEMBERED_ROWS) {
+      // Sets iterate in insertion order, so this drops the oldest checksum
+      this.rowChecksums.delete(this.rowChecksums.values().next().value);
+    }
+    
+    return checksum;
+  }
+  
+  /**
+   * Report a recoverable problem without failing the watch
+   * The row itself holds the guest's name, DOB and license number, so only
+   * where it is in the export is reported
+   * @param {string} message - What happened
+   * @param {number} offset - Byte offset of the offending line
+   * @param {number} rowNumber - Data row it would have been (the header is not counted)
+   */
+  warn(message, offset, rowNumber) {
+    console.warn(`${message}: row ${rowNumber} at byte ${offset}`);
+    this.emit('warning', { message, offset, rowNumber });
+  }
+  
+  /**
+   * Check that the bytes just before the offset are unchanged
+   * @returns {boolean} - True if the already-consumed content looks untouched
+   */
+  anchorMatches() {
+    if (!this.anchor || this.anchor.length === 0) {
+      return true;
+    }
+    
+    const current = this.readRange(this.offset - this.anchor.length, this.offset);
+    return current.equals(this.anchor);
+  }
+  
+  /**
+   * Read a byte range of the CSV file
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @returns {Buffer} - The bytes read
+   */
+  readRange(start, end) {
+    const length = Math.max(0, end - start);
+    const buffer = Buffer.alloc(length);
+    
+    if (length === 0) {
+      return buffer;
+    }
+    
+    const fd = fs.openSync(this.csvPath, 'r');
+    try {
+      const bytesRead = fs.readSync(fd, buffer, 0, length, start);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      fs.closeSync(fd);
     }
   }
   
@@ -172,24 +528,13 @@ class ScanIDWatcher extends EventEmitter {
       }
       
       // Read and parse the CSV file
-      const csvContent = fs.readFileSync(this.csvPath, 'utf8');
-      const records = parse(csvContent, {
-        columns: true,
-        skip_empty_lines: true
-      });
+      const { records } = ScanIDParser.readScanIdCsv(this.csvPath);
       
-      if (!records || records.length === 0) {
+      if (records.length === 0) {
         throw new Error('No scan records found in CSV');
       }
       
-      // Sort by scan time (most recent first) and return the latest
-      records.sort((a, b) => {
-        const dateA = new Date(a.ScanTime || 0);
-        const dateB = new Date(b.ScanTime || 0);
-        return dateB - dateA;
-      });
-      
-      return records[0];
+      return ScanIDParser.getLatestRecord(records);
     } catch (err) {
       console.error('Error getting latest scan:', err);
       throw err;
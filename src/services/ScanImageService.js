@@ -0,0 +1,138 @@
+/**
+ * ScanImageService.js
+ * Locates the ID images Scan-ID saves with each scan (CSV columns Image1-Image8)
+ *
+ * The CSV holds Windows paths from the scanner PC. They are mapped to paths this
+ * machine can read (imagePathMappings in app.config.json) or looked up by file
+ * name in the station's imageDir. Only image files inside those directories are
+ * ever served, whatever path the client asks for.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Boundary Protection: Never serving files outside the configured image directories
+ * - Separation of Concerns: Keeping path mapping out of the web server and IPC handlers
+ */
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('./AppConfig');
+
+const IMAGE_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.bmp': 'image/bmp'
+};
+
+/**
+ * @param {string} value - Windows or POSIX path
+ * @returns {string} - Path with forward slashes
+ */
+function toForwardSlashes(value) {
+  return value.replace(/\\/g, '/');
+}
+
+/**
+ * Local paths where an image from the CSV may be found, in order of preference
+ * @param {string} rawPath - Path as written in the CSV
+ * @param {Object} source - Scan source the scan came from
+ * @returns {Array<string>} - Candidate paths
+ */
+function candidatePaths(rawPath, source) {
+  const candidates = [];
+  const normalized = toForwardSlashes(rawPath);
+
+  // Windows paths are case-insensitive, so mappings are too
+  AppConfig.getImagePathMappings().forEach(mapping => {
+    const from = toForwardSlashes(mapping.from).replace(/\/+$/, '');
+    if (normalized.toLowerCase().startsWith(`${from.toLowerCase()}/`)) {
+      candidates.push(path.join(mapping.to, ...normalized.slice(from.length + 1).split('/')));
+    }
+  });
+
+  // Running on the scanner PC itself
+  candidates.push(rawPath);
+
+  // path.win32.basename understands both separators
+  candidates.push(path.join(source.imageDir, path.win32.basename(rawPath)));
+
+  return candidates;
+}
+
+/**
+ * @param {string} root - Allowed directory (real path)
+ * @param {string} filePath - File (real path)
+ * @returns {boolean} - True if filePath is inside root
+ */
+function isInside(root, filePath) {
+  const relative = path.relative(root, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve a CSV image path to a readable local file
+ * @param {string} rawPath - Path as written in the CSV
+ * @param {string} [stationId] - Scan source id; defaults to the first configured source
+ * @param {Object} [options] - { logMissing } (default true; the retention purge
+ *   expects most images to be gone already)
+ * @returns {Object} - { path, contentType } or { error, status }
+ */
+function resolveScanImage(rawPath, stationId, { logMissing = true } = {}) {
+  const source = AppConfig.getScanSource(stationId);
+  if (!source) {
+    return { error: `Unknown scan station: ${stationId}`, status: 404 };
+  }
+
+  if (!rawPath || typeof rawPath !== 'string') {
+    return { error: 'Image path is required', status: 400 };
+  }
+
+  const contentType = IMAGE_CONTENT_TYPES[path.extname(path.win32.basename(rawPath)).toLowerCase()];
+  if (!contentType) {
+    return { error: 'Not an ID image', status: 400 };
+  }
+
+  // Real paths so symlinks cannot point outside the image directories
+  const roots = [source.imageDir, ...AppConfig.getImagePathMappings().map(mapping => mapping.to)]
+    .filter(root => fs.existsSync(root))
+    .map(root => fs.realpathSync(root));
+
+  for (const candidate of candidatePaths(rawPath, source)) {
+    if (!fs.existsSync(candidate)) continue;
+
+    const realPath = fs.realpathSync(candidate);
+    if (roots.some(root => isInside(root, realPath)) && fs.statSync(realPath).isFile()) {
+      return { path: realPath, contentType };
+    }
+  }
+
+  // The path is not logged: Scan-ID names image files after the guest
+  if (logMissing) {
+    console.warn(`ID image not found for station "${source.id}"`);
+  }
+  return { error: 'ID image not found', status: 404 };
+}
+
+module.exports = {
+  resolveScanImage,
+
+  /**
+   * Read an ID image as a data URL (for the Electron renderer, which cannot
+   * load files from arbitrary paths)
+   * @param {string} rawPath - Path as written in the CSV
+   * @param {string} [stationId] - Scan source id
+   * @returns {Promise<Object>} - { success, dataUrl } or { success: false, error }
+   */
+  getScanImageDataUrl: async function (rawPath, stationId) {
+    try {
+      const image = resolveScanImage(rawPath, stationId);
+      if (image.error) {
+        return { success: false, error: image.error };
+      }
+
+      const data = await fs.promises.readFile(image.path);
+      return { success: true, dataUrl: `data:${image.contentType};base64,${data.toString('base64')}` };
+    } catch (err) {
+      console.error('Error reading ID image:', err);
+      return { success: false, error: err.message };
+    }
+  }
+};
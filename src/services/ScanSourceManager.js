@@ -0,0 +1,135 @@
+/**
+ * ScanSourceManager.js
+ * Owns one ScanIDWatcher per configured scan source (scanner station) and
+ * re-emits their events tagged with the station they came from and, for
+ * scans, the ScanValidator verdict
+ *
+ * Shared by the web server (socket.io) and the Electron main process (IPC).
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Transports only relay events, they do not manage watchers
+ * - Boundary Protection: Every scan leaves here tagged with its station
+ */
+const EventEmitter = require('events');
+const ScanIDWatcher = require('./ScanIDWatcher');
+const AppConfig = require('./AppConfig');
+const ScanValidator = require('./ScanValidator');
+
+class ScanSourceManager extends EventEmitter {
+  /**
+   * @param {Array<Object>} [sources] - Scan sources; defaults to the configured ones
+   */
+  constructor(sources = AppConfig.getScanSources()) {
+    super();
+    this.sources = sources;
+    this.watchers = new Map();
+
+    sources.forEach(source => {
+      const watcher = new ScanIDWatcher(source.path, source.watcher || {});
+      const station = { stationId: source.id, station: source.station };
+
+      watcher.on('watching', () => {
+        console.log(`[${source.id}] Watching Scan-ID export:`, source.path);
+        this.emit('status', this.getStatus());
+      });
+
+      watcher.on('stopped', () => {
+        console.log(`[${source.id}] Stopped watching Scan-ID export`);
+        this.emit('status', this.getStatus());
+      });
+
+      watcher.on('newscan', (scan) => {
+        this.emit('newscan', ScanValidator.withValidation({ ...scan, StationId: source.id, Station: source.station }));
+      });
+
+      watcher.on('warning', (warning) => {
+        this.emit('warning', { ...warning, ...station });
+      });
+
+      watcher.on('error', (error) => {
+        this.emit('error', Object.assign(error, station));
+      });
+
+      this.watchers.set(source.id, watcher);
+    });
+  }
+
+  /**
+   * Public description of the sources (no file paths)
+   * @returns {Array<Object>} - [{ id, station }]
+   */
+  listSources() {
+    return this.sources.map(source => ({ id: source.id, station: source.station }));
+  }
+
+  /**
+   * Start watching one station, or every station when no id is given
+   * @param {string} [stationId] - Scan source id
+   */
+  start(stationId) {
+    this.selectWatchers(stationId).forEach(watcher => {
+      if (!watcher.watching) {
+        watcher.startWatching();
+      }
+    });
+  }
+
+  /**
+   * Stop watching one station, or every station when no id is given
+   * @param {string} [stationId] - Scan source id
+   */
+  stop(stationId) {
+    this.selectWatchers(stationId).forEach(watcher => {
+      if (watcher.watching) {
+        watcher.stopWatching();
+      }
+    });
+  }
+
+  /**
+   * Current watch status, overall and per station
+   * @param {string} [stationId] - Limit "watching" to a single station
+   * @returns {Object} - { watching, stations: [{ id, station, watching }] }
+   */
+  getStatus(stationId) {
+    const stations = this.sources.map(source => ({
+      id: source.id,
+      station: source.station,
+      watching: this.watchers.get(source.id).watching
+    }));
+
+    const relevant = stationId ? stations.filter(s => s.id === stationId) : stations;
+
+    return {
+      watching: relevant.some(s => s.watching),
+      stations
+    };
+  }
+
+  /**
+   * Tell a station's watcher its export was rewritten by the retention purge,
+   * so the remaining rows are not reported as new scans
+   * @param {string} stationId - Scan source id
+   * @param {fs.Stats} stats - Stats of the rewritten export
+   */
+  acceptPurgedExport(stationId, stats) {
+    this.selectWatchers(stationId).forEach(watcher => watcher.acceptPurgedFile(stats));
+  }
+
+  /**
+   * @param {string} [stationId] - Scan source id
+   * @returns {Array<ScanIDWatcher>} - Matching watchers
+   */
+  selectWatchers(stationId) {
+    if (!stationId) {
+      return Array.from(this.watchers.values());
+    }
+    const watcher = this.watchers.get(stationId);
+    if (!watcher) {
+      throw new Error(`Unknown scan station: ${stationId}`);
+    }
+    return [watcher];
+  }
+}
+
+module.exports = ScanSourceManager;
@@ -0,0 +1,174 @@
+/**
+ * ScanValidator.js
+ * Validity checks that run on every scan before a member is looked up:
+ * minimum age (21+), expired ID and dates that contradict each other
+ *
+ * "Today" is the calendar date in the venue's timezone, not the timezone of the
+ * machine running the check, so a birthday turns over at the venue's midnight.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Fail Fast and Learn: Stopping check-in on hard failures with clear reasons
+ * - Boundary Protection: Every scan carries a structured verdict
+ */
+const AppConfig = require('./AppConfig');
+
+/**
+ * Parse a scan date (MM-DD-YYYY as exported by Scan-ID; MM/DD/YYYY and
+ * YYYY-MM-DD are accepted too)
+ * @param {string} value - Date string
+ * @returns {Object|null} - { year, month, day } or null if not a real date
+ */
+function parseScanDate(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{1,2})[-\/](\d{1,2})[-\/](\d{4})$/);
+  let year, month, day;
+
+  if (match) {
+    [, month, day, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    return null;
+  }
+
+  // Reject dates like 02-30-2000
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+/**
+ * Calendar date in a timezone
+ * @param {Date} now - Current instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month, day }
+ */
+function dateInTimeZone(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(now);
+
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+/**
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+function compareDates(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+/**
+ * Whole years from a birth date to a given day
+ * @param {Object} birthDate - { year, month, day }
+ * @param {Object} today - { year, month, day }
+ * @returns {number} - Age in years
+ */
+function ageOn(birthDate, today) {
+  let age = today.year - birthDate.year;
+  if (today.month < birthDate.month || (today.month === birthDate.month && today.day < birthDate.day)) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * @param {Object} date - { year, month, day }
+ * @returns {string} - MM-DD-YYYY
+ */
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.month)}-${pad(date.day)}-${date.year}`;
+}
+
+/**
+ * Validate a scan record
+ * @param {Object} scan - Scan record from ScanIDParser or AamvaParser
+ * @param {Object} [options] - { now, timeZone, minimumAge }; defaults come from the venue settings
+ * @returns {Object} - { valid, age, today, timeZone, failures: [...], warnings: [...] }
+ *   where each failure/warning is { code, message }
+ */
+function validateScan(scan, options = {}) {
+  const venue = AppConfig.getVenue();
+  const timeZone = options.timeZone || venue.timeZone;
+  const minimumAge = options.minimumAge !== undefined ? options.minimumAge : venue.minimumAge;
+  const today = dateInTimeZone(options.now || new Date(), timeZone);
+
+  const failures = [];
+  const warnings = [];
+  const fail = (code, message) => failures.push({ code, message });
+  const warn = (code, message) => warnings.push({ code, message });
+
+  let age = null;
+  const birthDate = parseScanDate(scan.DateOfBirth);
+  if (!birthDate) {
+    fail('dob-invalid', scan.DateOfBirth ? `Date of birth "${scan.DateOfBirth}" is not a valid date` : 'Date of birth is missing');
+  } else if (compareDates(birthDate, today) > 0) {
+    fail('dob-future', `Date of birth ${formatDate(birthDate)} is in the future`);
+  } else {
+    age = ageOn(birthDate, today);
+    if (age < minimumAge) {
+      fail('underage', `Under ${minimumAge}: age ${age}`);
+    }
+    // Scan-ID computes AGE when the ID is scanned; a mismatch points at a misread
+    const scannedAt = scan.ScanTimestamp ? new Date(scan.ScanTimestamp) : null;
+    const ageAtScan = scannedAt && !isNaN(scannedAt.getTime())
+      ? ageOn(birthDate, dateInTimeZone(scannedAt, timeZone))
+      : age;
+    if (typeof scan.Age === 'number' && scan.Age !== ageAtScan) {
+      warn('age-mismatch', `Age on the scan (${scan.Age}) does not match the date of birth (${ageAtScan})`);
+    }
+  }
+
+  const expiration = parseScanDate(scan.IDExpiration);
+  if (!expiration) {
+    warn('expiry-missing', scan.IDExpiration ? `Expiration date "${scan.IDExpiration}" is not a valid date` : 'Expiration date is missing');
+  } else if (compareDates(expiration, today) < 0) {
+    // An ID is valid through its expiration date
+    fail('expired', `ID expired on ${formatDate(expiration)}`);
+  }
+
+  const issued = parseScanDate(scan.IDIssued);
+  if (issued) {
+    if (compareDates(issued, today) > 0) {
+      fail('issued-future', `Issue date ${formatDate(issued)} is in the future`);
+    }
+    if (expiration && compareDates(issued, expiration) > 0) {
+      fail('issued-after-expiry', `Issue date ${formatDate(issued)} is after the expiration date ${formatDate(expiration)}`);
+    }
+    if (birthDate && compareDates(issued, birthDate) < 0) {
+      fail('issued-before-birth', `Issue date ${formatDate(issued)} is before the date of birth`);
+    }
+  }
+
+  return {
+    valid: failures.length === 0,
+    age,
+    today: formatDate(today),
+    timeZone,
+    failures,
+    warnings
+  };
+}
+
+module.exports = {
+  parseScanDate,
+  dateInTimeZone,
+  ageOn,
+  validateScan,
+
+  /**
+   * Attach the validation verdict to a scan record
+   * @param {Object} scan - Scan record
+   * @returns {Object} - The scan with a Validation property
+   */
+  withValidation(scan) {
+    return { ...scan, Validation: validateScan(scan) };
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * ScoringProfile.js
+ * The points, bonuses and confidence thresholds used to score Wix contacts
+ * against a scanned license
+ *
+ * The bundled profile is src/assets/scoring-profile.json; a venue can replace it
+ * with its own file named by scoringProfileFile in app.config.json. The same
+ * profile is served to the check-in screen, so the confidence legend always
+ * matches the scorer, and its version is stamped on every match result so a
+ * score can be traced back to the numbers that produced it.
+ *
+ * Following the Ethereal Engineering Technical Codex principles:
+ * - Separation of Concerns: Scoring numbers live in a versioned data file, not in the scorer or the UI
+ * - Fail Fast and Learn: An invalid profile stops startup with a message naming the bad field
+ */
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('./AppConfig');
+
+const BUNDLED_PATH = path.join(__dirname, '../assets/scoring-profile.json');
+
+// Numeric fields of each section; weights are fractions of a full match
+const POINT_FIELDS = {
+  points: ['firstName', 'lastName', 'dateOfBirth'],
+  firstName: ['partialBonus'],
+  lastName: ['partial', 'compound', 'soundsLike', 'similarityMax', 'similarityReportedAbove'],
+  dateOfBirth: ['swapped', 'typo', 'yearOnly', 'mismatchPenalty'],
+  contactDetails: ['email', 'phone'],
+  bonuses: ['exactFirstExactLast', 'nicknameFirstExactLast', 'partialFirstExactLast', 'partialFirstPartialLast'],
+  thresholds: ['high', 'medium']
+};
+const WEIGHT_FIELDS = {
+  firstName: ['nicknameWeight', 'soundsLikeWeight']
+};
+
+let profile = null;
+
+/**
+ * Freeze an object and everything in it
+ * @param {Object} value - Object
+ * @returns {Object} - The same object, frozen
+ */
+function deepFreeze(value) {
+  Object.values(value).forEach(child => {
+    if (child && typeof child === 'object') deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
+
+/**
+ * Check a profile and throw on the first problem
+ * @param {Object} doc - Parsed profile file
+ * @param {string} filePath - File it came from, for error messages
+ * @returns {Object} - The profile
+ */
+function validateProfile(doc, filePath) {
+  const fail = message => {
+    throw new Error(`Scoring profile ${filePath}: ${message}`);
+  };
+
+  if (!doc || typeof doc !== 'object') {
+    fail('must be a JSON object');
+  }
+  if (typeof doc.version !== 'string' || doc.version.trim() === '') {
+    fail('"version" must be a non-empty string');
+  }
+  if (!Number.isFinite(doc.maxScore) || doc.maxScore <= 0) {
+    fail('"maxScore" must be a positive number');
+  }
+
+  Object.keys(POINT_FIELDS).forEach(section => {
+    if (!doc[section] || typeof doc[section] !== 'object') {
+      fail(`"${section}" must be an object`);
+    }
+    POINT_FIELDS[section].forEach(field => {
+      const value = doc[section][field];
+      if (!Number.isFinite(value) || value < 0 || value > doc.maxScore) {
+        fail(`"${section}.${field}" must be a number from 0 to ${doc.maxScore}`);
+      }
+    });
+  });
+  Object.keys(WEIGHT_FIELDS).forEach(section => {
+    WEIGHT_FIELDS[section].forEach(field => {
+      const value = doc[section][field];
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        fail(`"${section}.${field}" must be a number from 0 to 1`);
+      }
+    });
+  });
+
+  ['partial', 'compound', 'soundsLike', 'similarityMax'].forEach(field => {
+    if (doc.lastName[field] > doc.points.lastName) {
+      fail(`"lastName.${field}" cannot be more than "points.lastName"`);
+    }
+  });
+  ['swapped', 'typo', 'yearOnly'].forEach(field => {
+    if (doc.dateOfBirth[field] > doc.points.dateOfBirth) {
+      fail(`"dateOfBirth.${field}" cannot be more than "points.dateOfBirth"`);
+    }
+  });
+  if (doc.firstName.partialBonus > doc.points.firstName) {
+    fail('"firstName.partialBonus" cannot be more than "points.firstName"');
+  }
+  if (doc.thresholds.medium >= doc.thresholds.high) {
+    fail('"thresholds.medium" must be lower than "thresholds.high"');
+  }
+
+  return doc;
+}
+
+/**
+ * Load and validate a profile file
+ * @param {string} filePath - Profile file
+ * @returns {Object} - Frozen profile
+ */
+function loadProfile(filePath) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Error loading scoring profile from ${filePath}: ${e.message}`);
+  }
+  return deepFreeze(validateProfile(doc, filePath));
+}
+
+/**
+ * Load and validate the scoring profile (once)
+ * @returns {Object} - Frozen profile
+ */
+function getProfile() {
+  if (profile) {
+    return profile;
+  }
+
+  const filePath = AppConfig.getConfig().scoringProfileFile || BUNDLED_PATH;
+  profile = loadProfile(filePath);
+  console.log(`Loaded scoring profile v${profile.version} from ${filePath}`);
+  return profile;
+}
+
+module.exports = {
+  getProfile,
+  loadProfile
+};
@@ -10,6 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const MemberLookupService = require('./MemberLookupService');
 
 // Load Wix configuration
 const CONFIG_PATH = path.join(__dirname, '../../wix.config.json');
@@ -241,246 +242,6 @@ class WixDirectApi {
     }
   }
   
-  /**
-   * Search for a member by name or DOB
-   * Following the Ethereal Engineering Technical Codex principles:
-   * - Boundary Protection: Implementing strict interface contracts for the Wix API
-   * - Fail Fast and Learn: Implementing early failure detection with fallback mechanisms
-   */
-  async searchMemberByNameOrDOB(name, dob) {
-    console.log('[WixDirectApi] searchMemberByNameOrDOB called with:', { name, dob });
-    if (!this.initialized) {
-      return {
-        success: false,
-        error: 'Wix Direct API not properly initialized'
-      };
-    }
-    
-    try {
-      console.log(`Searching for member with name: ${name || 'N/A'} or DOB: ${dob || 'N/A'}`);
-      
-      // Try Members API first
-      const membersUrl = `${this.baseUrl}/members/v1/members/query`;
-      const headers = this.getHeaders();
-      
-      // Build filter based on provided parameters
-      const filters = [];
-      if (name) {
-        // Split the name into parts and search for each part individually
-        const nameParts = name.split(' ').filter(part => part.trim().length > 0);
-        
-        // Create a more flexible search by looking for any name part in any name field
-        nameParts.forEach(part => {
-          // Try to match the part against first name
-          filters.push({
-            filter: { fieldName: "profile.firstName", operator: "contains", value: part }
-          });
-          
-          // Try to match the part against last name
-          filters.push({
-            filter: { fieldName: "profile.lastName", operator: "contains", value: part }
-          });
-          
-          // Try to match against the full name field if it exists
-          filters.push({
-            filter: { fieldName: "profile.name", operator: "contains", value: part }
-          });
-          
-          // Try to match against any custom name fields that might exist
-          filters.push({
-            filter: { fieldName: "extendedFields.fullName", operator: "contains", value: part }
-          });
-        });
-        
-        // Also try the full name as one search term
-        filters.push({
-          filter: { fieldName: "profile.name", operator: "contains", value: name }
-        });
-      }
-      
-      if (dob) {
-        // Format DOB if needed (assuming input is MM-DD-YYYY and API needs YYYY-MM-DD)
-        let formattedDob = dob;
-        if (dob.includes('-')) {
-          const parts = dob.split('-');
-          if (parts.length === 3 && parts[2].length === 4) {
-            // Convert from MM-DD-YYYY to YYYY-MM-DD
-            formattedDob = `${parts[2]}-${parts[0]}-${parts[1]}`;
-          }
-        }
-        
-        // Try both standard and extended fields for DOB
-        filters.push({
-          filter: { fieldName: "extendedFields.dob", operator: "eq", value: formattedDob }
-        });
-        filters.push({
-          filter: { fieldName: "extendedFields.birthdate", operator: "eq", value: formattedDob }
-        });
-        filters.push({
-          filter: { fieldName: "extendedFields.dateOfBirth", operator: "eq", value: formattedDob }
-        });
-      }
-      
-      // If no search criteria provided, return empty results
-      if (filters.length === 0) {
-        return {
-          success: true,
-          source: 'none',
-          results: []
-        };
-      }
-      
-      // Properly structure the query according to Wix API requirements
-      const data = {
-        // The query object needs to be directly in the request body
-        filter: {
-          or: filters
-        },
-        paging: { limit: 10 },
-        fields: [
-          "profile",
-          "privacyStatus",
-          "status",
-          "activityStatus",
-          "extendedFields",
-          "membershipStatus"
-        ]
-      };
-      
-      // Make the request
-      let membersResponse;
-      try {
-        console.log('[WixDirectApi] Members API request:', data);
-        membersResponse = await axios.post(membersUrl, data, { headers });
-        console.log('[WixDirectApi] Members API response:', membersResponse.data);
-        console.log('Members API search successful');
-      } catch (error) {
-        console.warn('Members API search failed:', error.message);
-        membersResponse = { data: { members: [] } };
-      }
-      
-      // If we found members, return them
-      if (membersResponse.data.members && membersResponse.data.members.length > 0) {
-        // Log the first member to debug the structure
-        console.log('Found member structure:', JSON.stringify(membersResponse.data.members[0], null, 2));
-        
-        // Ensure each member has an _id property
-        const members = membersResponse.data.members.map(member => {
-          // If the member doesn't have an _id property but has an id property, use that
-          if (!member._id && member.id) {
-            member._id = member.id;
-          }
-          return member;
-        });
-        
-        return {
-          success: true,
-          source: 'members',
-          results: members
-        };
-      }
-      
-      // Fallback to Contacts API if no members found
-      console.log('No members found, trying Contacts API');
-      const contactsUrl = `${this.baseUrl}/contacts/v4/contacts/query`;
-      
-      // Rebuild filters for contacts API
-      const contactFilters = [];
-      if (name) {
-        // Split the name into parts and search for each part individually
-        const nameParts = name.split(' ').filter(part => part.trim().length > 0);
-        
-        // Create a more flexible search by looking for any name part in any name field
-        nameParts.forEach(part => {
-          // Try to match the part against first name
-          contactFilters.push({
-            filter: { fieldName: "info.name.first", operator: "contains", value: part }
-          });
-          
-          // Try to match the part against last name
-          contactFilters.push({
-            filter: { fieldName: "info.name.last", operator: "contains", value: part }
-          });
-          
-          // Try to match against the display name if it exists
-          contactFilters.push({
-            filter: { fieldName: "info.name.full", operator: "contains", value: part }
-          });
-          
-          // Try to match against any custom name fields that might exist
-          contactFilters.push({
-            filter: { fieldName: "customFields.fullName", operator: "contains", value: part }
-          });
-        });
-        
-        // Also try the full name as one search term
-        contactFilters.push({
-          filter: { fieldName: "info.name.full", operator: "contains", value: name }
-        });
-      }
-      
-      if (dob) {
-        // Format DOB if needed
-        let formattedDob = dob;
-        if (dob.includes('-')) {
-          const parts = dob.split('-');
-          if (parts.length === 3 && parts[2].length === 4) {
-            // Convert from MM-DD-YYYY to YYYY-MM-DD
-            formattedDob = `${parts[2]}-${parts[0]}-${parts[1]}`;
-          }
-        }
-        
-        contactFilters.push({
-          filter: { fieldName: "extendedFields.dob", operator: "eq", value: formattedDob }
-        });
-        contactFilters.push({
-          filter: { fieldName: "extendedFields.birthdate", operator: "eq", value: formattedDob }
-        });
-        contactFilters.push({
-          filter: { fieldName: "extendedFields.dateOfBirth", operator: "eq", value: formattedDob }
-        });
-      }
-      
-      // Properly structure the contacts query according to Wix API requirements
-      const contactsData = {
-        // The query object needs to be directly in the request body
-        filter: {
-          or: contactFilters
-        },
-        paging: { limit: 10 },
-        fields: [
-          "info",
-          "customFields",
-          "extendedFields"
-        ]
-      };
-      
-      let contactsResponse;
-      try {
-        console.log('[WixDirectApi] Contacts API request:', contactsData);
-        contactsResponse = await axios.post(contactsUrl, contactsData, { headers });
-        console.log('[WixDirectApi] Contacts API response:', contactsResponse.data);
-        console.log('Contacts API search successful');
-      } catch (error) {
-        console.error('Contacts API search failed:', error.message);
-        contactsResponse = { data: { contacts: [] } };
-      }
-      
-      return {
-        success: true,
-        source: 'contacts',
-        results: contactsResponse.data.contacts || []
-      };
-    } catch (err) {
-      console.error('Wix Direct API Search Error:', err.message);
-      return {
-        success: false,
-        error: `Error searching for member: ${err.message}`,
-        details: err.response ? err.response.data : err
-      };
-    }
-  }
-  
   /**
    * Get pricing plans for a member
    * Following the Ethereal Engineering Technical Codex principles:
@@ -568,16 +329,14 @@ module.exports = {
           result = await directApi.queryCollection('BannedNames');
           break;
         case 'search':
-          result = await directApi.searchMemberByNameOrDOB('John Smith', '01-01-1990');
+          // Member search goes through the one member lookup
+          result = await MemberLookupService.lookupMember({ firstName: 'John', lastName: 'Smith', dateOfBirth: '01-01-1990' });
           break;
         case 'pricing':
           // First get a member ID from a search
-          const searchResult = await directApi.searchMemberByNameOrDOB('John', null);
-          if (searchResult.success && searchResult.results && searchResult.results.length > 0) {
-            const memberId = searchResult.source === 'members' 
-              ? searchResult.results[0]._id 
-              : searchResult.results[0].info.memberId;
-            result = await directApi.getMemberPricingPlans(memberId);
+          const searchResult = await MemberLookupService.lookupMember({ firstName: 'John' });
+          if (searchResult.success && searchResult.items.length > 0) {
+            result = await directApi.getMemberPricingPlans(searchResult.items[0]._id);
           } else {
             result = { success: false, error: 'No members found to test pricing plans' };
           }
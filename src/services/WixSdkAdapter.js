@@ -12,6 +12,12 @@ const path = require('path');
 const { createClient, OAuthStrategy } = require('@wix/sdk');
 const { contacts } = require('@wix/crm');
 const { items } = require('@wix/data');
+const PiiPolicy = require('./PiiPolicy');
+const NameVariants = require('./NameVariants');
+const NameNormalizer = require('./NameNormalizer');
+const ContactMirror = require('./ContactMirror');
+const ContactInfoNormalizer = require('./ContactInfoNormalizer');
+const AppConfig = require('./AppConfig');
 
 // Load Wix configuration
 const CONFIG_PATH = path.join(__dirname, '../../wix.config.json');
@@ -32,6 +38,25 @@ const CRM_VERSION = require('@wix/crm/package.json').version;
 
 console.log(`Wix SDK Adapter initialized with SDK v${SDK_VERSION}, CRM v${CRM_VERSION}`);
 
+/**
+ * Value stored in the contact's license field for a license number
+ * @param {string} idNumber - License number as scanned
+ * @returns {string|null} - Salted hash or normalized number (see idMatch.store), null if empty
+ */
+function idFieldValue(idNumber) {
+  const normalized = PiiPolicy.normalizeIdNumber(idNumber);
+  if (!normalized) return null;
+  return AppConfig.getIdMatch().store === 'hash' ? PiiPolicy.hashIdNumber(normalized) : normalized;
+}
+
+/**
+ * @param {string} name - Lower-case name
+ * @returns {string} - Name with the first letter capitalized, as Wix stores it
+ */
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
 class WixSdkAdapter {
   constructor() {
     this.client = null;
@@ -59,7 +84,7 @@ class WixSdkAdapter {
       
       // Import the modules
       const { createClient, ApiKeyStrategy } = require('@wix/sdk');
-      const { contacts } = require('@wix/crm');
+      const { contacts, extendedFields } = require('@wix/crm');
       const { items } = require('@wix/data');
       
       // Store the modules for later use
@@ -75,7 +100,7 @@ class WixSdkAdapter {
       const accountId = '11a11ce3-d0da-46c7-b4e4-48c17df562f0';
       
       this.client = createClient({
-        modules: { items, contacts },
+        modules: { items, contacts, extendedFields },
         auth: ApiKeyStrategy({
           apiKey: this.apiKey,
           siteId: this.siteId
@@ -162,65 +187,212 @@ class WixSdkAdapter {
   }
   
   /**
-   * Search for members by name and date of birth
-   * Following the Ethereal Engineering Technical Codex principles:
-   * - Boundary Protection: Implementing strict interface contracts for the Wix API
-   * - Separation of Concerns: Maintaining clear boundaries between components
+   * Key of the contact field that holds the license number (idMatch.fieldName)
+   * Lookups only look the field up, so searching a site where nobody has been
+   * activated yet does not add a field to it; activation creates it.
+   * @param {Object} [options] - { create: create the field when it does not exist }
+   * @returns {Promise<string|null>} - Extended field key, e.g. "custom.driver-license-id";
+   *   null when the field does not exist and was not created
    */
-  async searchMember({ firstName, lastName, dateOfBirth }) {
+  async getIdFieldKey({ create = false } = {}) {
+    if (!this.idFieldKey) {
+      const { fieldName } = AppConfig.getIdMatch();
+      if (create) {
+        const result = await this.client.extendedFields.findOrCreateExtendedField(fieldName, 'TEXT');
+        if (result.newField) {
+          console.log(`Created Wix contact field "${fieldName}" for license matching`);
+        }
+        this.idFieldKey = result.field.key;
+      } else {
+        const response = await this.client.extendedFields.queryExtendedFields()
+          .eq('displayName', fieldName)
+          .limit(1)
+          .find();
+        const field = (response.items || [])[0];
+        if (!field) {
+          return null;
+        }
+        this.idFieldKey = field.key;
+      }
+    }
+    return this.idFieldKey;
+  }
+  
+  /**
+   * Value stored in the license field for a license number
+   * @param {string} idNumber - License number as scanned
+   * @returns {string|null} - Salted hash or normalized number (see idMatch.store)
+   */
+  idFieldValue(idNumber) {
+    return idFieldValue(idNumber);
+  }
+  
+  /**
+   * Contacts with a value in the license field, at most two
+   * @param {string} fieldKey - License field key
+   * @param {string} value - Stored value (see idFieldValue)
+   * @returns {Promise<Array<Object>>} - Contacts
+   */
+  async queryContactsByIdValue(fieldKey, value) {
+    const response = await this.client.contacts.queryContacts()
+      .eq(`info.extendedFields.${fieldKey}`, value)
+      .limit(2)
+      .find();
+    return response.items || [];
+  }
+  
+  /**
+   * Find the contact activated with a license number
+   * @param {string} idNumber - License number as scanned
+   * @returns {Promise<Object|null>} - The contact, or null if none (or several) have it
+   */
+  async findContactByIdNumber(idNumber) {
+    const value = idFieldValue(idNumber);
+    if (!value) return null;
+    
+    const fieldKey = await this.getIdFieldKey();
+    if (!fieldKey) return null;
+    const matches = await this.queryContactsByIdValue(fieldKey, value);
+    
+    // Two members on one license needs a person to sort out; fall back to names
+    if (matches.length > 1) {
+      console.warn(`License ${PiiPolicy.maskIdNumber(PiiPolicy.normalizeIdNumber(idNumber))} is stored on more than one contact; using name matching`);
+      return null;
+    }
+    return matches[0] || null;
+  }
+  
+  /**
+   * Store a license number on a contact (activation), so later scans find the
+   * member by ID
+   * @param {string} contactId - Wix contact id
+   * @param {string} idNumber - License number as scanned
+   * @returns {Promise<Object>} - { success, contactId, alreadyLinked } or { success: false, error };
+   *   a license already stored on another contact is not linked again
+   */
+  async linkIdNumber(contactId, idNumber) {
     try {
-      // Initialize if not already initialized
       if (!this.initialized) {
         await this.initialize();
       }
       
-      console.log(`Searching for contact with SDK Adapter: ${firstName} ${lastName} ${dateOfBirth}`);
-      console.log('Using CRM Contacts API for search');
-      
-      // Format the search parameters
-      const searchParams = { firstName, lastName, dateOfBirth };
+      const value = idFieldValue(idNumber);
+      if (!contactId || !value) {
+        return { success: false, error: 'A contact and a license number are required' };
+      }
       
-      // Process first name parts for more flexible matching
-      let firstNameParts = [];
-      if (searchParams.firstName && searchParams.firstName.trim() !== '') {
-        firstNameParts = searchParams.firstName.trim().toLowerCase()
-          .split(' ')
-          .map(word => word.charAt(0).toUpperCase() + word.slice(1));
-        console.log('First name parts for search:', firstNameParts);
+      const fieldKey = await this.getIdFieldKey({ create: true });
+      // Two contacts with one license would make the ID match give up on both
+      const holders = await this.queryContactsByIdValue(fieldKey, value);
+      const other = holders.find(holder => holder._id !== contactId);
+      if (other) {
+        console.warn(`License ${PiiPolicy.maskIdNumber(PiiPolicy.normalizeIdNumber(idNumber))} is already stored on contact ${other._id}; not linking it to ${contactId}`);
+        return { success: false, error: `This license is already stored on another contact (${other._id})`, contactId: other._id };
       }
       
-      // Format last name for search
-      let formattedLastName = '';
-      if (lastName && lastName.trim() !== '') {
-        formattedLastName = lastName.trim().toLowerCase()
-          .split(' ')
-          .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-          .join(' ');
-        console.log('Formatted last name for search:', formattedLastName);
+      const contact = await this.client.contacts.getContact(contactId);
+      const current = contact.info?.extendedFields?.items?.[fieldKey];
+      if (current === value) {
+        return { success: true, contactId, alreadyLinked: true };
       }
-        
-      // Using the Wix CRM Contacts API for search
-      let results = [];
       
-      console.log('Using queryContacts method with query builder pattern');
+      const updated = await this.client.contacts.updateContact(contactId, {
+        extendedFields: { items: { [fieldKey]: value } }
+      }, contact.revision);
+      // Until the next sync the mirror would still show the contact as not activated
+      if (updated?.contact) {
+        await ContactMirror.storeContacts([updated.contact]);
+      }
       
+      console.log(`Stored license ${PiiPolicy.maskIdNumber(PiiPolicy.normalizeIdNumber(idNumber))} on contact ${contactId}${current ? ' (replacing a different license)' : ''}`);
+      return { success: true, contactId, alreadyLinked: false, replaced: !!current };
+    } catch (err) {
+      console.error('Error storing license number on contact:', err);
+      return { success: false, error: err.message };
+    }
+  }
+  
+  /**
+   * Contacts with the email or phone number given, from live Wix queries. Wix
+   * matches the stored text exactly, so a phone number is looked up in E.164
+   * and as typed, and every contact found is checked against the normalized
+   * email and phone.
+   * @param {Object} details - { email, phone } as typed by staff
+   * @returns {Promise<Array<Object>>} - Matching contacts, without duplicates
+   */
+  async queryContactDetails({ email, phone }) {
+    const normalizedEmail = ContactInfoNormalizer.normalizeEmail(email);
+    const normalizedPhone = ContactInfoNormalizer.normalizePhone(phone);
+    const queries = [];
+    if (normalizedEmail) {
+      queries.push(['primaryInfo.email', normalizedEmail], ['info.emails.email', normalizedEmail]);
+    }
+    if (normalizedPhone) {
+      queries.push(['info.phones.e164Phone', normalizedPhone], ['primaryInfo.phone', normalizedPhone]);
+      if (phone.trim() !== normalizedPhone) {
+        queries.push(['primaryInfo.phone', phone.trim()]);
+      }
+    }
+    
+    const matches = new Map();
+    for (const [field, value] of queries) {
       try {
-        // Create query builder for contacts - strictly following Wix documentation
-        const queryBuilder = this.client.contacts.queryContacts();
-        
-        // Apply filters based on provided search parameters
-        let hasFilters = false;
+        const response = await this.client.contacts.queryContacts()
+          .eq(field, value)
+          .limit(10)
+          .find();
+        (response.items || []).forEach(contact => matches.set(contact._id, contact));
+      } catch (detailError) {
+        console.warn(`Error searching contacts by ${field}:`, detailError.message);
+      }
+    }
+    
+    const found = Array.from(matches.values()).filter(contact =>
+      ContactInfoNormalizer.contactEmails(contact).some(entry => entry.email === normalizedEmail) ||
+      ContactInfoNormalizer.contactPhones(contact).some(entry => entry.phone === normalizedPhone));
+    console.log(`Found ${found.length} contacts by email or phone`);
+    // Later searches can use the mirror for these until the next sync
+    await ContactMirror.storeContacts(found);
+    return found;
+  }
+
+  /**
+   * Candidates from live Wix queries, used while the contact mirror is not
+   * fresh: a prefix query per given name (and its variants) and per surname
+   * form, plus the contacts the mirror knows only sound alike, fetched by id
+   * @param {Object} scannedName - Name parsed by NameNormalizer.parseName
+   * @returns {Promise<Object>} - { contacts, soundsLikeIds }
+   */
+  async queryLiveCandidates(scannedName) {
+    const firstNameParts = scannedName.givenNames;
+    const formattedLastName = scannedName.surname;
+    
+    // Using the Wix CRM Contacts API for search
+    let results = [];
+    
+    console.log('Using queryContacts method with query builder pattern');
+    
+    try {
+      // Create query builder for contacts - strictly following Wix documentation
+      const queryBuilder = this.client.contacts.queryContacts();
+      
+      // Apply filters based on provided search parameters
+      let hasFilters = false;
+      
+      // Add first name filter if provided
+      if (firstNameParts.length > 0) {
+        // For each first name part, we'll create a separate query
+        // and combine the results
+        const firstNameResults = [];
         
-        // Add first name filter if provided
-        if (firstNameParts.length > 0) {
-          // For each first name part, we'll create a separate query
-          // and combine the results
-          const firstNameResults = [];
+        for (const namePart of firstNameParts) {
+          // Also search the nicknames and variants of each part (see NameVariants)
+          const searchNames = NameVariants.getSearchNames(namePart).map(capitalize);
+          console.log(`Searching for first name part: ${PiiPolicy.initials(namePart)} (${searchNames.length - 1} variants)`);
           
-          for (const namePart of firstNameParts) {
-            console.log(`Searching for first name part: ${namePart}`);
+          for (const searchName of searchNames) {
             const nameQuery = this.client.contacts.queryContacts()
-              .startsWith('info.name.first', namePart)
+              .startsWith('info.name.first', searchName)
               .limit(50);
             
             try {
@@ -229,344 +401,158 @@ class WixSdkAdapter {
                 firstNameResults.push(...response.items);
               }
             } catch (nameError) {
-              console.warn(`Error searching for first name part ${namePart}:`, nameError.message);
+              console.warn(`Error searching for first name part ${PiiPolicy.initials(searchName)}:`, nameError.message);
             }
           }
-          
-          // Add these results to our main results array
-          if (firstNameResults.length > 0) {
-            results.push(...firstNameResults);
-            hasFilters = true;
-          }
         }
         
-        // Add last name filter if provided
-        if (formattedLastName) {
-          console.log(`Searching for last name: ${formattedLastName}`);
-          const lastNameQuery = this.client.contacts.queryContacts()
-            .startsWith('info.name.last', formattedLastName)
-            .limit(50);
-          
-          try {
-            const response = await lastNameQuery.find();
-            if (response.items && response.items.length > 0) {
-              results.push(...response.items);
-              hasFilters = true;
-            }
-          } catch (lastNameError) {
-            console.warn(`Error searching for last name ${formattedLastName}:`, lastNameError.message);
-          }
+        // Add these results to our main results array
+        if (firstNameResults.length > 0) {
+          results.push(...firstNameResults);
+          hasFilters = true;
         }
-        
-        // If no specific filters were applied, get all contacts
-        if (!hasFilters) {
-          console.log('No specific filters applied, retrieving all contacts');
-          const allContactsQuery = this.client.contacts.queryContacts()
-            .limit(50);
-          
-          try {
-            const response = await allContactsQuery.find();
-            results = response.items || [];
-          } catch (allContactsError) {
-            console.error('Error retrieving all contacts:', allContactsError);
-            results = [];
-          }
-        }
-        
-        console.log(`Found ${results.length} contacts with query builder pattern`);
-      } catch (queryError) {
-        console.error('Error with contacts query builder pattern:', queryError);
-        // If the query fails, we'll return an empty result set
-        results = [];
       }
       
-      // Track unique contacts to avoid duplicates
-      const uniqueContacts = new Map();
-      results.forEach(contact => {
-        if (contact && contact._id) {
-          uniqueContacts.set(contact._id, contact);
-        }
-      });
-      
-      // Convert back to array
-      results = Array.from(uniqueContacts.values());
-      
-      console.log(`Total unique contacts found: ${results.length}`);
-      
-      // Calculate confidence score for each contact based on name matching and DOB
-      results = this.calculateContactConfidenceScores(results, {
-        firstNameParts,
-        formattedLastName,
-        dateOfBirth
-      });
-      
-      console.log(`Found ${results.length} matching contacts with confidence scores`);
-      
-      // Format the results according to Wix documentation structure
-      // Include the query parameters in the response for display in the UI
-      return {
-        success: true,
-        // Use 'items' as the property name to match Wix documentation
-        items: results,
-        total: results.length,
-        source: 'wix-crm-contacts',
-        queryDetails: {
-          firstName: firstNameParts.join(', ') || '',
-          lastName: formattedLastName || '',
-          dateOfBirth: dateOfBirth || '',
-          methodUsed: 'queryContacts'
-        }
-      };
-    } catch (err) {
-      console.error('Error searching for contact with SDK:', err);
-      return {
-        success: false,
-        error: err.message,
-        source: 'wix-crm-contacts'
-      };
-    }
-  }
-
-  /**
-   * Calculate confidence scores for contacts based on how well they match the search criteria
-   * @param {Array} contacts - Array of contact objects from Wix CRM Contacts API
-   * @param {Object} searchCriteria - Object containing search criteria (firstNameParts, formattedLastName, dateOfBirth)
-   * @returns {Array} - Array of contact objects with confidence scores, sorted by confidence
-   */
-  calculateContactConfidenceScores(contacts, searchCriteria) {
-    const { firstNameParts, formattedLastName, dateOfBirth } = searchCriteria;
-    
-    console.log('Calculating confidence scores for contacts');
-    console.log(`Search criteria: ${firstNameParts.join(', ')} ${formattedLastName} ${dateOfBirth}`);
-    
-    // Process each contact and add a confidence score
-    const scoredContacts = contacts.map(contact => {
-      // Start with a base score
-      let confidenceScore = 0;
-      let matchDetails = [];
-      
-      // Get the contact's name parts
-      const contactFirstName = contact.info?.name?.first || '';
-      const contactLastName = contact.info?.name?.last || '';
-      const contactDob = contact.info?.birthdate || '';
-      
-      // Calculate first name match score - up to 40 points
-      // We'll check each part of the first name against the contact's first name
-      let firstNameScore = 0;
-      let firstNameMatches = 0;
-      let hasPartialFirstNameMatch = false;
-      
-      if (contactFirstName && firstNameParts.length > 0) {
-        // Split the contact's first name into parts for comparison
-        const contactFirstNameParts = contactFirstName.split(' ')
-          .map(part => part.trim())
-          .filter(part => part.length > 0);
+      // Add last name filters if provided: one per surname form a prefix
+      // query needs ("Garcia" and "Lopez" for "GARCIA LOPEZ")
+      for (const surnameForm of NameNormalizer.prefixQueryForms(scannedName.surnameForms)) {
+        console.log(`Searching for last name: ${PiiPolicy.initials(surnameForm)}`);
+        const lastNameQuery = this.client.contacts.queryContacts()
+          .startsWith('info.name.last', surnameForm)
+          .limit(50);
         
-        // Check for exact matches in first name parts
-        for (const searchPart of firstNameParts) {
-          let foundExactMatch = false;
-          
-          for (const contactPart of contactFirstNameParts) {
-            // Check for exact match
-            if (contactPart.toLowerCase() === searchPart.toLowerCase()) {
-              firstNameMatches++;
-              matchDetails.push(`First name part exact match: "${searchPart}"`);
-              foundExactMatch = true;
-              break;
-            }
-          }
-          
-          // If no exact match found, check for partial matches
-          if (!foundExactMatch) {
-            for (const contactPart of contactFirstNameParts) {
-              // Check if contact part starts with search part or vice versa
-              if (contactPart.toLowerCase().startsWith(searchPart.toLowerCase()) || 
-                  searchPart.toLowerCase().startsWith(contactPart.toLowerCase())) {
-                hasPartialFirstNameMatch = true;
-                matchDetails.push(`First name part partial match: "${searchPart}" ~ "${contactPart}"`);
-                // We don't increment firstNameMatches here, but we'll account for this later
-                break;
-              }
-            }
-          }
-        }
-        
-        // Calculate score based on percentage of matching parts
-        const totalParts = Math.max(firstNameParts.length, contactFirstNameParts.length);
-        firstNameScore = Math.round((firstNameMatches / totalParts) * 40);
-        
-        // Add bonus points for partial matches if there's at least one
-        if (hasPartialFirstNameMatch) {
-          firstNameScore += 10; // Add 10 points for having partial matches
-          firstNameScore = Math.min(firstNameScore, 40); // Cap at 40 points
-        }
-      }
-      
-      // Calculate last name match score - up to 40 points
-      let lastNameScore = 0;
-      let hasExactLastNameMatch = false;
-      
-      if (contactLastName && formattedLastName) {
-        // Check for exact match
-        if (contactLastName.toLowerCase() === formattedLastName.toLowerCase()) {
-          lastNameScore = 40;
-          hasExactLastNameMatch = true;
-          matchDetails.push(`Last name exact match: "${formattedLastName}"`);
-        }
-        // Check for partial match (starts with)
-        else if (contactLastName.toLowerCase().startsWith(formattedLastName.toLowerCase()) ||
-                 formattedLastName.toLowerCase().startsWith(contactLastName.toLowerCase())) {
-          lastNameScore = 30;
-          matchDetails.push(`Last name partial match: "${formattedLastName}" ~ "${contactLastName}"`);
-        }
-        // Check for similarity
-        else {
-          // Simple character-based similarity check
-          const similarity = this.calculateStringSimilarity(contactLastName.toLowerCase(), formattedLastName.toLowerCase());
-          lastNameScore = Math.round(similarity * 25);
-          if (lastNameScore > 10) {
-            matchDetails.push(`Last name similar (${lastNameScore}%): "${formattedLastName}" ~ "${contactLastName}"`);
+        try {
+          const response = await lastNameQuery.find();
+          if (response.items && response.items.length > 0) {
+            results.push(...response.items);
+            hasFilters = true;
           }
+        } catch (lastNameError) {
+          console.warn(`Error searching for last name ${PiiPolicy.initials(surnameForm)}:`, lastNameError.message);
         }
       }
       
-      // Calculate date of birth match score - up to 20 points
-      let dobScore = 0;
-      
-      if (contactDob && dateOfBirth) {
-        // Normalize date formats for comparison
-        const normalizedContactDob = this.normalizeDate(contactDob);
-        const normalizedSearchDob = this.normalizeDate(dateOfBirth);
+      // If no specific filters were applied, get all contacts
+      if (!hasFilters) {
+        console.log('No specific filters applied, retrieving all contacts');
+        const allContactsQuery = this.client.contacts.queryContacts()
+          .limit(50);
         
-        if (normalizedContactDob && normalizedSearchDob) {
-          if (normalizedContactDob === normalizedSearchDob) {
-            dobScore = 20;
-            matchDetails.push(`Date of birth exact match: ${dateOfBirth}`);
-          }
+        try {
+          const response = await allContactsQuery.find();
+          results = response.items || [];
+        } catch (allContactsError) {
+          console.error('Error retrieving all contacts:', allContactsError);
+          results = [];
         }
       }
       
-      // Calculate total confidence score
-      confidenceScore = firstNameScore + lastNameScore + dobScore;
-      
-      // Apply special bonus for exact first name part match with exact last name match
-      // This is a very strong indicator it's the same person
-      if (firstNameMatches > 0 && hasExactLastNameMatch) {
-        // Add a substantial bonus (20 points) to ensure it's in the high confidence category
-        confidenceScore += 20;
-        matchDetails.push('Bonus: Exact first name part match with exact last name match');
-      }
-      // Apply bonus for partial first name match with exact last name match
-      // This is a common scenario with nicknames or abbreviated first names
-      else if (hasPartialFirstNameMatch && hasExactLastNameMatch) {
-        // Add a significant bonus (15 points) to prioritize these matches
-        confidenceScore += 15;
-        matchDetails.push('Bonus: Partial first name match with exact last name match');
-      }
-      // Also give a smaller bonus for partial first name match with partial last name match
-      else if (hasPartialFirstNameMatch && lastNameScore >= 30) {
-        // Add a moderate bonus (8 points) for partial matches on both names
-        confidenceScore += 8;
-        matchDetails.push('Bonus: Partial first name match with partial last name match');
+      console.log(`Found ${results.length} contacts with query builder pattern`);
+    } catch (queryError) {
+      console.error('Error with contacts query builder pattern:', queryError);
+      // If the query fails, we'll return an empty result set
+      results = [];
+    }
+    
+    // Track unique contacts to avoid duplicates
+    const uniqueContacts = new Map();
+    results.forEach(contact => {
+      if (contact && contact._id) {
+        uniqueContacts.set(contact._id, contact);
       }
-      
-      // Cap the total score at 100
-      confidenceScore = Math.min(confidenceScore, 100);
-      
-      // Add confidence data to the contact object
-      return {
-        ...contact,
-        _confidence: {
-          score: confidenceScore,
-          details: matchDetails,
-          firstNameScore,
-          lastNameScore,
-          dobScore
-        }
-      };
     });
     
-    // Sort contacts by confidence score (highest first)
-    scoredContacts.sort((a, b) => b._confidence.score - a._confidence.score);
-    
-    // Log the top matches
-    if (scoredContacts.length > 0) {
-      console.log('Top matches with confidence scores:');
-      scoredContacts.slice(0, 3).forEach((contact, index) => {
-        console.log(`Match #${index + 1}: ${contact.info?.name?.first || ''} ${contact.info?.name?.last || ''} - Score: ${contact._confidence.score}`);
-        console.log(`  Details: ${contact._confidence.details.join(', ')}`);
+    // Sounds-like tier: contacts whose names sound like the scanned name but
+    // that no prefix query finds ("Smyth" for "Smith"), from the contact mirror
+    const soundsLikeIds = new Set();
+    if (firstNameParts.length > 0 || formattedLastName) {
+      await ContactMirror.storeContacts(Array.from(uniqueContacts.values()));
+      
+      const candidates = await ContactMirror.findCandidates({
+        firstName: firstNameParts.join(' '),
+        lastName: formattedLastName
       });
+      // The mirror may be out of date, so these are fetched from Wix again
+      const newIds = candidates.success ? Array.from(candidates.soundsLikeIds).filter(id => !uniqueContacts.has(id)) : [];
+      
+      for (const contactId of newIds) {
+        try {
+          const contact = await this.client.contacts.getContact(contactId);
+          uniqueContacts.set(contactId, contact);
+          soundsLikeIds.add(contactId);
+        } catch (getError) {
+          // Deleted in Wix since the mirror was synced
+          console.warn(`Error fetching sounds-like contact ${contactId}:`, getError.message);
+        }
+      }
+      console.log(`Sounds-like contacts found: ${soundsLikeIds.size}`);
     }
     
-    return scoredContacts;
+    return { contacts: Array.from(uniqueContacts.values()), soundsLikeIds };
   }
-  
+
   /**
-   * Calculate string similarity between two strings (0-1 scale)
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {number} - Similarity score between 0 and 1
+   * Get a contact by id
+   * @param {string} contactId - Wix contact id
+   * @returns {Promise<Object>} - The contact; throws when it does not exist
    */
-  calculateStringSimilarity(str1, str2) {
-    if (!str1 || !str2) return 0;
-    if (str1 === str2) return 1;
-    
-    // Calculate Levenshtein distance
-    const track = Array(str2.length + 1).fill(null).map(() => 
-      Array(str1.length + 1).fill(null));
-    
-    for (let i = 0; i <= str1.length; i += 1) {
-      track[0][i] = i;
-    }
-    
-    for (let j = 0; j <= str2.length; j += 1) {
-      track[j][0] = j;
-    }
-    
-    for (let j = 1; j <= str2.length; j += 1) {
-      for (let i = 1; i <= str1.length; i += 1) {
-        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        track[j][i] = Math.min(
-          track[j][i - 1] + 1, // deletion
-          track[j - 1][i] + 1, // insertion
-          track[j - 1][i - 1] + indicator, // substitution
-        );
-      }
-    }
-    
-    const distance = track[str2.length][str1.length];
-    const maxLength = Math.max(str1.length, str2.length);
-    
-    // Return similarity as a percentage (0-1)
-    return maxLength ? 1 - distance / maxLength : 1;
+  async getContact(contactId) {
+    return await this.client.contacts.getContact(contactId);
   }
   
   /**
-   * Normalize date string to YYYY-MM-DD format for comparison
-   * @param {string} dateStr - Date string in various formats
-   * @returns {string} - Normalized date string or empty string if invalid
+   * Active site members from the Wix Data "Members" collection whose names
+   * start with a searched given name (or one of its variants) or surname form,
+   * or whose email is the one given, in the shape of a Wix contact so they are
+   * scored like one
+   * @param {Object} scannedName - Name parsed by NameNormalizer.parseName
+   * @param {Object} details - { email } as typed by staff
+   * @returns {Promise<Array<Object>>} - Members as contacts, without duplicates
    */
-  normalizeDate(dateStr) {
-    if (!dateStr) return '';
+  async queryMemberCandidates(scannedName, { email } = {}) {
+    const queries = [];
+    scannedName.givenNames.forEach(namePart => {
+      NameVariants.getSearchNames(namePart).map(capitalize).forEach(searchName => {
+        queries.push(['startsWith', 'contactDetails.firstName', searchName]);
+      });
+    });
+    NameNormalizer.prefixQueryForms(scannedName.surnameForms).forEach(surnameForm => {
+      queries.push(['startsWith', 'contactDetails.lastName', surnameForm]);
+    });
+    const normalizedEmail = ContactInfoNormalizer.normalizeEmail(email);
+    if (normalizedEmail) {
+      queries.push(['eq', 'contactDetails.email', normalizedEmail]);
+    }
     
-    try {
-      // Handle various date formats
-      // MM-DD-YYYY format (common in US IDs)
-      if (dateStr.match(/^\d{2}-\d{2}-\d{4}$/)) {
-        const [month, day, year] = dateStr.split('-');
-        return `${year}-${month}-${day}`;
-      }
-      
-      // Try parsing with Date object
-      const date = new Date(dateStr);
-      if (!isNaN(date.getTime())) {
-        return date.toISOString().split('T')[0];
+    const members = new Map();
+    for (const [operator, field, value] of queries) {
+      try {
+        const response = await this.client.items
+          .queryDataItems({ dataCollectionId: 'Members' })
+          .eq('status', 'ACTIVE')[operator](field, value)
+          .limit(50)
+          .find();
+        (response.items || []).forEach(member => members.set(member._id, member));
+      } catch (memberError) {
+        console.warn(`Error searching members by ${field}:`, memberError.message);
       }
-    } catch (e) {
-      console.warn(`Error normalizing date: ${dateStr}`, e);
     }
+    console.log(`Found ${members.size} members in the Members collection`);
     
-    return '';
+    return Array.from(members.values()).map(member => {
+      const details = member.contactDetails || {};
+      return {
+        // Site members are contacts too; their contact id is what the rest of check-in uses
+        _id: member.contactId || member._id,
+        _createdDate: member._createdDate,
+        primaryInfo: { email: details.email, phone: details.phone },
+        info: {
+          name: { first: details.firstName, last: details.lastName },
+          birthdate: member.dateOfBirth
+        },
+        memberStatus: member.status
+      };
+    });
   }
   
   /**
@@ -630,22 +616,36 @@ const adapter = new WixSdkAdapter();
 
 module.exports = {
   /**
-   * Search for a contact using the Wix CRM Contacts API
-   * Note: Method name kept as searchMember for backward compatibility
+   * Store a license number on a contact (activation)
    */
-  searchMember: async function({ firstName, lastName, dateOfBirth }) {
+  linkIdNumber: async function(contactId, idNumber) {
+    return await adapter.linkIdNumber(contactId, idNumber);
+  },
+  
+  /**
+   * Start syncing the local contact mirror used by member search
+   * @returns {Promise<Object>} - { success } or { success: false, error }
+   */
+  startContactMirror: async function() {
     try {
-      return await adapter.searchMember({ firstName, lastName, dateOfBirth });
+      if (!adapter.initialized) {
+        await adapter.initialize();
+      }
+      ContactMirror.start(adapter.client);
+      return { success: true };
     } catch (err) {
-      console.error('CRM Contacts API searchMember error:', err);
-      return {
-        success: false,
-        error: err.message,
-        source: 'wix-crm-contacts-adapter'
-      };
+      console.error('Error starting contact mirror:', err);
+      return { success: false, error: err.message };
     }
   },
   
+  /**
+   * How current the local contact mirror is
+   */
+  getContactMirrorStatus: async function() {
+    return await ContactMirror.getStatus();
+  },
+  
   /**
    * Get pricing plans for a member using the SDK adapter
    */
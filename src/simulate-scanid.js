@@ -0,0 +1,365 @@
+/**
+ * Scan-ID simulator for development and demos
+ *
+ * Appends synthetic rows to a Scan-ID CSV export in the exact format the
+ * Scan-ID desktop software writes (CREATED,FULL NAME,...,Image1..Image8), so
+ * ScanIDWatcher and the whole check-in flow can be exercised without a license
+ * scanner, e.g. on Linux.
+ *
+ * Usage:
+ *   node src/simulate-scanid.js                      One random person
+ *   node src/simulate-scanid.js --person underage    A named fixture person
+ *   node src/simulate-scanid.js --person exact-match,expired --image
+ *   node src/simulate-scanid.js --count 5 --burst    Five random people at once
+ *   node src/simulate-scanid.js --list               Show the fixture people
+ *
+ * Run with --help for all options.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AppConfig = require('./services/AppConfig');
+
+const HEADER = 'CREATED,FULL NAME,FIRST NAME,LAST NAME,BIRTHDATE,AGE,DRV LC NO,ISSUED ON,EXPIRES ON,Image1,Image2,Image3,Image4,Image5,Image6,Image7,Image8';
+const DEFAULT_FIXTURES = path.join(__dirname, 'assets/scan-id-test-people.json');
+
+const FIRST_NAMES = ['JAMES', 'MARIA', 'ROBERT', 'LINDA', 'MICHAEL', 'PATRICIA', 'DAVID', 'JENNIFER', 'CARLOS', 'AISHA', 'KEVIN', 'MEI', 'ANTHONY', 'SARAH', 'JOSE', 'EMILY'];
+const LAST_NAMES = ['JOHNSON', 'GARCIA', 'WILLIAMS', 'NGUYEN', 'BROWN', 'MARTINEZ', 'DAVIS', 'OKAFOR', 'MILLER', 'PATEL', 'WILSON', 'LOPEZ', 'ANDERSON', 'KIM', 'THOMAS', 'MOORE'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const USAGE = `
+Scan-ID simulator: appends synthetic scans to a Scan-ID CSV export
+
+Options:
+  --station <id>      Append to this scan source's CSV (default: the first in app.config.json)
+  --csv <path>        Append to this CSV file instead
+  --person <keys>     Fixture people to scan, comma-separated (default: random people)
+  --fixtures <file>   Fixture file (default: src/assets/scan-id-test-people.json)
+  --count <n>         Number of scans (default: 1, or one per --person)
+  --burst             Write all scans in a single append, one second apart
+  --interval <ms>     Delay between scans when not in burst mode (default: 2000)
+  --image             Write a placeholder JPEG per scan and reference it in Image1
+  --partial           Write each row in two chunks to exercise the watcher's settle logic
+  --list              List the fixture people and exit
+  --help              Show this help
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} - Options
+ */
+function parseArgs(argv) {
+  const options = { interval: 2000, people: [] };
+  const takeValue = (index, name) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${name} needs a value`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--station': options.station = takeValue(i++, arg); break;
+      case '--csv': options.csv = takeValue(i++, arg); break;
+      case '--person': options.people.push(...takeValue(i++, arg).split(',').map(p => p.trim()).filter(Boolean)); break;
+      case '--fixtures': options.fixtures = takeValue(i++, arg); break;
+      case '--count': options.count = Number(takeValue(i++, arg)); break;
+      case '--interval': options.interval = Number(takeValue(i++, arg)); break;
+      case '--burst': options.burst = true; break;
+      case '--image': options.image = true; break;
+      case '--partial': options.partial = true; break;
+      case '--list': options.list = true; break;
+      case '--help': options.help = true; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.count !== undefined && (!Number.isInteger(options.count) || options.count < 1)) {
+    throw new Error('--count must be a positive whole number');
+  }
+  if (!Number.isFinite(options.interval) || options.interval < 0) {
+    throw new Error('--interval must be a number of milliseconds');
+  }
+  return options;
+}
+
+/**
+ * Load the fixture people
+ * @param {string} [fixturesPath] - Fixture file
+ * @returns {Array<Object>} - People
+ */
+function loadFixtures(fixturesPath = DEFAULT_FIXTURES) {
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  if (!Array.isArray(fixtures.people)) {
+    throw new Error(`${fixturesPath} has no "people" array`);
+  }
+  return fixtures.people;
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+const pick = list => list[randomInt(0, list.length - 1)];
+
+// MM-DD-YYYY, as in the BIRTHDATE / ISSUED ON / EXPIRES ON columns
+const formatDate = date => `${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${date.getFullYear()}`;
+
+// "2025/04/05 20:37:10 (Sat Apr 05)", as in the CREATED column
+function formatCreated(date) {
+  const day = `${DAY_NAMES[date.getDay()]} ${MONTH_NAMES[date.getMonth()]} ${pad(date.getDate())}`;
+  return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} (${day})`;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function ageOn(birthDate, today) {
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * Work out a birth date for a person spec
+ * @param {Object} person - Fixture person
+ * @param {Date} today - Scan date
+ * @returns {Date} - Birth date
+ */
+function birthDateFor(person, today) {
+  if (person.dateOfBirth) {
+    const [month, day, year] = person.dateOfBirth.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  const age = person.age !== undefined ? person.age : randomInt(21, 65);
+  const birthday = new Date(today.getFullYear() - age, today.getMonth(), today.getDate());
+  if (person.birthdayToday) {
+    return birthday;
+  }
+  // Somewhere in the year after the last birthday, so the age is exact
+  return addDays(birthday, -randomInt(1, 360));
+}
+
+/**
+ * Build the scan for a person
+ * @param {Object} person - Fixture person (or a random one)
+ * @param {Date} scannedAt - Scan time
+ * @returns {Object} - Column values
+ */
+function buildScan(person, scannedAt) {
+  const birthDate = birthDateFor(person, scannedAt);
+  const expires = person.expiresInDays !== undefined
+    ? addDays(scannedAt, person.expiresInDays)
+    : addDays(scannedAt, randomInt(200, 2500));
+  // Licenses are typically valid for about eight years
+  const issued = addDays(expires, -8 * 365);
+
+  return {
+    created: formatCreated(scannedAt),
+    fullName: person.fullName || `${person.firstName} ${person.lastName}`,
+    firstName: person.firstName,
+    lastName: person.lastName,
+    birthDate: formatDate(birthDate),
+    age: ageOn(birthDate, scannedAt),
+    idNumber: person.idNumber || String(randomInt(10000000, 99999999)),
+    issued: formatDate(issued),
+    expires: formatDate(expires)
+  };
+}
+
+/**
+ * Quote a CSV cell when needed
+ */
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(scan, images) {
+  const cells = [
+    scan.created, scan.fullName, scan.firstName, scan.lastName, scan.birthDate,
+    scan.age, scan.idNumber, scan.issued, scan.expires
+  ];
+  for (let i = 0; i < 8; i++) {
+    cells.push(images[i] || '');
+  }
+  return cells.map(csvCell).join(',');
+}
+
+/**
+ * Build a mid-grey baseline JPEG. Every 8x8 block has the same colour, so the
+ * entropy-coded data is just "DC unchanged, end of block" per block.
+ * @param {number} width - Width in pixels (multiple of 8)
+ * @param {number} height - Height in pixels (multiple of 8)
+ * @returns {Buffer} - JPEG file contents
+ */
+function buildPlaceholderJpeg(width = 240, height = 152) {
+  const segment = (marker, body) => {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(body.length + 2);
+    return Buffer.concat([Buffer.from([0xff, marker]), length, Buffer.from(body)]);
+  };
+  // Huffman table with a single 1-bit code for symbol 0
+  const singleCodeTable = tableClass => [tableClass, 1, ...new Array(15).fill(0), 0x00];
+
+  const blocks = (width / 8) * (height / 8);
+  const data = Buffer.alloc(Math.ceil((blocks * 2) / 8), 0);
+  // Pad the final byte with 1 bits
+  const usedBits = (blocks * 2) % 8;
+  if (usedBits) {
+    data[data.length - 1] = 0xff >> usedBits;
+  }
+
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xdb, [0x00, ...new Array(64).fill(1)]),
+    segment(0xc0, [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 1, 1, 0x11, 0]),
+    segment(0xc4, singleCodeTable(0x00)),
+    segment(0xc4, singleCodeTable(0x10)),
+    segment(0xda, [1, 1, 0x00, 0, 63, 0]),
+    data,
+    Buffer.from([0xff, 0xd9])
+  ]);
+}
+
+/**
+ * Work out where to write: an explicit CSV, or a configured scan source
+ * @param {Object} options - Parsed options
+ * @returns {Object} - { csvPath, imageDir, label }
+ */
+function resolveTarget(options) {
+  if (options.csv) {
+    const csvPath = path.resolve(options.csv);
+    return { csvPath, imageDir: path.dirname(csvPath), label: csvPath };
+  }
+
+  const source = AppConfig.getScanSource(options.station);
+  if (!source) {
+    throw new Error(`Unknown scan station: ${options.station}`);
+  }
+  return { csvPath: source.path, imageDir: source.imageDir, label: `${source.station} (${source.path})` };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Append text to the export the way Scan-ID does: keep the file's line
+ * endings, and keep an unterminated last row unterminated
+ * @param {string} csvPath - Export path
+ * @param {Array<string>} rows - CSV rows
+ * @param {Object} options - Parsed options
+ */
+async function appendRows(csvPath, rows, options) {
+  const existing = fs.existsSync(csvPath) ? fs.readFileSync(csvPath, 'utf8') : '';
+  const eol = existing.includes('\r\n') ? '\r\n' : '\n';
+  let text;
+
+  if (existing.trim() === '') {
+    text = HEADER + eol + rows.join(eol) + eol;
+  } else if (/\r?\n$/.test(existing)) {
+    text = rows.join(eol) + eol;
+  } else {
+    text = eol + rows.join(eol);
+  }
+
+  if (!options.partial) {
+    fs.appendFileSync(csvPath, text);
+    return;
+  }
+
+  // Half a row now, the rest after the watcher has had a chance to see it
+  const split = Math.floor(text.length / 2);
+  fs.appendFileSync(csvPath, text.slice(0, split));
+  await sleep(400);
+  fs.appendFileSync(csvPath, text.slice(split));
+}
+
+async function simulate(options) {
+  const fixtures = loadFixtures(options.fixtures);
+
+  if (options.list) {
+    fixtures.forEach(person => {
+      console.log(`${person.key.padEnd(16)} ${person.firstName} ${person.lastName}${person.notes ? ` - ${person.notes}` : ''}`);
+    });
+    return;
+  }
+
+  const people = options.people.map(key => {
+    const person = fixtures.find(p => p.key === key);
+    if (!person) {
+      throw new Error(`Unknown fixture person "${key}" (see --list)`);
+    }
+    return person;
+  });
+
+  const count = options.count || Math.max(people.length, 1);
+  const target = resolveTarget(options);
+  fs.mkdirSync(path.dirname(target.csvPath), { recursive: true });
+  console.log(`Simulating ${count} scan(s) into ${target.label}`);
+
+  const startedAt = new Date();
+  const pending = [];
+
+  for (let i = 0; i < count; i++) {
+    const person = people.length
+      ? people[i % people.length]
+      : { firstName: pick(FIRST_NAMES), lastName: pick(LAST_NAMES) };
+    // Burst scans are one second apart, like a fast-moving line at the door
+    const scannedAt = options.burst ? new Date(startedAt.getTime() + i * 1000) : new Date();
+    const scan = buildScan(person, scannedAt);
+
+    const images = [];
+    if (options.image) {
+      fs.mkdirSync(target.imageDir, { recursive: true });
+      const stamp = scan.created.slice(0, 19).replace(/[\/: ]/g, '').replace(/^(\d{8})/, '$1_');
+      const imagePath = path.join(target.imageDir, `${stamp}${pad(i)}b.jpg`);
+      fs.writeFileSync(imagePath, buildPlaceholderJpeg());
+      images.push(imagePath);
+    }
+
+    const row = toCsvRow(scan, images);
+    console.log(`- ${scan.fullName}, born ${scan.birthDate} (age ${scan.age}), expires ${scan.expires}`);
+
+    if (options.burst) {
+      pending.push(row);
+    } else {
+      await appendRows(target.csvPath, [row], options);
+      if (i < count - 1) {
+        await sleep(options.interval);
+      }
+    }
+  }
+
+  if (pending.length) {
+    await appendRows(target.csvPath, pending, options);
+  }
+  console.log('Done');
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  console.log(USAGE);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.log(USAGE);
+} else {
+  simulate(options).catch(err => {
+    console.error('Simulation failed:', err.message);
+    process.exit(1);
+  });
+}
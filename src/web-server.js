@@ -10,24 +10,20 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { parse } = require('csv-parse/sync');
-const axios = require('axios');
 const http = require('http');
 const socketIo = require('socket.io');
-const ScanIDWatcher = require('./services/ScanIDWatcher');
-
-// Load Wix configuration
-const CONFIG_PATH = path.join(__dirname, '../wix.config.json');
-let WIX_CONFIG = {};
-
-if (fs.existsSync(CONFIG_PATH)) {
-  try {
-    WIX_CONFIG = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
-    console.log('Loaded Wix config for web server');
-  } catch (e) {
-    console.error('Error loading Wix config:', e.message);
-  }
-}
+const ScanSourceManager = require('./services/ScanSourceManager');
+const ScanIDService = require('./services/ScanIDService');
+const ScanImageService = require('./services/ScanImageService');
+const ScanHistoryService = require('./services/ScanHistoryService');
+const PiiPolicy = require('./services/PiiPolicy');
+const RetentionService = require('./services/RetentionService');
+const AuditTrailService = require('./services/AuditTrailService');
+const ScoringProfile = require('./services/ScoringProfile');
+const MemberActivationService = require('./services/MemberActivationService');
+const IdentityLinkService = require('./services/IdentityLinkService');
+const MemberLookupService = require('./services/MemberLookupService');
+const WixSdkAdapter = require('./services/WixSdkAdapter');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -41,9 +37,12 @@ server.setMaxListeners(20);
 
 const io = socketIo(server);
 
-// Initialize the ScanID watcher
-const scanIDPath = path.join(__dirname, 'assets/scan-id-export.csv');
-const scanIDWatcher = new ScanIDWatcher(scanIDPath);
+// Initialize one ScanID watcher per configured scan source (see app.config.json)
+const scanSources = new ScanSourceManager();
+
+// Socket.io rooms: clients see every station until they subscribe to their own
+const ALL_STATIONS_ROOM = 'stations:all';
+const stationRoom = (stationId) => `station:${stationId}`;
 
 // Add request logging
 app.use((req, res, next) => {
@@ -71,334 +70,252 @@ if (!fs.existsSync(rendererPath)) {
   console.log('Files in renderer directory:', fs.readdirSync(rendererPath));
 }
 
+// API endpoint to list the configured scan sources (scanner stations)
+app.get('/api/scanid/sources', (req, res) => {
+  console.log('[API] /api/scanid/sources called');
+  res.json({ success: true, sources: scanSources.listSources() });
+});
+
 // API endpoint to get the latest scan from Scan-ID CSV
+// Optional ?station=<id> selects the scan source; defaults to the first one
 app.get('/api/scanid/latest', async (req, res) => {
   console.log('[API] /api/scanid/latest called');
   try {
-    const csvPath = path.join(__dirname, 'assets/scan-id-export.csv');
-    console.log('Looking for Scan-ID CSV at:', csvPath);
+    // Same parser and record shape as the Electron IPC handler and the watcher
+    const scan = await ScanIDService.getLatestScan(req.query.station);
     
-    if (!fs.existsSync(csvPath)) {
-      return res.status(404).json({ error: 'Scan-ID CSV file not found' });
+    if (scan.error) {
+      return res.status(404).json({ error: scan.error });
     }
     
-    const csvContent = fs.readFileSync(csvPath, 'utf8');
-    console.log('CSV content loaded, parsing...');
-    
-    const records = parse(csvContent, {
-      columns: true,
-      skip_empty_lines: true
-    });
-    
-    if (!records || records.length === 0) {
-      return res.status(404).json({ error: 'No scan records found in CSV' });
-    }
-    
-    // Sort by scan time (most recent first) and return the latest
-    records.sort((a, b) => {
-      const dateA = new Date(a.CREATED ? a.CREATED.split(' ')[0].replace(/\//g, '-') : 0);
-      const dateB = new Date(b.CREATED ? b.CREATED.split(' ')[0].replace(/\//g, '-') : 0);
-      return dateB - dateA;
-    });
-    
-    // Get the latest record
-    const latestRecord = records[0];
-    
-    // Map the Scan-ID CSV fields to our expected format
-    // This follows the same mapping as in ScanIDService.js
-    const mappedRecord = {
-      FirstName: latestRecord['FIRST NAME'],
-      LastName: latestRecord['LAST NAME'],
-      FullName: latestRecord['FULL NAME'],
-      DateOfBirth: latestRecord['BIRTHDATE'],
-      Age: latestRecord['AGE'],
-      IDNumber: latestRecord['DRV LC NO'],
-      IDExpiration: latestRecord['EXPIRES ON'],
-      IDIssued: latestRecord['ISSUED ON'],
-      ScanTime: latestRecord['CREATED'],
-      PhotoPath: latestRecord['Image1']
-    };
-    
-    console.log(`Found ${records.length} records, returning the latest one:`, mappedRecord);
-    res.json(mappedRecord);
+    console.log('Returning the latest scan:', PiiPolicy.initials(scan.FullName));
+    res.json(scan);
   } catch (err) {
-    console.error('Error getting latest scan:', err);
     console.error('Error in /api/scanid/latest:', err);
     res.status(500).json({ error: 'Failed to get latest scan', details: err.message });
   }
 });
 
-// API endpoint to search for a Wix member
-app.post('/api/wix/search-member', async (req, res) => {
-  console.log('[API] /api/wix/search-member called');
-  console.log('Request body:', req.body);
-  if (req.body && req.body.dob) {
-    console.log('DOB received:', req.body.dob);
+// API endpoint to stream an ID image captured by Scan-ID
+// Query: ?station=<id>&path=<Image1..8 path from the CSV>. Only files inside the
+// station's image directories are served (see ScanImageService).
+app.get('/api/scanid/image', (req, res) => {
+  console.log('[API] /api/scanid/image called');
+  const image = ScanImageService.resolveScanImage(req.query.path, req.query.station);
+
+  if (image.error) {
+    return res.status(image.status).json({ error: image.error });
   }
-  try {
-    const { name, dob } = req.body;
-    console.log(`Searching for member with name: ${name || 'N/A'} or DOB: ${dob || 'N/A'}`);
-    
-    // Try Members API first
-    const membersUrl = `https://www.wixapis.com/members/v1/members/query`;
-    const headers = {
-      'Authorization': WIX_CONFIG.apiKey,
-      'wix-site-id': WIX_CONFIG.siteId,
-      'Content-Type': 'application/json'
-    };
-    
-    // Build filter based on provided parameters
-    const filters = [];
-    if (name) {
-      // Split the name into parts and search for each part individually
-      const nameParts = name.split(' ').filter(part => part.trim().length > 0);
-      
-      // Create a more flexible search by looking for any name part in any name field
-      nameParts.forEach(part => {
-        // Try to match the part against first name
-        filters.push({
-          filter: { fieldName: "profile.firstName", operator: "contains", value: part }
-        });
-        
-        // Try to match the part against last name
-        filters.push({
-          filter: { fieldName: "profile.lastName", operator: "contains", value: part }
-        });
-        
-        // Try to match against the full name field if it exists
-        filters.push({
-          filter: { fieldName: "profile.name", operator: "contains", value: part }
-        });
-        
-        // Try to match against any custom name fields that might exist
-        filters.push({
-          filter: { fieldName: "extendedFields.fullName", operator: "contains", value: part }
-        });
-      });
-      
-      // Also try the full name as one search term
-      filters.push({
-        filter: { fieldName: "profile.name", operator: "contains", value: name }
-      });
-    }
-    
-    if (dob) {
-      // Format DOB if needed (assuming input is MM-DD-YYYY and API needs YYYY-MM-DD)
-      let formattedDob = dob;
-      if (dob.includes('-')) {
-        const parts = dob.split('-');
-        if (parts.length === 3 && parts[2].length === 4) {
-          // Convert from MM-DD-YYYY to YYYY-MM-DD
-          formattedDob = `${parts[2]}-${parts[0]}-${parts[1]}`;
-        }
-      }
-      
-      // Try both standard and extended fields for DOB
-      filters.push({
-        filter: { fieldName: "extendedFields.dob", operator: "eq", value: formattedDob }
-      });
-      filters.push({
-        filter: { fieldName: "extendedFields.birthdate", operator: "eq", value: formattedDob }
-      });
-      filters.push({
-        filter: { fieldName: "extendedFields.dateOfBirth", operator: "eq", value: formattedDob }
-      });
-    }
-    
-    // If no search criteria provided, return empty results
-    if (filters.length === 0) {
-      return res.json({
-        success: true,
-        source: 'none',
-        results: []
-      });
-    }
-    
-    // Properly structure the query according to Wix API requirements
-    const data = {
-      // The query object needs to be directly in the request body
-      filter: {
-        or: filters
-      },
-      paging: { limit: 10 },
-      fields: [
-        "profile",
-        "privacyStatus",
-        "status",
-        "activityStatus",
-        "extendedFields",
-        "membershipStatus"
-      ]
-    };
-    
-    // Make the request
-    let membersResponse;
-    try {
-      membersResponse = await axios.post(membersUrl, data, { headers });
-      console.log('Members API search successful');
-      
-      // Log the first member to debug the structure
-      if (membersResponse.data.members && membersResponse.data.members.length > 0) {
-        console.log('Found member structure:', JSON.stringify(membersResponse.data.members[0], null, 2));
-        
-        // Ensure each member has an _id property
-        const members = membersResponse.data.members.map(member => {
-          // If the member doesn't have an _id property but has an id property, use that
-          if (!member._id && member.id) {
-            member._id = member.id;
-          }
-          return member;
-        });
-        
-        return res.json({
-          success: true,
-          source: 'members',
-          results: members
-        });
+
+  // ID photos are personal data; keep them out of browser and proxy caches
+  res.setHeader('Cache-Control', 'no-store');
+  res.type(image.contentType);
+  fs.createReadStream(image.path)
+    .on('error', (err) => {
+      console.error('Error streaming ID image:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to read ID image' });
+      } else {
+        res.end();
       }
-    } catch (error) {
-      console.warn('Members API search failed:', error.message);
-    }
-    
-    // Fallback to Contacts API if no members found
-    console.log('No members found, trying Contacts API');
-    const contactsUrl = `https://www.wixapis.com/contacts/v4/contacts/query`;
-    
-    // Rebuild filters for contacts API
-    const contactFilters = [];
-    if (name) {
-      // Split the name into parts and search for each part individually
-      const nameParts = name.split(' ').filter(part => part.trim().length > 0);
-      
-      // Create a more flexible search by looking for any name part in any name field
-      nameParts.forEach(part => {
-        // Try to match the part against first name
-        contactFilters.push({
-          filter: { fieldName: "info.name.first", operator: "contains", value: part }
-        });
-        
-        // Try to match the part against last name
-        contactFilters.push({
-          filter: { fieldName: "info.name.last", operator: "contains", value: part }
-        });
-        
-        // Try to match against the display name if it exists
-        contactFilters.push({
-          filter: { fieldName: "info.name.full", operator: "contains", value: part }
-        });
-        
-        // Try to match against any custom name fields that might exist
-        contactFilters.push({
-          filter: { fieldName: "customFields.fullName", operator: "contains", value: part }
-        });
-      });
-      
-      // Also try the full name as one search term
-      contactFilters.push({
-        filter: { fieldName: "info.name.full", operator: "contains", value: name }
-      });
+    })
+    .pipe(res);
+});
+
+// API endpoint to decode a raw AAMVA driver-license barcode into a scan record
+// Body: { data, station, broadcast }. With broadcast: true the scan is also pushed
+// to check-in screens subscribed to the station, like a Scan-ID watcher scan.
+app.post('/api/scanid/barcode', async (req, res) => {
+  console.log('[API] /api/scanid/barcode called');
+  try {
+    const { data, station, broadcast } = req.body || {};
+    if (!data || typeof data !== 'string') {
+      return res.status(400).json({ error: 'Barcode data is required' });
     }
-    
-    if (dob) {
-      // Format DOB if needed
-      let formattedDob = dob;
-      if (dob.includes('-')) {
-        const parts = dob.split('-');
-        if (parts.length === 3 && parts[2].length === 4) {
-          // Convert from MM-DD-YYYY to YYYY-MM-DD
-          formattedDob = `${parts[2]}-${parts[0]}-${parts[1]}`;
-        }
-      }
-      
-      contactFilters.push({
-        filter: { fieldName: "extendedFields.dob", operator: "eq", value: formattedDob }
-      });
-      contactFilters.push({
-        filter: { fieldName: "extendedFields.birthdate", operator: "eq", value: formattedDob }
-      });
-      contactFilters.push({
-        filter: { fieldName: "extendedFields.dateOfBirth", operator: "eq", value: formattedDob }
-      });
+
+    const scan = await ScanIDService.parseBarcodeScan(data, station);
+
+    if (scan.error) {
+      return res.status(400).json({ error: scan.error });
     }
-    
-    // Properly structure the contacts query according to Wix API requirements
-    const contactsData = {
-      // The query object needs to be directly in the request body
-      filter: {
-        or: contactFilters
-      },
-      paging: { limit: 10 },
-      fields: [
-        "info",
-        "customFields",
-        "extendedFields"
-      ]
-    };
-    
-    let contactsResponse;
-    try {
-      contactsResponse = await axios.post(contactsUrl, contactsData, { headers });
-      console.log('Contacts API search successful');
-      return res.json({
-        success: true,
-        source: 'contacts',
-        results: contactsResponse.data.contacts || []
-      });
-    } catch (error) {
-      console.error('Contacts API search failed:', error.message);
-      return res.json({
-        success: false,
-        error: `Error searching for contacts: ${error.message}`
-      });
+
+    if (broadcast) {
+      io.to(ALL_STATIONS_ROOM).to(stationRoom(scan.StationId)).emit('newScan', scan);
     }
+
+    console.log(`Returning barcode scan from ${scan.Station}:`, PiiPolicy.initials(scan.FullName));
+    res.json(scan);
   } catch (err) {
-    console.error('Wix API Search Error:', err.message);
-    res.status(500).json({
-      success: false,
-      error: `Error searching for member: ${err.message}`
-    });
+    console.error('Error in /api/scanid/barcode:', err);
+    res.status(500).json({ error: 'Failed to decode barcode', details: err.message });
+  }
+});
+
+// API endpoint to start an admin session, which unredacts PII in history and diagnostics
+// Body: { pin }. Send the returned token as the X-Admin-Token header.
+app.post('/api/admin/session', (req, res) => {
+  console.log('[API] POST /api/admin/session called');
+  const result = PiiPolicy.unlockAdmin(req.body && req.body.pin, req.ip);
+
+  if (result.retryAfterSeconds) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json(result);
+  }
+  if (!result.success) {
+    return res.status(401).json(result);
+  }
+  res.json(result);
+});
+
+// API endpoint to end an admin session
+app.delete('/api/admin/session', (req, res) => {
+  console.log('[API] DELETE /api/admin/session called');
+  res.json(PiiPolicy.lockAdmin(req.get('X-Admin-Token')));
+});
+
+// API endpoint to query the scan history; PII is redacted without an admin session
+// Query: ?from=&to=&name=&station=&decision=&limit= (from/to are ISO dates or date-times)
+app.get('/api/scans', async (req, res) => {
+  console.log('[API] /api/scans called');
+  const { from, to, name, station, decision, limit } = req.query;
+  const result = await ScanHistoryService.queryScans({ from, to, name, station, decision, limit });
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  res.json(PiiPolicy.forRole(result, req.get('X-Admin-Token')));
+});
+
+// API endpoint to get one scan history entry; PII is redacted without an admin session
+app.get('/api/scans/:id', async (req, res) => {
+  console.log('[API] /api/scans/:id called');
+  const result = await ScanHistoryService.getScan(req.params.id);
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+  res.json(PiiPolicy.forRole(result, req.get('X-Admin-Token')));
+});
+
+// API endpoint to record a processed scan
+app.post('/api/scans', async (req, res) => {
+  console.log('[API] POST /api/scans called');
+  const result = await ScanHistoryService.recordScan(req.body && req.body.scan);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  res.status(result.existing ? 200 : 201).json(result);
+});
+
+// API endpoint to update a scan with the match result, chosen contact or decision
+app.patch('/api/scans/:id', async (req, res) => {
+  console.log('[API] PATCH /api/scans/:id called');
+  const result = await ScanHistoryService.updateScan(req.params.id, req.body || {});
+
+  if (!result.success) {
+    return res.status(/not found/i.test(result.error) ? 404 : 400).json(result);
+  }
+  res.json(result);
+});
+
+// API endpoint to store the license of an admitted scan on the chosen Wix contact
+app.post('/api/scans/:id/activate-member', async (req, res) => {
+  console.log('[API] POST /api/scans/:id/activate-member called');
+  const result = await MemberActivationService.activateFromScan(req.params.id);
+
+  if (!result.success) {
+    return res.status(/not found/i.test(result.error) ? 404 : 400).json(result);
+  }
+  res.json(result);
+});
+
+// API endpoint to link the identity of a scan to the contact staff confirmed for it
+app.post('/api/scans/:id/confirm-member', async (req, res) => {
+  console.log('[API] POST /api/scans/:id/confirm-member called');
+  const { contactId, confirmedBy } = req.body || {};
+  const result = await IdentityLinkService.confirmFromScan(req.params.id, contactId, confirmedBy);
+
+  if (!result.success) {
+    return res.status(/not found/i.test(result.error) ? 404 : 400).json(result);
   }
+  res.json(result);
+});
+
+// API endpoint to run the retention purge now (admin session required)
+app.post('/api/retention/run', async (req, res) => {
+  console.log('[API] POST /api/retention/run called');
+  if (!PiiPolicy.isAdmin(req.get('X-Admin-Token'))) {
+    return res.status(403).json({ success: false, error: 'An admin session is required to run the retention purge' });
+  }
+
+  const result = await RetentionService.runPurge({ trigger: 'manual', scanSources });
+  if (!result.success) {
+    return res.status(409).json(result);
+  }
+  res.json(result);
+});
+
+// API endpoint to query the audit trail (purge summaries; no PII)
+// Query: ?type=&from=&to=&limit= (from/to are ISO dates or date-times)
+app.get('/api/audit', async (req, res) => {
+  console.log('[API] /api/audit called');
+  const { type, from, to, limit } = req.query;
+  const result = await AuditTrailService.queryEvents({ type, from, to, limit });
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+  res.json(result);
+});
+
+// Match-scoring profile, so the check-in screen's confidence legend matches the scorer
+app.get('/api/scoring-profile', (req, res) => {
+  console.log('[API] /api/scoring-profile called');
+  res.json({ success: true, profile: ScoringProfile.getProfile() });
+});
+
+// How current the local contact mirror used by member search is
+app.get('/api/contact-mirror', async (req, res) => {
+  console.log('[API] /api/contact-mirror called');
+  const result = await WixSdkAdapter.getContactMirrorStatus();
+  res.status(result.success ? 200 : 500).json(result);
+});
+
+// API endpoint to search for a Wix member by full name and DOB (MemberLookupService, like every member search)
+app.post('/api/wix/search-member', async (req, res) => {
+  console.log('[API] /api/wix/search-member called');
+  const { name, dob } = req.body || {};
+  const result = await MemberLookupService.lookupMember({ ...MemberLookupService.splitFullName(name), dateOfBirth: dob });
+  res.status(result.success ? 200 : 500).json(result);
 });
 
 // API endpoint to find a Wix member by firstName, lastName, and dateOfBirth
 app.post('/api/wix/find-member', async (req, res) => {
   console.log('[API] /api/wix/find-member called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   
-  // Validate that we have at least some search criteria
-  const { firstName, lastName, dateOfBirth } = req.body;
+  // Validate that we have a name to search by
+  const { firstName, lastName, dateOfBirth } = req.body || {};
   
   if ((!firstName || firstName.trim() === '') && 
-      (!lastName || lastName.trim() === '') && 
-      (!dateOfBirth || dateOfBirth.trim() === '')) {
+      (!lastName || lastName.trim() === '')) {
     console.error('Missing search parameters');
     return res.status(400).json({
       success: false,
-      error: 'At least one search parameter (firstName, lastName, or dateOfBirth) is required'
+      error: 'At least one search parameter (firstName or lastName) is required'
     });
   }
   
-  try {
-    console.log(`Looking up member: ${firstName} ${lastName}, DOB: ${dateOfBirth}`);
-    
-    // Use the WixService to find the member
-    const WixService = require('./services/WixService');
-    const result = await WixService.findMember({ firstName, lastName, dateOfBirth });
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Wix API Find Member Error:', err.message);
-    res.status(500).json({
-      success: false,
-      error: `Error finding member: ${err.message}`
-    });
-  }
+  // The same lookup as every member search (MemberLookupService)
+  const result = await MemberLookupService.lookupMember({ firstName, lastName, dateOfBirth });
+  res.status(result.success ? 200 : 500).json(result);
 });
 
 // API endpoint to get pricing plans for a member
 app.post('/api/wix/pricing-plans', async (req, res) => {
   console.log('[API] /api/wix/pricing-plans called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   
   // Validate memberId
   const memberId = req.body?.memberId;
@@ -473,7 +390,7 @@ app.get('/api/wix-explorer/endpoints', async (req, res) => {
 // API endpoint for testing Wix API calls
 app.post('/api/wix-explorer/test-api', async (req, res) => {
   console.log('[API] /api/wix-explorer/test-api called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   try {
     const { endpointId, searchParams } = req.body;
     // Load the WixApiExplorer module
@@ -492,7 +409,7 @@ app.post('/api/wix-explorer/test-api', async (req, res) => {
 // API endpoint for testing Wix SDK
 app.post('/api/wix-sdk/test', async (req, res) => {
   console.log('[API] /api/wix-sdk/test called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   try {
     const { collectionId } = req.body;
     // Load the WixSdkTest module
@@ -511,7 +428,7 @@ app.post('/api/wix-sdk/test', async (req, res) => {
 // API endpoint for testing Wix SDK (simple version)
 app.post('/api/wix-sdk/test-simple', async (req, res) => {
   console.log('[API] /api/wix-sdk/test-simple called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   try {
     const { collectionId } = req.body;
     // Load the WixSdkTestSimple module
@@ -544,10 +461,18 @@ app.get('/api/wix-sdk/inspect', async (req, res) => {
   }
 });
 
+// API endpoint to search members with the confidence-scored matcher (scans and the manual search)
+app.post('/api/wix-sdk/search-member', async (req, res) => {
+  console.log('[API] /api/wix-sdk/search-member called');
+  const { firstName, middleName, lastName, suffix, dateOfBirth, idNumber, email, phone } = req.body || {};
+  const result = await MemberLookupService.lookupMember({ firstName, middleName, lastName, suffix, dateOfBirth, idNumber, email, phone });
+  res.status(result.success ? 200 : 500).json(result);
+});
+
 // API endpoint for testing Wix SDK Adapter
 app.post('/api/wix-sdk/adapter-test', async (req, res) => {
   console.log('[API] /api/wix-sdk/adapter-test called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   try {
     const { collectionId } = req.body;
     // Load the WixSdkAdapter module
@@ -566,7 +491,7 @@ app.post('/api/wix-sdk/adapter-test', async (req, res) => {
 // API endpoint for testing Wix Direct API
 app.post('/api/wix-direct/test', async (req, res) => {
   console.log('[API] /api/wix-direct/test called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   try {
     const { endpoint } = req.body;
     // Load the WixDirectApi module
@@ -585,7 +510,7 @@ app.post('/api/wix-direct/test', async (req, res) => {
 // API endpoint for testing Wix SDK Compatibility Adapter
 app.post('/api/wix-sdk/compat-test', async (req, res) => {
   console.log('[API] /api/wix-sdk/compat-test called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   try {
     const { collectionId } = req.body;
     // Load the WixSdkCompatAdapter module
@@ -604,7 +529,7 @@ app.post('/api/wix-sdk/compat-test', async (req, res) => {
 // API endpoint to list pricing plan orders
 app.post('/api/wix/list-orders', async (req, res) => {
   console.log('[API] /api/wix/list-orders called');
-  console.log('Request body:', req.body);
+  console.log('Request body:', PiiPolicy.redact(req.body));
   
   try {
     // Use the WixService to list pricing plan orders
@@ -648,23 +573,43 @@ app.get('*', (req, res) => {
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('New client connected');
+  socket.join(ALL_STATIONS_ROOM);
   
   // Send initial status
-  socket.emit('scanWatchStatus', { watching: scanIDWatcher.watching });
+  socket.emit('scanWatchStatus', scanSources.getStatus());
   
-  // Handle start watching request
-  socket.on('startWatching', () => {
-    console.log('Client requested to start watching Scan-ID');
-    if (!scanIDWatcher.watching) {
-      scanIDWatcher.startWatching();
+  // Handle status request
+  socket.on('getWatchStatus', () => {
+    socket.emit('scanWatchStatus', scanSources.getStatus());
+  });
+  
+  // Handle station subscription; a falsy id goes back to all stations
+  socket.on('subscribeStation', (stationId) => {
+    console.log('Client subscribed to station:', stationId || 'all');
+    Array.from(socket.rooms)
+      .filter(room => room === ALL_STATIONS_ROOM || room.startsWith('station:'))
+      .forEach(room => socket.leave(room));
+    socket.join(stationId ? stationRoom(stationId) : ALL_STATIONS_ROOM);
+    socket.emit('scanWatchStatus', scanSources.getStatus());
+  });
+  
+  // Handle start watching request (one station, or all when no id is given)
+  socket.on('startWatching', (stationId) => {
+    console.log('Client requested to start watching Scan-ID:', stationId || 'all stations');
+    try {
+      scanSources.start(stationId);
+    } catch (err) {
+      socket.emit('scanWatchError', { error: err.message, stationId });
     }
   });
   
-  // Handle stop watching request
-  socket.on('stopWatching', () => {
-    console.log('Client requested to stop watching Scan-ID');
-    if (scanIDWatcher.watching) {
-      scanIDWatcher.stopWatching();
+  // Handle stop watching request (one station, or all when no id is given)
+  socket.on('stopWatching', (stationId) => {
+    console.log('Client requested to stop watching Scan-ID:', stationId || 'all stations');
+    try {
+      scanSources.stop(stationId);
+    } catch (err) {
+      socket.emit('scanWatchError', { error: err.message, stationId });
     }
   });
   
@@ -674,25 +619,26 @@ io.on('connection', (socket) => {
   });
 });
 
-// Set up ScanIDWatcher event handlers
-scanIDWatcher.on('watching', (data) => {
-  console.log('ScanIDWatcher started watching:', data.path);
-  io.emit('scanWatchStatus', { watching: true });
+// Set up scan source event handlers
+scanSources.on('status', (status) => {
+  io.emit('scanWatchStatus', status);
 });
 
-scanIDWatcher.on('stopped', () => {
-  console.log('ScanIDWatcher stopped watching');
-  io.emit('scanWatchStatus', { watching: false });
+scanSources.on('newscan', (scan) => {
+  console.log(`New scan detected at ${scan.Station}:`, PiiPolicy.initials(scan.FullName));
+  // Clients subscribed to all stations plus the ones subscribed to this station
+  io.to(ALL_STATIONS_ROOM).to(stationRoom(scan.StationId)).emit('newScan', scan);
 });
 
-scanIDWatcher.on('newscan', (scan) => {
-  console.log('New scan detected:', scan.FullName);
-  io.emit('newScan', scan);
+// Malformed rows are skipped by the watcher; they are logged but do not stop watching
+scanSources.on('warning', (warning) => {
+  console.warn(`ScanIDWatcher warning (${warning.stationId}):`, warning.message);
 });
 
-scanIDWatcher.on('error', (error) => {
-  console.error('ScanIDWatcher error:', error.message);
-  io.emit('scanWatchError', { error: error.message });
+scanSources.on('error', (error) => {
+  console.error(`ScanIDWatcher error (${error.stationId}):`, error.message);
+  io.to(ALL_STATIONS_ROOM).to(stationRoom(error.stationId))
+    .emit('scanWatchError', { error: error.message, stationId: error.stationId });
 });
 
 // Start the server with port fallback mechanism
@@ -725,10 +671,9 @@ const startServer = (port) => {
   // Handle graceful shutdown
   process.on('SIGINT', () => {
     console.log('Shutting down server...');
-    // Stop the ScanID watcher
-    if (scanIDWatcher.watching) {
-      scanIDWatcher.stopWatching();
-    }
+    // Stop the ScanID watchers and the retention schedule
+    scanSources.stop();
+    RetentionService.stop();
     server.close(() => {
       console.log('Server closed');
       process.exit(0);
@@ -744,7 +689,13 @@ app.use((err, req, res, next) => {
 
 // Start the server with the initial port
 try {
+  // An invalid scoring profile stops startup here rather than at the first scan
+  ScoringProfile.getProfile();
   startServer(PORT);
+  // Purge expired scans, images and records on the configured schedule
+  RetentionService.start(scanSources);
+  // Keep the local copy of the Wix contacts used by member search in sync
+  WixSdkAdapter.startContactMirror();
 } catch (err) {
   console.error('Failed to start server:', err);
 }